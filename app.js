@@ -0,0 +1,673 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+const config = require('./services/config');
+const enhancementProviders = require('./providers/enhancement');
+const captionProviders = require('./providers/caption');
+const jobs = require('./services/jobs');
+const owners = require('./services/owners');
+const presets = require('./services/presets');
+const enhancement = require('./services/enhancement');
+const captions = require('./services/captions');
+const video = require('./services/video');
+const { upload } = require('./services/uploads');
+const mediaValidation = require('./services/mediaValidation');
+const storage = require('./services/storage');
+const auth = require('./services/auth');
+const usage = require('./services/usage');
+const resultCache = require('./services/resultCache');
+const requestContext = require('./services/requestContext');
+const metrics = require('./services/metrics');
+const accounts = require('./services/accounts');
+const workspaces = require('./services/workspaces');
+const jobRoutes = require('./routes/jobs');
+const renderRoutes = require('./routes/render');
+const brandKitRoutes = require('./routes/brandKits');
+const postRoutes = require('./routes/posts');
+const publishRoutes = require('./routes/publish');
+const scheduleRoutes = require('./routes/schedule');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const workspaceRoutes = require('./routes/workspaces');
+const batchRoutes = require('./routes/batches');
+const videoRoutes = require('./routes/video');
+
+/**
+ * The Express application: middleware, API routes and the web app
+ *
+ * createApp() only builds the app. Loading .env, starting the upload sweeper
+ * and the scheduler, and listening are left to server.js, so the app can also
+ * be created in-process, as the test suite does.
+ */
+
+// Cached caption results, so the same request is only paid for once
+// (enhancement results are cached in services/enhancement.js)
+const captionCache = resultCache.createCache('captions');
+
+// Origins allowed by CORS, from the comma-separated ALLOWED_ORIGINS (default "*")
+function getAllowedOrigins() {
+  return config.get('ALLOWED_ORIGINS');
+}
+
+// JSON body parser sized for base64 images, which are a third larger than
+// MAX_FILE_SIZE; rebuilt when the limit changes
+let jsonParser = null;
+
+function parseJson(req, res, next) {
+  const limit = Math.ceil(config.get('MAX_FILE_SIZE') * 4 / 3) + 64 * 1024;
+  if (!jsonParser || jsonParser.limit !== limit) {
+    jsonParser = { limit, middleware: express.json({ limit }) };
+  }
+  jsonParser.middleware(req, res, next);
+}
+
+// Endpoint for image enhancement, proxied to the selected enhancement provider
+async function postEnhanceImage(req, res) {
+  try {
+    // Check if we have base64 image data
+    if (req.body && req.body.image_base64) {
+      logger.info('Received base64 image data');
+      
+      // Create a temporary file from the base64 data
+      const imageData = req.body.image_base64;
+      // Remove data URL prefix if it exists
+      const base64Data = imageData.includes('base64,') ? imageData.split('base64,')[1] : imageData;
+      
+      // Check the decoded bytes, then store the normalized image under its real
+      // extension (fails with 507 when upload storage is full)
+      const media = await mediaValidation.validateMedia(Buffer.from(base64Data, 'base64'));
+      req.tempFilePath = await storage.createTempFile(media.buffer, media.extension);
+      
+      // Set the file path for the API call
+      await handleEnhancementRequest(req, res);
+    } 
+    // Check if we have imageUrl in the request body
+    else if (req.body && req.body.imageUrl) {
+      logger.info('Received image URL via JSON');
+      await handleEnhancementRequest(req, res);
+    } else {
+      // Reject uploads up front when there is no room left for them
+      await storage.ensureCapacity(parseInt(req.headers['content-length'], 10) || 0);
+      
+      // For form uploads, use multer
+      upload.single('image')(req, res, async function(err) {
+        if (err) {
+          logger.error('Error in file upload:', err);
+          return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ 
+            status: 'error', 
+            message: err.message 
+          });
+        }
+        
+        if (!req.file) {
+          logger.error('No file uploaded, no image_base64, and no imageUrl in request body');
+          return res.status(400).json({ 
+            status: 'error', 
+            message: 'Please provide either imageUrl, image_base64, or upload a file' 
+          });
+        }
+        
+        logger.info('File uploaded successfully:', req.file.path);
+        
+        // Validate the uploaded bytes and replace the upload with the
+        // normalized copy; the client-supplied mimetype is never trusted
+        try {
+          const media = await mediaValidation.validateMedia(await fs.promises.readFile(req.file.path));
+          req.tempFilePath = await storage.createTempFile(media.buffer, media.extension);
+        } catch (error) {
+          logger.error('Rejected uploaded file:', error.message);
+          return res.status(error.statusCode || 500).json({
+            status: 'error',
+            message: error.statusCode ? error.message : 'Server error processing the image',
+            error: error.message
+          });
+        } finally {
+          await storage.releaseTempFile(req.file.path);
+        }
+        
+        await handleEnhancementRequest(req, res);
+      });
+    }
+  } catch (error) {
+    logger.error('Error in enhance-image endpoint:', error);
+    // Clean up anything written before the failure
+    await storage.releaseTempFile(req.tempFilePath);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Server error processing the image',
+      error: error.message
+    });
+  }
+}
+
+// Check whether the client asked for a background job instead of waiting
+function isAsyncRequest(req) {
+  const flag = req.body?.async ?? req.query.async;
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+// Run the enhancement through the selected provider and return the result payload.
+// The request's temp file is always released, whether the enhancement succeeds or fails.
+async function runEnhancement(req, onProgress = () => {}) {
+  try {
+    const source = {};
+    
+    // If we already have an image URL in the request, pass it straight through
+    if (req.body && req.body.imageUrl) {
+      source.imageUrl = req.body.imageUrl;
+    }
+    // If we have a local file (either uploaded or created from base64), read it into memory
+    else if (req.tempFilePath) {
+      logger.info('Reading local file for enhancement:', req.tempFilePath);
+      source.buffer = await fs.promises.readFile(req.tempFilePath);
+    } else {
+      throw new Error('No valid image source provided (no URL or file)');
+    }
+    
+    // Provider and preset come from the request, falling back to the configured defaults
+    return await enhancement.enhanceImage(source, {
+      provider: req.body?.provider || req.query.provider,
+      preset: req.body?.preset || req.query.preset,
+      overrides: req.body?.overrides,
+      bypassCache: resultCache.isBypassRequested(req),
+      onProgress,
+      onUpstream: providerName => usage.recordUpstream(req, 'enhancement', providerName)
+    });
+  } finally {
+    // Clean up temporary file after use
+    await storage.releaseTempFile(req.tempFilePath);
+  }
+}
+
+// Respond with the enhanced image, or with a job id when the client asked for async processing
+async function handleEnhancementRequest(req, res) {
+  if (isAsyncRequest(req)) {
+    const job = jobs.runJob('enhance', onProgress => runEnhancement(req, onProgress), {
+      owners: await owners.identify(req)
+    });
+    
+    return res.status(202).json({
+      status: 'success',
+      result: {
+        job_id: job.id,
+        status_url: `/api/jobs/${job.id}`,
+        events_url: `/api/jobs/${job.id}/events`
+      }
+    });
+  }
+  
+  try {
+    const result = await runEnhancement(req);
+    
+    // Return the enhanced image data
+    res.json({
+      status: 'success',
+      result
+    });
+  } catch (error) {
+    // Send detailed error response; upstream failures carry a code the web app
+    // turns into a friendly message (see services/upstream.js)
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode || error.response?.status || 500).json({
+      status: 'error',
+      message: 'Failed to enhance image',
+      code: error.upstream ? error.code : undefined,
+      error: error.message,
+      details: error.response?.data || 'No additional details'
+    });
+  }
+}
+
+// List the enhancement presets clients can choose from
+function getEnhancePresets(req, res) {
+  try {
+    res.json({
+      status: 'success',
+      result: {
+        default: presets.getDefaultPresetName(),
+        presets: presets.listPresets()
+      }
+    });
+  } catch (error) {
+    logger.error('Error loading enhancement presets:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load enhancement presets',
+      error: error.message
+    });
+  }
+}
+
+// Formats accepted for captioning; videos are turned into keyframes
+const CAPTION_FORMATS = ['jpeg', 'png', 'webp', 'mp4', 'mov', 'webm'];
+const MAX_CAPTION_MEDIA = 10;
+
+// Multipart caption requests carry the files in "media" and the caption
+// options as a JSON string in the "options" field
+function acceptCaptionUploads(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  
+  upload.array('media', MAX_CAPTION_MEDIA)(req, res, err => {
+    if (err) {
+      logger.error('Error in caption upload:', err);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+    
+    try {
+      req.body = { ...req.body, ...JSON.parse(req.body.options || '{}') };
+      next();
+    } catch (parseError) {
+      (req.files || []).forEach(file => storage.releaseTempFile(file.path));
+      res.status(400).json({
+        status: 'error',
+        message: 'options field must be valid JSON'
+      });
+    }
+  });
+}
+
+// Validate the media to caption and turn videos into timed keyframes.
+// Uploaded files are read from disk; JSON requests carry base64 mediaItems.
+async function collectCaptionMedia(req, options) {
+  const buffers = req.files && req.files.length > 0
+    ? await Promise.all(req.files.map(file => fs.promises.readFile(file.path)))
+    : req.body.mediaItems.map(item => {
+      const data = String(item.data || '');
+      return Buffer.from(data.includes('base64,') ? data.split('base64,')[1] : data, 'base64');
+    });
+  
+  const media = [];
+  for (const buffer of buffers) {
+    const item = await mediaValidation.validateMedia(buffer, { allowedFormats: CAPTION_FORMATS });
+    
+    if (item.kind !== 'video') {
+      media.push({ kind: 'image', mimeType: item.mimeType, buffer: item.buffer });
+      continue;
+    }
+    
+    // ffmpeg works on files, so videos go through a temp file
+    const tempFilePath = await storage.createTempFile(item.buffer, item.extension);
+    try {
+      const { duration, frames } = await video.extractKeyframes(tempFilePath, {
+        count: options.keyframes,
+        mode: options.keyframeMode
+      });
+      media.push({ kind: 'video', duration, frames });
+    } finally {
+      await storage.releaseTempFile(tempFilePath);
+    }
+  }
+  
+  return media;
+}
+
+// Caption generation with the vision model of the configured caption providers
+async function postGenerateCaption(req, res) {
+  try {
+    // Check for media data in request
+    const hasUploads = req.files && req.files.length > 0;
+    if (!hasUploads && (!Array.isArray(req.body.mediaItems) || req.body.mediaItems.length === 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Request must include a mediaItems array or "media" file uploads with at least one image or video'
+      });
+    }
+    
+    // Validate tone, platform, length, language, hashtags, emoji and variants
+    const options = captions.normalizeCaptionOptions(req.body);
+    const stream = isStreamRequest(req);
+    
+    // Check the media by content and sample keyframes from videos
+    const media = await collectCaptionMedia(req, options);
+    const hasVideo = media.some(item => item.kind === 'video');
+    
+    // Create message content with text prompt, images and video keyframes
+    const messageContent = captions.buildMessageContent(
+      captions.buildCaptionPrompt(options, { stream, hasVideo }),
+      media
+    );
+    
+    const messages = [
+      {
+        role: "user",
+        content: messageContent
+      }
+    ];
+    
+    if (stream) {
+      return await streamCaptions(req, res, messages, options);
+    }
+    
+    // Try the provider chain (or the provider named in the request)
+    const { content, provider, cached } = await generateCaptionContent(req, messages, options);
+    const variants = captions.parseCaptionVariants(content, options);
+    
+    logger.info(`Generated ${variants.length} caption variant(s) with ${provider.name}`);
+    
+    // Return the generated captions; "caption" is the first variant
+    res.json({
+      status: 'success',
+      result: buildCaptionResult(variants, options, provider, cached)
+    });
+    
+  } catch (error) {
+    logger.error('Error in generate-caption endpoint:', error);
+    
+    let statusCode = 500;
+    let errorMessage = 'Server error generating caption';
+    
+    // Handle different error types
+    if (error.statusCode) {
+      statusCode = error.statusCode;
+      errorMessage = error.message;
+    } else if (error.response) {
+      statusCode = error.response.status;
+      errorMessage = `${error.provider || 'Caption provider'} API error: ${error.response.status} ${error.response.statusText}`;
+    }
+    if (error.response) {
+      logger.error('Caption provider response:', error.response.data);
+    }
+    
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(statusCode).json({
+      status: 'error',
+      message: errorMessage,
+      code: error.upstream ? error.code : undefined,
+      error: error.message,
+      details: error.attempts || error.response?.data || 'No additional details'
+    });
+  } finally {
+    // Uploaded files were read into memory, they are no longer needed
+    await Promise.all((req.files || []).map(file => storage.releaseTempFile(file.path)));
+  }
+}
+
+// Check whether the client asked for tokens to be streamed as they are generated
+function isStreamRequest(req) {
+  const flag = req.body?.stream ?? req.query.stream;
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+// Captions in the response, without the request-only options
+function buildCaptionResult(variants, options, provider, cached) {
+  const { instructions, exclude, ...appliedOptions } = options;
+  return {
+    caption: variants[0],
+    captions: variants,
+    options: appliedOptions,
+    provider: provider.name,
+    model: provider.describe().model,
+    cached
+  };
+}
+
+// Generate the caption text through the result cache: the same media and
+// prompt (and provider, when one is named) reuse an earlier or in-flight
+// reply. Cached replies are passed to onToken in one piece.
+async function generateCaptionContent(req, messages, options, { signal, onToken } = {}) {
+  const providerName = req.body.provider;
+  
+  const { value, cached } = await captionCache.getOrCompute(
+    resultCache.hashKey(messages, providerName || null),
+    async () => {
+      const { content, provider } = await captionProviders.generate({
+        messages,
+        options,
+        providerName,
+        signal,
+        onToken
+      });
+      usage.recordUpstream(req, 'caption', provider.name);
+      
+      // Empty replies are errors, so they never end up in the cache
+      if (captions.parseCaptionVariants(content, options).length === 0) {
+        logger.error(`No captions found in ${provider.name} response:`, content);
+        const error = new Error(`Caption provider ${provider.name} returned an empty caption`);
+        error.statusCode = 500;
+        throw error;
+      }
+      return { content, providerName: provider.name };
+    },
+    { bypass: resultCache.isBypassRequested(req) }
+  );
+  
+  if (cached && onToken) onToken(value.content);
+  return {
+    content: value.content,
+    provider: captionProviders.getProvider(value.providerName),
+    cached
+  };
+}
+
+// Relay caption tokens to the browser as server-sent events while the provider generates them.
+// Events: "token" ({ text }) for each delta, then "complete" with the same result as the
+// JSON response, or "error". The event stream only starts with the first token, so failures
+// before that (including every provider of the fallback chain failing) are plain JSON errors.
+// When the client disconnects (e.g. its stop button) the upstream request is aborted.
+async function streamCaptions(req, res, messages, options) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Caption stream closed by client, aborting provider request');
+      controller.abort();
+    }
+  });
+  
+  const startStream = () => {
+    if (res.headersSent) return;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable buffering behind nginx
+    });
+    res.flushHeaders();
+  };
+  
+  const send = (event, data) => {
+    startStream();
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    const { content, provider, cached } = await generateCaptionContent(req, messages, options, {
+      signal: controller.signal,
+      onToken: text => send('token', { text })
+    });
+    const variants = captions.parseCaptionVariants(content, options);
+    
+    logger.info(`Streamed ${variants.length} caption variant(s) with ${provider.name}`);
+    send('complete', buildCaptionResult(variants, options, provider, cached));
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (!res.headersSent) throw error;
+    
+    logger.error('Error streaming caption:', error);
+    send('error', {
+      message: 'Server error generating caption',
+      code: error.upstream ? error.code : undefined,
+      error: error.message
+    });
+  }
+  res.end();
+}
+
+// Test endpoint for the Deep Image API integration
+function getDeepImageStatus(req, res) {
+  res.json({
+    status: 'success',
+    message: 'Deep Image API proxy endpoint is ready',
+    instructions: 'POST to /api/enhance-image with image_base64 in the request body or a file upload with name "image". Pass "provider" to pick an enhancement provider and "preset" (see /api/enhance-presets) plus optional "overrides" to control the enhancement.',
+    providers: enhancementProviders.listProviders()
+  });
+}
+
+// Health check for the caption providers: reports which backends are usable.
+// /api/test-grok is kept for existing clients.
+async function getCaptionProvidersStatus(req, res) {
+  try {
+    const providers = await captionProviders.checkHealth();
+    const usable = providers.filter(provider => provider.usable && provider.chainPosition);
+    
+    res.json({
+      status: usable.length > 0 ? 'success' : 'warning',
+      message: usable.length > 0
+        ? `Caption generation is ready (${usable.map(provider => provider.name).join(', ')})`
+        : 'No caption provider in the fallback chain is usable',
+      instructions: 'POST to /api/generate-caption with mediaItems array containing image data. Optional: provider, tone, platform, length, language, hashtags, emoji and variants (see /api/caption-options); set stream: true to receive tokens as server-sent events.',
+      chain: captionProviders.getChain(),
+      providers
+    });
+  } catch (error) {
+    logger.error('Error checking caption providers:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to check caption providers',
+      error: error.message
+    });
+  }
+}
+
+// Error handling middleware
+function handleError(err, req, res, next) {
+  logger.error(err.stack);
+  
+  if (err.message === 'Only image and video files are allowed!') {
+    return res.status(400).json({
+      status: 'error',
+      message: err.message
+    });
+  }
+  
+  res.status(500).json({
+    status: 'error',
+    message: 'Something went wrong on the server',
+    error: err.message
+  });
+}
+
+/**
+ * Create the app with every route, without listening
+ *
+ * @returns {express.Application}
+ */
+function createApp() {
+  const app = express();
+
+  // Request ids, access logs and HTTP metrics; first so every request is covered
+  app.use(requestContext.middleware(logger));
+
+  // Prometheus metrics (protected by METRICS_TOKEN when set)
+  app.get('/metrics', metrics.handler);
+
+  // Configure CORS middleware
+  app.use(cors({
+    origin: function(origin, callback) {
+      // Allow requests with no origin (like mobile apps, curl, etc.)
+      if (!origin) return callback(null, true);
+      
+      // Read on every request so ALLOWED_ORIGINS can be reloaded
+      const allowedOrigins = getAllowedOrigins();
+      
+      // Allow all origins if '*' is in the list
+      if (allowedOrigins.includes('*')) {
+        return callback(null, true);
+      }
+      
+      if (allowedOrigins.indexOf(origin) === -1) {
+        const msg = `CORS Error: This server does not allow access from origin ${origin}. Update ALLOWED_ORIGINS in .env or on the /admin settings page.`;
+        logger.error(`❌ ${msg}`);
+        return callback(new Error(msg), false);
+      }
+      return callback(null, true);
+    },
+    credentials: true
+  }));
+
+  // Serve uploaded files temporarily, only through signed expiring links (see storage.createSignedUrl)
+  app.get('/temp-uploads/:name', storage.serveSignedUpload);
+
+  // Parse JSON body
+  app.use(requestContext.bindToRequest(parseJson));
+
+  // Serve the front-end assets. Only public/ is exposed so .env, logs and
+  // uploads can never be fetched directly.
+  const publicDir = path.join(__dirname, 'public');
+  app.use(express.static(publicDir));
+
+  // Serve index.html at the root route
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(publicDir, 'index.html'));
+  });
+
+  // Server settings page; the page itself is public, its API needs ADMIN_TOKEN
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(publicDir, 'admin.html'));
+  });
+
+  // Endpoint for image enhancement, proxied to the selected enhancement provider
+  app.post('/api/enhance-image', auth.requireApiKey('enhance'), postEnhanceImage);
+
+  // List the enhancement presets clients can choose from
+  app.get('/api/enhance-presets', getEnhancePresets);
+
+  // Choices for the caption tone, platform and length pickers
+  app.get('/api/caption-options', (req, res) => {
+    res.json({
+      status: 'success',
+      result: captions.listCaptionOptions()
+    });
+  });
+
+  // Background job status and progress events
+  app.use('/api/jobs', jobRoutes);
+
+  // Many images enhanced in one upload by a shared worker pool
+  app.use('/api/enhance-batch', batchRoutes);
+
+  // Workspaces and their posts, media library, publishing, scheduled posting
+  // queue, brand kits and rendering (see services/workspaces.js and
+  // services/scheduler.js)
+  app.use('/api/workspaces', workspaceRoutes);
+
+  // The same routes at their paths from before workspaces, acting on the
+  // caller's default workspace
+  const defaultWorkspace = [accounts.requireUser, workspaces.loadDefaultWorkspace];
+  app.use('/api/posts', defaultWorkspace, postRoutes);
+  app.use('/api/publish', defaultWorkspace, publishRoutes);
+  app.use('/api/schedule', defaultWorkspace, scheduleRoutes);
+  app.use('/api/brand-kits', defaultWorkspace, brandKitRoutes);
+  app.use('/api/render', defaultWorkspace, renderRoutes);
+
+  // Video trimming and MP4 transcoding at platform presets
+  app.use('/api/video', videoRoutes);
+
+  // Accounts, session tokens for API keys, and the admin API for keys, accounts and usage
+  app.use('/api/auth', authRoutes);
+  app.use('/api/admin', adminRoutes);
+
+  // Caption generation with the vision model of the configured caption providers
+  app.post('/api/generate-caption', auth.requireApiKey('caption'), storage.requireCapacity, acceptCaptionUploads, postGenerateCaption);
+
+  // Test endpoint for the Deep Image API integration
+  app.get('/api/test-deep-image', getDeepImageStatus);
+
+  // Health check for the caption providers: reports which backends are usable.
+  // /api/test-grok is kept for existing clients.
+  app.get(['/api/test-caption-providers', '/api/test-grok'], getCaptionProvidersStatus);
+
+  // Error handling middleware
+  app.use(handleError);
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  getAllowedOrigins
+};
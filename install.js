@@ -8,43 +8,24 @@ const path = require('path');
 
 console.log('🚀 Setting up ImaKOL Server...');
 
-// Check if .env file exists, create it if not
+// Create .env from .env.example, which documents every setting
 const envPath = path.join(__dirname, '.env');
 const envExamplePath = path.join(__dirname, '.env.example');
 
 if (!fs.existsSync(envPath)) {
-  console.log('📄 Creating .env file...');
-  
-  // Check if .env.example exists
-  if (fs.existsSync(envExamplePath)) {
-    const envContent = fs.readFileSync(envExamplePath, 'utf8');
-    fs.writeFileSync(envPath, envContent);
-    console.log('✅ Created .env file from .env.example');
-    console.log('⚠️ Please edit the .env file to add your API keys before running the server');
-  } else {
-    // Create a basic .env file if .env.example doesn't exist
-    const basicEnvContent = `# API Keys (Required)
-DEEP_IMAGE_API_KEY=your_api_key_here
-GROK_API_KEY=your_grok_api_key_here
-PORT=3000
-ALLOWED_ORIGINS=*
-LOG_LEVEL=info`;
-    
-    fs.writeFileSync(envPath, basicEnvContent);
-    console.log('✅ Created basic .env file');
-    console.log('⚠️ Please edit the .env file to add your API keys before running the server');
+  if (!fs.existsSync(envExamplePath)) {
+    console.error('❌ .env.example is missing; restore it from the repository and run the setup again');
+    process.exit(1);
   }
-}
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  console.log('📁 Creating uploads directory...');
-  fs.mkdirSync(uploadsDir);
-  console.log('✅ Created uploads directory');
+  console.log('📄 Creating .env file...');
+  fs.copyFileSync(envExamplePath, envPath);
+  console.log('✅ Created .env file from .env.example');
+  console.log('⚠️ Please edit the .env file to add your API keys before running the server');
 }
 
-// Create logs directory if it doesn't exist
+// Create logs directory if it doesn't exist (uploads and data directories
+// are created by the server where UPLOAD_DIR and DATA_DIR point)
 const logsDir = path.join(__dirname, 'logs');
 if (!fs.existsSync(logsDir)) {
   console.log('📁 Creating logs directory...');
@@ -63,6 +44,19 @@ try {
   process.exit(1);
 }
 
+// Check the configuration the same way the server does at startup
+console.log('🔍 Checking configuration...');
+try {
+  require('dotenv').config({ path: envPath });
+  const config = require('./services/config');
+  config.load();
+  config.getWarnings().forEach(warning => console.log(`⚠️ ${warning}`));
+  console.log('✅ Configuration is valid');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('   Fix the values above in .env or the settings file before starting the server');
+}
+
 console.log('\n🎉 Setup complete!');
 console.log('\n🚀 Start the server with:');
 console.log('  npm start');
@@ -74,7 +68,7 @@ console.log('  You can access it from your browser or mobile device on the same
 console.log('\n⚙️ Configuration:');
 console.log('  - Edit the .env file to configure your server settings');
 console.log('  - Required: Add your API keys for Deep Image and Grok Vision');
-console.log('  - Optional: Configure port, allowed origins, and logging level');
-console.log('  - See .env.example for all available configuration options');
+console.log('  - Optional: Change other settings in config/settings.json or on the /admin page');
+console.log('  - See .env.example and the README for all available configuration options');
 
-console.log('\n✨ Happy capturing!'); 
\ No newline at end of file
+console.log('\n✨ Happy capturing!');
@@ -1,6 +1,8 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const config = require('./services/config');
+const { getRequestId } = require('./services/requestContext');
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, 'logs');
@@ -8,17 +10,75 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Field names whose values are never written to the logs
+const SECRET_FIELD_PATTERN = /authorization|api[-_]?key|secret|password|token|cookie/i;
+// Base64 payloads (data URLs, "base64,..." strings and long bare runs)
+const BASE64_PATTERN = /(?:data:[\w/+.-]+;)?base64,[A-Za-z0-9+/=]{32,}|[A-Za-z0-9+/]{256,}={0,2}/g;
+const MAX_DEPTH = 6;
+
+function redactString(text) {
+  return text.length < 32 ? text : text.replace(BASE64_PATTERN, match => `[base64 ${match.length} chars]`);
+}
+
+// Copy a logged value with secrets and base64 blobs replaced. Class
+// instances other than errors and those with a toJSON() (dates, axios
+// headers) are only named, so sockets and agents are never dumped.
+function redactValue(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  if (depth > MAX_DEPTH) return '[…]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1, seen));
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  const isError = value instanceof Error;
+  if (!isError && typeof value.toJSON === 'function') {
+    return redactValue(value.toJSON(), depth + 1, seen);
+  }
+  if (!isError && prototype !== Object.prototype && prototype !== null) {
+    return `[${value.constructor?.name || 'Object'}]`;
+  }
+
+  const copy = isError ? { message: redactString(value.message) } : {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = SECRET_FIELD_PATTERN.test(key) && item ? '[REDACTED]' : redactValue(item, depth + 1, seen);
+  });
+  return copy;
+}
+
+// Tag log lines with the id of the request they were written for
+const addRequestId = winston.format(info => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) info.requestId = requestId;
+  return info;
+});
+
+const redact = winston.format(info => {
+  Object.keys(info).forEach(key => {
+    if (key === 'level' || key === 'timestamp') return;
+    info[key] = SECRET_FIELD_PATTERN.test(key) && info[key] ? '[REDACTED]' : redactValue(info[key]);
+  });
+  return info;
+});
+
 // Define log format
 const logFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
+  addRequestId(),
+  redact(),
   winston.format.json()
 );
 
 // Create logger instance
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: config.get('LOG_LEVEL'),
   format: logFormat,
   defaultMeta: { service: 'imakol-api-proxy' },
   transports: [
@@ -53,7 +113,7 @@ const logger = winston.createLogger({
 });
 
 // If we're not in production, also log to the console
-if (process.env.NODE_ENV !== 'production') {
+if (config.get('NODE_ENV') !== 'production') {
   logger.add(new winston.transports.Console({
     format: winston.format.combine(
       winston.format.colorize(),
@@ -62,4 +122,9 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+// LOG_LEVEL can be changed without a restart
+config.onReload(() => {
+  logger.level = config.get('LOG_LEVEL');
+});
+
 module.exports = logger; 
\ No newline at end of file
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const logger = require('../../logger');
+const upstream = require('../../services/upstream');
+const config = require('../../services/config');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const mockProvider = require('./mock');
+
+/**
+ * Registry of caption (vision model) providers
+ *
+ * Providers are defined in config/caption-providers.json (or
+ * CAPTION_PROVIDERS_FILE). Every provider exposes the same shape:
+ *   name           - identifier used in requests and CAPTION_PROVIDERS
+ *   description    - human readable summary
+ *   isConfigured() - whether the provider has what it needs (URL, model, key)
+ *   generate({ messages, options, signal, onToken }) -> reply text
+ *   healthCheck()  - resolves when the backend is reachable, throws otherwise
+ *   describe()     - { baseUrl, model } for status reports
+ *
+ * messages are OpenAI-style chat messages, options the normalized caption
+ * options (see services/captions.js). With onToken the reply is streamed.
+ *
+ * Captions are generated by the first configured provider of the fallback
+ * chain (CAPTION_PROVIDERS, or "chain" in the config file); when it fails the
+ * next one is tried.
+ */
+
+let cache = null;
+
+// Settings for the overrides of an OpenAI-compatible provider, checked like
+// any other setting (see services/config.js)
+function defineProviderSettings(name, providerConfig) {
+  const prefix = providerConfig.envPrefix;
+  const label = providerConfig.label || name;
+
+  config.define([
+    { name: `${prefix}_BASE_URL`, group: 'Captions', type: 'url', default: providerConfig.baseUrl || null, description: `${label} API base URL` },
+    { name: `${prefix}_MODEL`, group: 'Captions', type: 'string', default: providerConfig.model || null, reloadable: true, description: `${label} model` },
+    { name: `${prefix}_API_KEY`, group: 'Captions', type: 'string', secret: true, description: `${label} API key` }
+  ]);
+}
+
+function createProvider(name, providerConfig) {
+  switch (providerConfig.type) {
+    case 'openai-compatible':
+      if (providerConfig.envPrefix) defineProviderSettings(name, providerConfig);
+      return createOpenAICompatibleProvider(name, providerConfig);
+    case 'mock':
+      return mockProvider;
+    default:
+      throw new Error(`Caption provider "${name}" has unknown type "${providerConfig.type}"`);
+  }
+}
+
+function loadProviders() {
+  if (cache) return cache;
+
+  const file = config.get('CAPTION_PROVIDERS_FILE');
+  const fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!fileConfig.providers || typeof fileConfig.providers !== 'object') {
+    throw new Error(`Caption providers file ${file} must contain a "providers" object`);
+  }
+
+  const providers = {};
+  Object.entries(fileConfig.providers).forEach(([name, providerConfig]) => {
+    providers[name] = createProvider(name, providerConfig);
+  });
+
+  logger.info(`Loaded ${Object.keys(providers).length} caption providers from ${file}`);
+  cache = { providers, chain: fileConfig.chain || [] };
+  return cache;
+}
+
+// Re-read the config file, keeping the current providers if it is broken
+function reloadProviders() {
+  const previous = cache;
+  cache = null;
+  try {
+    return loadProviders();
+  } catch (error) {
+    cache = previous;
+    throw error;
+  }
+}
+
+// Provider names to try in order
+function getChain() {
+  const chain = config.get('CAPTION_PROVIDERS') || loadProviders().chain;
+  chain.forEach(name => getProvider(name));
+  return chain;
+}
+
+function getProvider(name) {
+  const { providers } = loadProviders();
+  const provider = providers[name];
+
+  if (!provider) {
+    const error = new Error(`Unknown caption provider "${name}". Available providers: ${Object.keys(providers).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return provider;
+}
+
+function listProviders() {
+  const chain = getChain();
+  return Object.values(loadProviders().providers).map(provider => ({
+    name: provider.name,
+    description: provider.description,
+    ...provider.describe(),
+    configured: provider.isConfigured(),
+    chainPosition: chain.includes(provider.name) ? chain.indexOf(provider.name) + 1 : null
+  }));
+}
+
+/**
+ * Generate captions with the fallback chain, or with one named provider
+ *
+ * Falls back to the next provider on any error, except when the request was
+ * aborted or tokens were already streamed to the client.
+ *
+ * @returns {Promise<Object>} { content, provider }
+ */
+async function generate({ messages, options, providerName, signal, onToken }) {
+  const candidates = providerName
+    ? [getProvider(providerName)]
+    : getChain().map(getProvider).filter(provider => provider.isConfigured());
+
+  if (candidates.length === 0 || !candidates[0].isConfigured()) {
+    const error = new Error(providerName
+      ? `Caption provider "${providerName}" is not configured`
+      : 'No caption provider is configured. Set GROK_API_KEY in your .env file or configure CAPTION_PROVIDERS.');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  const attempts = [];
+  let lastError;
+
+  for (const provider of candidates) {
+    let streamed = false;
+    try {
+      logger.info(`Generating caption with provider: ${provider.name}`);
+      const content = await provider.generate({
+        messages,
+        options,
+        signal,
+        onToken: onToken && (text => {
+          streamed = true;
+          onToken(text);
+        })
+      });
+      return { content, provider };
+    } catch (error) {
+      error.provider = provider.name;
+      if ((signal && signal.aborted) || streamed) throw error;
+
+      logger.warn(`⚠️ Caption provider ${provider.name} failed: ${error.message}`);
+      attempts.push({
+        provider: provider.name,
+        status: error.response?.status || null,
+        code: error.upstream ? error.code : null,
+        error: error.message
+      });
+      lastError = error;
+    }
+  }
+
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+// Check every configured provider and report which ones are usable
+async function checkHealth() {
+  const chain = getChain();
+
+  return Promise.all(Object.values(loadProviders().providers).map(async provider => {
+    const report = {
+      name: provider.name,
+      description: provider.description,
+      ...provider.describe(),
+      configured: provider.isConfigured(),
+      chainPosition: chain.includes(provider.name) ? chain.indexOf(provider.name) + 1 : null,
+      usable: false,
+      circuit: upstream.getCircuitState(provider.name)
+    };
+
+    if (!report.configured) {
+      report.error = 'Not configured';
+      return report;
+    }
+
+    const startedAt = Date.now();
+    try {
+      await provider.healthCheck();
+      report.usable = true;
+    } catch (error) {
+      report.error = error.response
+        ? `${error.response.status} ${error.response.statusText}`
+        : error.message;
+    }
+    report.latencyMs = Date.now() - startedAt;
+    return report;
+  }));
+}
+
+module.exports = {
+  getProvider,
+  getChain,
+  listProviders,
+  reloadProviders,
+  generate,
+  checkHealth
+};
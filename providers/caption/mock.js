@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const config = require('../../services/config');
+
+/**
+ * Deterministic mock caption provider
+ *
+ * Needs no network or API key. The same media and options always produce
+ * the same captions, which makes it suitable for tests and offline demos.
+ * Captions are always written in English. Streamed replies are emitted word
+ * by word, MOCK_CAPTION_DELAY_MS apart (default 30ms, 0 to disable).
+ */
+
+const OPENERS = {
+  playful: ['Plot twist:', 'Caught in the act of', 'Zero regrets about', 'Officially obsessed with', 'Sorry, not sorry for'],
+  professional: ['Behind the work:', 'A closer look at', 'Proud to share', 'Quality you can see:', 'Details that matter:'],
+  luxury: ['Effortless elegance in', 'Indulge in', 'Crafted for', 'The art of', 'Timeless moments with'],
+  casual: ['Just me and', 'Lazy days with', 'Current mood:', 'Can\'t get enough of', 'Weekend vibes with'],
+  inspirational: ['Every step leads to', 'Find the beauty in', 'Dream big with', 'Chasing', 'Never stop exploring']
+};
+
+const SUBJECTS = ['this view', 'golden hour', 'little moments', 'good company', 'fresh starts', 'the details', 'this light', 'new adventures'];
+const EMOJI = ['✨', '📸', '🌟', '💫', '🙌', '☀️', '💛', '🔥'];
+const HASHTAGS = ['#photooftheday', '#instagood', '#picoftheday', '#happy', '#lifestyle', '#nofilter', '#weekend', '#inspo',
+  '#travel', '#style', '#vibes', '#moments', '#explore', '#love', '#goodtimes', '#daily', '#create', '#scenery', '#mood', '#today'];
+
+// Seed from the media sent to the model, so different posts get different captions
+function seedFromMessages(messages) {
+  const hash = crypto.createHash('sha256');
+  messages.forEach(message => {
+    (Array.isArray(message.content) ? message.content : [{ text: message.content }]).forEach(part => {
+      hash.update(part.image_url ? part.image_url.url : (part.text || ''));
+    });
+  });
+  return hash.digest().readUInt32BE(0);
+}
+
+function pick(list, seed, offset) {
+  return list[(seed + offset) % list.length];
+}
+
+function buildCaption(options, seed, index) {
+  const offset = index * 7;
+  const words = [pick(OPENERS[options.tone] || OPENERS.playful, seed, offset), pick(SUBJECTS, seed, offset + 3)];
+  if (options.length !== 'short') {
+    words.push('— a moment worth sharing.');
+  }
+  if (options.emoji) {
+    words.push(pick(EMOJI, seed, offset + 5));
+  }
+
+  const tags = Array.from({ length: options.hashtags }, (value, tagIndex) => pick(HASHTAGS, seed, offset + tagIndex));
+  return [words.join(' '), ...new Set(tags)].join(' ');
+}
+
+const mockProvider = {
+  name: 'mock',
+  description: 'Deterministic offline captions for tests and demos',
+
+  isConfigured() {
+    return true;
+  },
+
+  async generate({ messages, options, signal, onToken }) {
+    const seed = seedFromMessages(messages);
+
+    // Offset by the captions to avoid, so regenerated variants differ
+    const start = options.exclude.length;
+    const captions = Array.from({ length: options.variants }, (value, index) => buildCaption(options, seed, start + index));
+
+    if (!onToken) {
+      return JSON.stringify({ captions });
+    }
+
+    // Plain text with "---" between variants, matching the streaming prompt
+    const content = captions.join('\n---\n');
+    const delay = config.get('MOCK_CAPTION_DELAY_MS');
+
+    for (const token of content.match(/\S+\s*/g)) {
+      if (signal && signal.aborted) {
+        const error = new Error('Caption request aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onToken(token);
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    return content;
+  },
+
+  async healthCheck() {},
+
+  describe() {
+    return { baseUrl: null, model: 'mock' };
+  }
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const logger = require('../../logger');
+const upstream = require('../../services/upstream');
+const config = require('../../services/config');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Caption provider for any OpenAI-compatible chat completions API
+ * (xAI Grok, OpenAI, Ollama, LM Studio, vLLM, ...)
+ *
+ * The base URL, model and API key come from the provider config, each of
+ * which can be overridden with the <ENVPREFIX>_BASE_URL, <ENVPREFIX>_MODEL
+ * and <ENVPREFIX>_API_KEY settings (declared by providers/caption/index.js).
+ *
+ * @param {string} name - provider name
+ * @param {Object} providerConfig - { label, baseUrl, model, envPrefix, requiresKey, timeoutMs }
+ */
+function createOpenAICompatibleProvider(name, providerConfig) {
+  const setting = suffix => (providerConfig.envPrefix ? config.get(`${providerConfig.envPrefix}_${suffix}`) : null);
+
+  const getSettings = () => ({
+    baseUrl: (setting('BASE_URL') || providerConfig.baseUrl || '').replace(/\/+$/, ''),
+    model: setting('MODEL') || providerConfig.model,
+    apiKey: setting('API_KEY') || providerConfig.apiKey,
+    timeout: parseInt(providerConfig.timeoutMs, 10) || DEFAULT_TIMEOUT_MS
+  });
+
+  const buildHeaders = apiKey => ({
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+  });
+
+  return {
+    name,
+    description: providerConfig.label || name,
+
+    isConfigured() {
+      const settings = getSettings();
+      return Boolean(settings.baseUrl && settings.model && (settings.apiKey || providerConfig.requiresKey === false));
+    },
+
+    /**
+     * Run a chat completion and return the reply text. With onToken the
+     * reply is streamed and onToken receives each chunk as it arrives.
+     */
+    async generate({ messages, signal, onToken }) {
+      const { baseUrl, model, apiKey, timeout } = getSettings();
+      const url = `${baseUrl}/chat/completions`;
+
+      if (!onToken) {
+        const response = await upstream.request(name, {
+          method: 'post',
+          url,
+          data: { model, messages },
+          headers: buildHeaders(apiKey),
+          timeout,
+          signal
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (!content) {
+          logger.error(`Invalid response format from ${name}:`, response.data);
+          throw upstream.upstreamError('upstream_error', `Invalid response format from ${name}`, {
+            provider: name,
+            response
+          });
+        }
+        return content;
+      }
+
+      // Retries only happen before the first token, while the stream has not started
+      const response = await upstream.request(name, {
+        method: 'post',
+        url,
+        data: { model, messages, stream: true },
+        headers: buildHeaders(apiKey),
+        responseType: 'stream',
+        timeout,
+        signal
+      });
+
+      // Decode as a string stream so multi-byte characters split across chunks stay intact
+      response.data.setEncoding('utf8');
+
+      // The reply is an SSE stream of "data: {json}" lines ending with "data: [DONE]"
+      let content = '';
+      let pending = '';
+      for await (const chunk of response.data) {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') continue;
+
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+        }
+      }
+      return content;
+    },
+
+    // List the models endpoint to check the base URL and key actually work
+    async healthCheck() {
+      const { baseUrl, apiKey } = getSettings();
+      await axios.get(`${baseUrl}/models`, {
+        headers: buildHeaders(apiKey),
+        timeout: HEALTH_CHECK_TIMEOUT_MS
+      });
+    },
+
+    describe() {
+      const { baseUrl, model } = getSettings();
+      return { baseUrl, model };
+    }
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
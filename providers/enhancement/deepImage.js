@@ -0,0 +1,92 @@
+const logger = require('../../logger');
+const upstream = require('../../services/upstream');
+const config = require('../../services/config');
+
+const PROCESS_PATH = '/rest_api/process_result';
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Deep Image enhancement provider (https://deep-image.ai/)
+ */
+const deepImageProvider = {
+  name: 'deep-image',
+  description: 'Deep Image cloud enhancement (face enhance, beautify)',
+
+  isConfigured() {
+    return Boolean(config.get('DEEP_IMAGE_API_KEY'));
+  },
+
+  async enhance({ buffer, imageUrl, parameters = {}, onProgress = () => {} }) {
+    // Deep Image accepts either a public URL or a "base64," prefixed string
+    // (not a full data URL)
+    let url;
+    if (imageUrl) {
+      logger.info('Using provided image URL:', imageUrl);
+      url = imageUrl;
+    } else if (buffer) {
+      url = `base64,${buffer.toString('base64')}`;
+      logger.info('Created base64 string for Deep Image API');
+    } else {
+      throw new Error('No valid image source provided (no URL or file)');
+    }
+
+    // The payload is the preset parameters (see config/presets.json) plus the image
+    const jsonPayload = {
+      ...parameters,
+      url
+    };
+
+    logger.info('Sending image data to Deep Image API via JSON payload');
+    onProgress('uploading', 10);
+    const response = await upstream.request(this.name, {
+      method: 'post',
+      url: `${config.get('DEEP_IMAGE_API_URL')}${PROCESS_PATH}`,
+      data: jsonPayload,
+      headers: {
+        'X-API-KEY': config.get('DEEP_IMAGE_API_KEY'),
+        'Content-Type': 'application/json'
+      },
+      timeout: config.get('DEEP_IMAGE_TIMEOUT_MS'),
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      onUploadProgress: event => {
+        // Once the payload is sent we are waiting on Deep Image to process it
+        if (event.total && event.loaded >= event.total) {
+          onProgress('processing', 40);
+        } else if (event.total) {
+          onProgress('uploading', 10 + (event.loaded / event.total) * 25);
+        }
+      }
+    }, {
+      onRetry: () => onProgress('retrying', 10)
+    });
+
+    logger.info('Received response from Deep Image API with status:', response.status);
+    logger.info('Response details:', JSON.stringify(response.data, null, 2));
+
+    if (!response.data.result_url) {
+      logger.error('No result_url in API response:', response.data);
+      throw upstream.upstreamError('upstream_error', 'No enhanced image URL in API response', {
+        provider: this.name,
+        response
+      });
+    }
+
+    logger.info('Found image URL in result_url, fetching:', response.data.result_url);
+    onProgress('downloading', 80);
+    const imageResponse = await upstream.request(this.name, {
+      method: 'get',
+      url: response.data.result_url,
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT_MS
+    });
+
+    return {
+      buffer: Buffer.from(imageResponse.data, 'binary'),
+      mimeType: parameters.output_format === 'png' ? 'image/png' : 'image/jpeg',
+      details: response.data
+    };
+  }
+};
+
+module.exports = deepImageProvider;
@@ -0,0 +1,59 @@
+const deepImageProvider = require('./deepImage');
+const localProvider = require('./local');
+const config = require('../../services/config');
+
+/**
+ * Registry of image enhancement providers
+ *
+ * Every provider exposes the same shape:
+ *   name           - identifier used in requests and ENHANCEMENT_PROVIDER
+ *   description    - human readable summary
+ *   isConfigured() - whether the provider can currently be used
+ *   enhance({ buffer, imageUrl, parameters, onProgress }) -> { buffer, mimeType, details }
+ *   checkParameters(parameters) - optional, throws a 400 error for values the
+ *                    provider cannot safely run with
+ *
+ * parameters come from the provider's section of the selected preset
+ * (see services/presets.js) merged with any per-request overrides.
+ *
+ * onProgress(stage, percent) is optional and reports stage transitions while
+ * the provider works, so background jobs can show real progress.
+ */
+const providers = {
+  [deepImageProvider.name]: deepImageProvider,
+  [localProvider.name]: localProvider
+};
+
+function getDefaultProviderName() {
+  return config.get('ENHANCEMENT_PROVIDER');
+}
+
+// Resolve a provider by name, falling back to the configured default
+function getProvider(name) {
+  const providerName = name || getDefaultProviderName();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    const error = new Error(`Unknown enhancement provider "${providerName}". Available providers: ${Object.keys(providers).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return provider;
+}
+
+function listProviders() {
+  const defaultName = getDefaultProviderName();
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    description: provider.description,
+    configured: provider.isConfigured(),
+    default: provider.name === defaultName
+  }));
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  getDefaultProviderName
+};
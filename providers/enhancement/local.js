@@ -0,0 +1,181 @@
+const logger = require('../../logger');
+const { loadCanvas, isCanvasAvailable } = require('../../services/canvas');
+const remoteImages = require('../../services/remoteImages');
+
+/**
+ * Local offline enhancement provider
+ *
+ * Uses node-canvas to upscale, denoise and sharpen images without any
+ * network access or API key. Quality is nowhere near Deep Image, but it is
+ * good enough for developing and testing the enhance flow.
+ */
+
+const DEFAULT_PARAMETERS = {
+  scale: 2,           // Upscale factor applied to the longest side
+  maxLength: 4096,    // Never produce an image larger than this on its longest side
+  denoise: 0.5,       // 0 = off, 1 = full 3x3 gaussian blur
+  sharpen: 0.8,       // Unsharp mask amount, 0 = off
+  quality: 0.92       // JPEG output quality
+};
+
+// Allowed range for each parameter; the canvas and both blur passes hold a
+// full copy of the output, so maxLength bounds the memory one request uses
+const PARAMETER_LIMITS = {
+  scale: { min: 0.1, max: 4 },
+  maxLength: { min: 1, max: 8192, integer: true },
+  denoise: { min: 0, max: 1 },
+  sharpen: { min: 0, max: 2 },
+  quality: { min: 0.1, max: 1 }
+};
+
+function parameterError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// 3x3 gaussian blur of RGB channels, alpha is left untouched
+function gaussianBlur(src, width, height) {
+  const out = new Uint8ClampedArray(src.length);
+  const kernel = [1, 2, 1, 2, 4, 2, 1, 2, 1];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      let r = 0, g = 0, b = 0, k = 0;
+
+      for (let ky = -1; ky <= 1; ky++) {
+        const yy = Math.min(height - 1, Math.max(0, y + ky));
+        for (let kx = -1; kx <= 1; kx++) {
+          const xx = Math.min(width - 1, Math.max(0, x + kx));
+          const j = (yy * width + xx) * 4;
+          const weight = kernel[k++];
+          r += src[j] * weight;
+          g += src[j + 1] * weight;
+          b += src[j + 2] * weight;
+        }
+      }
+
+      out[i] = r / 16;
+      out[i + 1] = g / 16;
+      out[i + 2] = b / 16;
+      out[i + 3] = src[i + 3];
+    }
+  }
+
+  return out;
+}
+
+function denoise(data, width, height, amount) {
+  const blurred = gaussianBlur(data, width, height);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i] + (blurred[i] - data[i]) * amount;
+    data[i + 1] = data[i + 1] + (blurred[i + 1] - data[i + 1]) * amount;
+    data[i + 2] = data[i + 2] + (blurred[i + 2] - data[i + 2]) * amount;
+  }
+}
+
+// Unsharp mask: original + amount * (original - blurred)
+function sharpen(data, width, height, amount) {
+  const blurred = gaussianBlur(data, width, height);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i] + (data[i] - blurred[i]) * amount;
+    data[i + 1] = data[i + 1] + (data[i + 1] - blurred[i + 1]) * amount;
+    data[i + 2] = data[i + 2] + (data[i + 2] - blurred[i + 2]) * amount;
+  }
+}
+
+const localProvider = {
+  name: 'local',
+  description: 'Built-in offline enhancement (upscale, denoise, sharpen)',
+
+  isConfigured() {
+    return isCanvasAvailable();
+  },
+
+  // Reject parameters (from presets or per-request overrides) that are not
+  // numbers in range, before any image is decoded
+  checkParameters(parameters = {}) {
+    Object.entries(PARAMETER_LIMITS).forEach(([name, { min, max, integer }]) => {
+      if (parameters[name] === undefined) return;
+
+      const value = parameters[name];
+      if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        throw parameterError(`${name} must be ${integer ? 'a whole number' : 'a number'}`);
+      }
+      if (value < min || value > max) {
+        throw parameterError(`${name} must be between ${min} and ${max}`);
+      }
+    });
+  },
+
+  async enhance({ buffer, imageUrl, parameters = {}, onProgress = () => {} }) {
+    const canvasLib = loadCanvas();
+    if (!canvasLib) {
+      throw new Error('Local enhancement is unavailable because the canvas module is not installed');
+    }
+
+    this.checkParameters(parameters);
+    const settings = { ...DEFAULT_PARAMETERS, ...parameters };
+
+    // Fetch remote images so both input types go through the same pipeline
+    // and the same checks as uploads
+    if (!buffer && imageUrl) {
+      logger.info('Fetching image for local enhancement:', imageUrl);
+      onProgress('downloading', 5);
+      buffer = (await remoteImages.fetchImage(imageUrl)).buffer;
+    }
+    if (!buffer) {
+      throw new Error('No valid image source provided (no URL or file)');
+    }
+
+    onProgress('decoding', 10);
+    const image = await canvasLib.loadImage(buffer);
+
+    // Work out the target size, respecting the max length in both directions
+    const longest = Math.max(image.width, image.height);
+    const targetLongest = Math.min(longest * settings.scale, settings.maxLength);
+    const ratio = targetLongest / longest;
+    const width = Math.max(1, Math.round(image.width * ratio));
+    const height = Math.max(1, Math.round(image.height * ratio));
+
+    logger.info(`Local enhancement: ${image.width}x${image.height} -> ${width}x${height}`);
+
+    onProgress('resizing', 30);
+    const canvas = canvasLib.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, width, height);
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const operations = [`resize:${width}x${height}`];
+
+    if (settings.denoise > 0) {
+      onProgress('denoising', 50);
+      denoise(imageData.data, width, height, settings.denoise);
+      operations.push(`denoise:${settings.denoise}`);
+    }
+    if (settings.sharpen > 0) {
+      onProgress('sharpening', 70);
+      sharpen(imageData.data, width, height, settings.sharpen);
+      operations.push(`sharpen:${settings.sharpen}`);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    onProgress('encoding', 90);
+
+    return {
+      buffer: canvas.toBuffer('image/jpeg', { quality: settings.quality }),
+      mimeType: 'image/jpeg',
+      details: {
+        provider: 'local',
+        width,
+        height,
+        operations
+      }
+    };
+  }
+};
+
+module.exports = localProvider;
@@ -0,0 +1,52 @@
+const mockConnector = require('./mock');
+
+/**
+ * Registry of publishing connectors (social platforms a post can be sent to)
+ *
+ * Every connector exposes the same shape:
+ *   name          - identifier used in requests (POST /api/workspaces/:workspaceId/publish/:name)
+ *   label         - name shown in the share sheet
+ *   description   - human readable summary
+ *   capabilities  - { mediaKinds, maxMedia, maxCaptionLength, maxHashtags, scheduling }
+ *   getStatus()   - { configured, account, message }; message says what is
+ *                   missing when the connector's credentials are not set
+ *   publish({ media, caption, hashtags, text, scheduledAt }) -> { id, url, status, details }
+ *
+ * media are validated files ({ buffer, mimeType, extension, kind }), text the
+ * caption with any hashtags it doesn't already contain appended, and
+ * scheduledAt an ISO date for connectors with native scheduling (null to
+ * publish now). status is "published" or "scheduled".
+ *
+ * Connectors calling a platform API go through services/upstream.js and
+ * fail with its normalized upstream_* errors.
+ */
+const connectors = {
+  [mockConnector.name]: mockConnector
+};
+
+function getConnector(name) {
+  const connector = connectors[name];
+
+  if (!connector) {
+    const error = new Error(`Unknown publishing connector "${name}". Available connectors: ${Object.keys(connectors).join(', ')}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return connector;
+}
+
+function listConnectors() {
+  return Object.values(connectors).map(connector => ({
+    name: connector.name,
+    label: connector.label,
+    description: connector.description,
+    capabilities: connector.capabilities,
+    ...connector.getStatus()
+  }));
+}
+
+module.exports = {
+  getConnector,
+  listConnectors
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+const config = require('../../services/config');
+const { getDataDir, ensureDir, writeJson } = require('../../services/dataStore');
+const { upstreamError } = require('../../services/upstream');
+
+/**
+ * Local mock publishing platform
+ *
+ * Needs no account or network: every publication is written to its own
+ * directory under MOCK_PUBLISH_DIR (default DATA_DIR/published) as
+ * post.json plus the media files, so the whole publish flow can be
+ * developed and tested locally. MOCK_PUBLISH_ACCOUNT names the pretend
+ * account (default "local"); an empty value makes the connector report
+ * missing credentials.
+ *
+ * MOCK_PUBLISH_FAIL makes every publish fail with the given upstream error
+ * code (e.g. upstream_rate_limited, upstream_auth, upstream_rejected,
+ * upstream_unavailable) to exercise error reporting.
+ */
+
+function getAccount() {
+  return config.get('MOCK_PUBLISH_ACCOUNT');
+}
+
+function getPublishDir(...segments) {
+  const publishDir = config.get('MOCK_PUBLISH_DIR');
+  return publishDir ? path.join(publishDir, ...segments) : getDataDir('published', ...segments);
+}
+
+const mockConnector = {
+  name: 'mock',
+  label: 'Local folder (mock)',
+  description: 'Writes publications to a local folder for development and testing',
+  capabilities: {
+    mediaKinds: ['image', 'video'],
+    maxMedia: 10,
+    maxCaptionLength: 2200,
+    maxHashtags: 30,
+    scheduling: true
+  },
+
+  getStatus() {
+    const account = getAccount();
+    if (!account) {
+      return { configured: false, account: null, message: 'Set MOCK_PUBLISH_ACCOUNT to enable the mock platform' };
+    }
+    return { configured: true, account, message: `Publishing to ${getPublishDir()}` };
+  },
+
+  async publish({ media, caption, hashtags, text, scheduledAt }) {
+    const failure = config.get('MOCK_PUBLISH_FAIL');
+    if (failure) {
+      throw upstreamError(failure, `Mock platform refused the post (${failure})`, { provider: 'Mock platform' });
+    }
+
+    const id = crypto.randomUUID();
+    const dir = await ensureDir(getPublishDir(id));
+
+    const files = [];
+    for (const [index, item] of media.entries()) {
+      const name = `${index + 1}.${item.extension}`;
+      await fs.promises.writeFile(path.join(dir, name), item.buffer);
+      files.push({ name, mimeType: item.mimeType, size: item.buffer.length });
+    }
+
+    const status = scheduledAt ? 'scheduled' : 'published';
+    await writeJson(path.join(dir, 'post.json'), {
+      id,
+      account: getAccount(),
+      status,
+      caption,
+      hashtags,
+      text,
+      scheduledAt,
+      media: files,
+      createdAt: new Date().toISOString()
+    });
+
+    logger.debug(`📤 Mock platform ${status} post ${id} with ${files.length} media file(s)`);
+    return { id, url: null, status, details: { directory: dir } };
+  }
+};
+
+module.exports = mockConnector;
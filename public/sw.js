@@ -0,0 +1,126 @@
+/**
+ * ImaKOL service worker
+ *
+ * Caches the app shell (the page, its stylesheet and the CDN scripts it
+ * loads) so the app opens without a connection. API calls are never cached
+ * here: requests made offline are queued by the page in its IndexedDB
+ * outbox and replayed when the connection returns.
+ *
+ * Bump CACHE_VERSION when the shell files change so clients drop the old copy.
+ */
+
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `imakol-shell-${CACHE_VERSION}`;
+
+// Paths that load the app page itself; other pages (such as /admin) are
+// neither cached nor used as the offline fallback
+const APP_PAGES = ['/', '/index.html'];
+
+const SHELL_FILES = [
+    '/',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icons/icon.svg'
+];
+
+// Loaded with <script>/<link> tags, so they are cached as opaque responses
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/daisyui@4.7.3/dist/full.min.css',
+    'https://cdn.tailwindcss.com',
+    'https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js'
+];
+const CDN_HOSTS = CDN_FILES.map(url => new URL(url).host);
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+
+        // cache.add() refuses opaque responses, so store them directly. A CDN
+        // that is unreachable right now shouldn't stop the install.
+        await Promise.all(CDN_FILES.map(async url => {
+            try {
+                const request = new Request(url, { mode: 'no-cors' });
+                await cache.put(request, await fetch(request));
+            } catch (error) {
+                console.warn(`Could not cache ${url}:`, error);
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('imakol-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Serve from the cache and refresh the cached copy in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+
+    return cached || refresh;
+}
+
+// Pages come from the network when possible so a deploy shows up straight away.
+// Only the app page is kept for offline use.
+async function networkFirstPage(request) {
+    const isAppPage = APP_PAGES.includes(new URL(request.url).pathname);
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && isAppPage) {
+            cache.put('/', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = isAppPage ? await cache.match('/') : null;
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // API responses, signed uploads and metrics always go to the server
+        if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/temp-uploads/') || url.pathname === '/metrics') {
+            return;
+        }
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirstPage(request));
+            return;
+        }
+        if (SHELL_FILES.includes(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(request));
+        }
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.host)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
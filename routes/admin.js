@@ -0,0 +1,162 @@
+const express = require('express');
+const logger = require('../logger');
+const auth = require('../services/auth');
+const usage = require('../services/usage');
+const config = require('../services/config');
+const presets = require('../services/presets');
+const captionProviders = require('../providers/caption');
+const accounts = require('../services/accounts');
+const workspaces = require('../services/workspaces');
+const { sendError } = require('./errors');
+
+const router = express.Router();
+
+// Every admin route needs "Authorization: Bearer <ADMIN_TOKEN>"
+router.use(auth.requireAdmin);
+
+router.get('/keys', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: await auth.listKeys() });
+  } catch (error) {
+    sendError(res, error, 'Failed to list API keys');
+  }
+});
+
+// The new key is only ever returned in this response
+router.post('/keys', async (req, res) => {
+  try {
+    res.status(201).json({ status: 'success', result: await auth.createKey(req.body || {}) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+// Rename a key or change its limits; only the fields present are changed
+router.put('/keys/:id', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: await auth.updateKey(req.params.id, req.body || {}) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update API key');
+  }
+});
+
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: await auth.revokeKey(req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+router.get('/users', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: { users: await accounts.listUsers() } });
+  } catch (error) {
+    sendError(res, error, 'Failed to list accounts');
+  }
+});
+
+// Create an account, even while sign-up is closed: { username, password }
+router.post('/users', async (req, res) => {
+  try {
+    const { user, isFirst } = await accounts.createUser(req.body || {}, { force: true });
+    await workspaces.createPersonalWorkspace(user, { adoptLegacyData: isFirst });
+    res.status(201).json({ status: 'success', result: user });
+  } catch (error) {
+    sendError(res, error, 'Failed to create account');
+  }
+});
+
+// Reset a forgotten password: { newPassword }; signs out the account's sessions
+router.post('/users/:id/password', async (req, res) => {
+  try {
+    const { user } = await accounts.changePassword(req.params.id, req.body || {}, { force: true });
+    res.json({ status: 'success', result: user });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset password');
+  }
+});
+
+/**
+ * Usage per key between two UTC days (inclusive, default today)
+ *
+ * Query: from, to - YYYY-MM-DD
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const summary = await usage.summarize({ from: req.query.from, to: req.query.to });
+    const names = new Map((await auth.listKeys()).map(key => [key.id, key]));
+
+    summary.clients.forEach(client => {
+      const key = names.get(client.clientId);
+      client.name = key ? key.name : 'Anonymous';
+      client.revoked = Boolean(key && key.revokedAt);
+    });
+
+    res.json({ status: 'success', result: summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to summarize usage');
+  }
+});
+
+// Settings with the caption provider models and enhancement presets they select
+function describeSettings(reloadResult = null) {
+  return {
+    ...config.describe(),
+    captionProviders: captionProviders.listProviders(),
+    presets: presets.listPresets(),
+    ...(reloadResult ? { reload: reloadResult } : {})
+  };
+}
+
+// Re-read one of the JSON config files; a broken file is reported and the
+// previous content stays in use
+function reloadFile(label, reloadFn) {
+  try {
+    reloadFn();
+  } catch (error) {
+    error.statusCode = 400;
+    error.message = `Could not reload ${label}: ${error.message}`;
+    throw error;
+  }
+}
+
+router.get('/settings', (req, res) => {
+  try {
+    res.json({ status: 'success', result: describeSettings() });
+  } catch (error) {
+    sendError(res, error, 'Failed to read settings');
+  }
+});
+
+// Change reloadable settings: { settings: { NAME: value } }, null for the default.
+// They are saved to the settings file and apply without a restart.
+router.put('/settings', async (req, res) => {
+  try {
+    const result = await config.update(req.body?.settings);
+    logger.info(`⚙️ Settings changed from the admin page: ${result.changed.join(', ') || 'none'}`);
+    res.json({ status: 'success', result: describeSettings(result) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update settings');
+  }
+});
+
+// Re-read the settings file and the caption provider, preset and cost files
+router.post('/settings/reload', (req, res) => {
+  try {
+    const result = config.reload();
+    reloadFile('the caption providers', captionProviders.reloadProviders);
+    reloadFile('the enhancement presets', presets.reloadPresets);
+    reloadFile('the upstream costs', usage.reloadCosts);
+
+    logger.info(`⚙️ Settings reloaded: ${result.changed.join(', ') || 'no changes'}`);
+    if (result.restartRequired.length > 0) {
+      logger.warn(`⚠️ Changed settings that need a restart: ${result.restartRequired.join(', ')}`);
+    }
+    res.json({ status: 'success', result: describeSettings(result) });
+  } catch (error) {
+    sendError(res, error, 'Failed to reload settings');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const logger = require('../logger');
+const auth = require('../services/auth');
+const accounts = require('../services/accounts');
+const config = require('../services/config');
+const workspaces = require('../services/workspaces');
+const { sendError } = require('./errors');
+
+const router = express.Router();
+
+// Whether the paid endpoints need an API key, so clients know to ask for one,
+// and whether new accounts can be created
+router.get('/', (req, res) => {
+  res.json({
+    status: 'success',
+    result: {
+      keyRequired: auth.isKeyRequired(),
+      sessionTtlMs: auth.SESSION_TTL_MS,
+      signupOpen: config.get('ALLOW_SIGNUP')
+    }
+  });
+});
+
+// Create an account and its personal workspace, and sign in: { username, password }
+router.post('/register', async (req, res) => {
+  try {
+    const { user, isFirst } = await accounts.createUser(req.body || {});
+    await workspaces.createPersonalWorkspace(user, { adoptLegacyData: isFirst });
+    const session = await accounts.login(req.body, req.ip);
+    accounts.setSessionCookie(req, res, session);
+    res.status(201).json({ status: 'success', result: { user, expiresAt: session.expiresAt } });
+  } catch (error) {
+    sendError(res, error, 'Failed to create account');
+  }
+});
+
+// Sign in with { username, password }; the session is kept in an HttpOnly cookie
+router.post('/login', async (req, res) => {
+  try {
+    const session = await accounts.login(req.body || {}, req.ip);
+    accounts.setSessionCookie(req, res, session);
+    res.json({ status: 'success', result: { user: session.user, expiresAt: session.expiresAt } });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign in');
+  }
+});
+
+router.post('/logout', (req, res) => {
+  accounts.clearSessionCookie(res);
+  res.json({ status: 'success', message: 'Signed out' });
+});
+
+// The signed-in account and the workspaces it belongs to
+router.get('/me', accounts.requireUser, async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      result: { user: req.user, workspaces: await workspaces.listWorkspacesFor(req.user.id) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load account');
+  }
+});
+
+// { currentPassword, newPassword }; other sessions of the account are signed out
+router.put('/password', accounts.requireUser, async (req, res) => {
+  try {
+    const session = await accounts.changePassword(req.user.id, req.body || {});
+    accounts.setSessionCookie(req, res, session);
+    res.json({ status: 'success', result: { user: session.user, expiresAt: session.expiresAt } });
+  } catch (error) {
+    sendError(res, error, 'Failed to change password');
+  }
+});
+
+// Exchange an API key (X-API-Key header or "apiKey" in the body) for a session token
+router.post('/session', async (req, res) => {
+  try {
+    const key = req.get('x-api-key') || req.body?.apiKey;
+    res.json({ status: 'success', result: await auth.createSession(key) });
+  } catch (error) {
+    if (!error.statusCode) logger.error('Error creating session:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Failed to create session',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
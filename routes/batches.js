@@ -0,0 +1,195 @@
+const express = require('express');
+const logger = require('../logger');
+const config = require('../services/config');
+const batches = require('../services/batches');
+const auth = require('../services/auth');
+const owners = require('../services/owners');
+const usage = require('../services/usage');
+const resultCache = require('../services/resultCache');
+const { upload } = require('../services/uploads');
+const storage = require('../services/storage');
+const zip = require('../services/zip');
+const { sendError } = require('./errors');
+
+const router = express.Router();
+
+// SSE keep-alive so proxies don't close idle progress streams
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Load the batch for the :id routes; batches started by someone else answer
+// 404, as if they didn't exist
+async function findBatch(req, res, next) {
+  const batch = batches.getBatch(req.params.id);
+  if (!batch || !owners.isOwner(batch.owners, await owners.identify(req))) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Batch not found or expired'
+    });
+  }
+
+  req.batch = batch;
+  next();
+}
+
+// Batches carry the images in "images" and the options (provider, preset,
+// presets, overrides, cache) as a JSON string in the "options" field
+function acceptImages(req, res, next) {
+  const maxImages = config.get('BATCH_MAX_IMAGES');
+  upload.array('images', maxImages)(req, res, err => {
+    if (err) {
+      logger.error('Error in batch upload:', err);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'error',
+        message: err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `A batch can have at most ${maxImages} images`
+          : err.message
+      });
+    }
+    next();
+  });
+}
+
+function parseOptions(req) {
+  try {
+    return JSON.parse(req.body.options || '{}');
+  } catch (parseError) {
+    const error = new Error('options field must be valid JSON');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+// Start a batch; responds straight away with where to follow it
+router.post('/', auth.requireApiKey('enhance-batch'), storage.requireCapacity, acceptImages, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'Upload at least one image in the "images" field' });
+    }
+
+    const options = parseOptions(req);
+    const batch = await batches.createBatch(files, {
+      ...options,
+      bypassCache: options.cache === false || resultCache.isBypassRequested(req),
+      owners: await owners.identify(req)
+    }, {
+      // Daily quotas are checked per image, since each one is a paid call
+      beforeItem: () => usage.checkQuota(req.apiClient),
+      onUpstream: providerName => usage.recordUpstream(req, 'enhancement', providerName)
+    });
+
+    res.status(202).json({
+      status: 'success',
+      result: {
+        batch_id: batch.id,
+        status_url: `/api/enhance-batch/${batch.id}`,
+        events_url: `/api/enhance-batch/${batch.id}/events`,
+        download_url: `/api/enhance-batch/${batch.id}/download`,
+        batch: batches.serializeBatch(batch)
+      }
+    });
+  } catch (error) {
+    (req.files || []).forEach(file => storage.releaseTempFile(file.path));
+    sendError(res, error, 'Failed to start batch enhancement');
+  }
+});
+
+router.use('/:id', (req, res, next) => {
+  findBatch(req, res, next).catch(next);
+});
+
+// Current state of a batch and its items
+router.get('/:id', (req, res) => {
+  const batch = req.batch;
+
+  res.json({ status: 'success', result: batches.serializeBatch(batch) });
+});
+
+// Stream batch updates as server-sent events
+router.get('/:id/events', (req, res) => {
+  const batch = req.batch;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable buffering behind nginx
+  });
+  res.flushHeaders();
+
+  const send = current => {
+    const eventName = batches.isFinished(current) ? current.status : 'progress';
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(batches.serializeBatch(current))}\n\n`);
+  };
+
+  // Send the current state straight away so late subscribers catch up
+  send(batch);
+  if (batches.isFinished(batch)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const unsubscribe = batches.subscribe(batch.id, updated => {
+    send(updated);
+    if (batches.isFinished(updated)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+// Cancel the items that haven't finished; completed outputs stay available
+router.delete('/:id', (req, res) => {
+  const batch = req.batch;
+
+  batches.cancelBatch(batch);
+  res.json({ status: 'success', result: batches.serializeBatch(batch) });
+});
+
+// One enhanced image
+router.get('/:id/items/:index', (req, res) => {
+  const batch = req.batch;
+
+  const output = batches.getOutput(batch, req.params.index);
+  if (!output) {
+    return res.status(404).json({ status: 'error', message: 'This image has not been enhanced' });
+  }
+  res.type(output.mimeType);
+  res.sendFile(output.path);
+});
+
+// All enhanced images so far as a zip
+router.get('/:id/download', async (req, res) => {
+  const batch = req.batch;
+
+  const outputs = batches.getOutputs(batch);
+  if (outputs.length === 0) {
+    return res.status(404).json({ status: 'error', message: 'No images in this batch have been enhanced yet' });
+  }
+
+  try {
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="enhanced-${batch.id.slice(0, 8)}.zip"`
+    });
+    await zip.writeZip(res, outputs);
+    res.end();
+  } catch (error) {
+    // Once the archive has started the headers are gone; all we can do is cut it short
+    if (res.headersSent) {
+      logger.error('Error writing batch zip:', error);
+      return res.destroy(error);
+    }
+    sendError(res, error, 'Failed to create the download');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const logger = require('../logger');
+const brandKits = require('../services/brandKits');
+const { upload } = require('../services/uploads');
+const storage = require('../services/storage');
+const { requireRole } = require('../services/workspaces');
+const { sendError } = require('./errors');
+
+// Mounted at /api/workspaces/:workspaceId/brand-kits, after the workspace is
+// loaded. Every member can use the kits; changing them needs the editor role.
+const router = express.Router();
+
+const requireEditor = requireRole('editor');
+
+// Multipart saves carry the kit settings as a JSON string in the "kit"
+// field, alongside an optional "logo" file
+function parseKitBody(req) {
+  if (req.is('multipart/form-data')) {
+    try {
+      return JSON.parse(req.body.kit || '{}');
+    } catch (parseError) {
+      const error = new Error('kit field must be valid JSON');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  return req.body || {};
+}
+
+// Run multer for the logo, reporting upload errors as 400s (413 when too large)
+function acceptLogo(req, res, next) {
+  upload.single('logo')(req, res, err => {
+    if (err) {
+      logger.error('Error in brand kit upload:', err);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+    next();
+  });
+}
+
+function cleanupLogo(req) {
+  if (req.file) storage.releaseTempFile(req.file.path);
+}
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      result: { kits: await brandKits.listKits(req.workspace.id), corners: brandKits.CORNERS }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list brand kits');
+  }
+});
+
+router.post('/', requireEditor, storage.requireCapacity, acceptLogo, async (req, res) => {
+  try {
+    const kit = await brandKits.createKit(req.workspace.id, parseKitBody(req), req.file);
+    res.status(201).json({ status: 'success', result: kit });
+  } catch (error) {
+    sendError(res, error, 'Failed to create brand kit');
+  } finally {
+    cleanupLogo(req);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: await brandKits.getKit(req.workspace.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load brand kit');
+  }
+});
+
+// Update a kit; only the fields present in the body are changed
+router.put('/:id', requireEditor, storage.requireCapacity, acceptLogo, async (req, res) => {
+  try {
+    const kit = await brandKits.updateKit(req.workspace.id, req.params.id, parseKitBody(req), req.file);
+    res.json({ status: 'success', result: kit });
+  } catch (error) {
+    sendError(res, error, 'Failed to update brand kit');
+  } finally {
+    cleanupLogo(req);
+  }
+});
+
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    await brandKits.deleteKit(req.workspace.id, req.params.id);
+    res.json({ status: 'success', message: 'Brand kit deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete brand kit');
+  }
+});
+
+router.get('/:id/logo', async (req, res) => {
+  try {
+    const logo = await brandKits.getKitLogo(req.workspace.id, req.params.id);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(logo.mimeType);
+    res.sendFile(logo.path);
+  } catch (error) {
+    sendError(res, error, 'Failed to load brand kit logo');
+  }
+});
+
+module.exports = router;
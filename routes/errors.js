@@ -0,0 +1,30 @@
+const logger = require('../logger');
+
+/**
+ * Send a failed request's JSON error response
+ *
+ * Errors with a statusCode below 500 are the caller's fault: their message
+ * and code are shown as is. Anything else is logged and answered with the
+ * generic message, except upstream failures, whose message says which
+ * service failed. A retryAfter on the error becomes the Retry-After header.
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with optional statusCode, code, retryAfter and upstream
+ * @param {string} message - Generic message for unexpected failures
+ */
+function sendError(res, error, message) {
+  if (!error.statusCode || error.statusCode >= 500) {
+    logger.error(`${message}:`, error);
+  }
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode && (error.statusCode < 500 || error.upstream) ? error.message : message,
+    code: error.statusCode ? error.code : undefined,
+    error: error.message
+  });
+}
+
+module.exports = {
+  sendError
+};
@@ -0,0 +1,80 @@
+const express = require('express');
+const jobs = require('../services/jobs');
+const owners = require('../services/owners');
+
+const router = express.Router();
+
+// SSE keep-alive so proxies don't close idle progress streams
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Load the job for the :id routes; jobs started by someone else answer 404,
+// as if they didn't exist
+async function findJob(req, res, next) {
+  const job = jobs.getJob(req.params.id);
+  if (!job || !owners.isOwner(job.owners, await owners.identify(req))) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Job not found or expired'
+    });
+  }
+
+  req.job = job;
+  next();
+}
+
+router.use('/:id', (req, res, next) => {
+  findJob(req, res, next).catch(next);
+});
+
+// Get the current state of a job, including its result once finished
+router.get('/:id', (req, res) => {
+  const job = req.job;
+
+  res.json({
+    status: 'success',
+    result: jobs.serializeJob(job, { includeResult: true })
+  });
+});
+
+// Stream job stage transitions as server-sent events
+router.get('/:id/events', (req, res) => {
+  const job = req.job;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable buffering behind nginx
+  });
+  res.flushHeaders();
+
+  const send = current => {
+    const eventName = jobs.isFinished(current) ? current.status : 'progress';
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(jobs.serializeJob(current))}\n\n`);
+  };
+
+  // Send the current state straight away so late subscribers catch up
+  send(job);
+  if (jobs.isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const unsubscribe = jobs.subscribe(job.id, updated => {
+    send(updated);
+    if (jobs.isFinished(updated)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+module.exports = router;
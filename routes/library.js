@@ -0,0 +1,18 @@
+const express = require('express');
+const library = require('../services/library');
+const { sendError } = require('./errors');
+
+// Mounted at /api/workspaces/:workspaceId/library, after the workspace is loaded
+const router = express.Router();
+
+// Media of the workspace's posts, newest first
+// (?q= caption/title/name, ?tag=, ?from=&to= dates, ?kind=image|video, ?limit=&offset=)
+router.get('/', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: await library.searchMedia(req.workspace.id, req.query) });
+  } catch (error) {
+    sendError(res, error, 'Failed to search the media library');
+  }
+});
+
+module.exports = router;
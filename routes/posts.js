@@ -0,0 +1,139 @@
+const express = require('express');
+const fs = require('fs');
+const logger = require('../logger');
+const posts = require('../services/posts');
+const { upload } = require('../services/uploads');
+const storage = require('../services/storage');
+const { requireRole } = require('../services/workspaces');
+const { sendError } = require('./errors');
+
+// Mounted at /api/workspaces/:workspaceId/posts, after the workspace is loaded
+const router = express.Router();
+const requireEditor = requireRole('editor');
+
+// Multipart saves carry the post fields as a JSON string in the "post" field,
+// alongside any media files referenced by their field names
+function parsePostBody(req) {
+  if (req.is('multipart/form-data')) {
+    try {
+      return JSON.parse(req.body.post || '{}');
+    } catch (parseError) {
+      const error = new Error('post field must be valid JSON');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  return req.body || {};
+}
+
+// Remove temp uploads that were not moved into the post store
+function cleanupUploads(files) {
+  (files || []).forEach(file => {
+    fs.unlink(file.path, () => {});
+  });
+}
+
+// Run multer for any file fields, reporting upload errors as 400s
+function acceptUploads(req, res, next) {
+  upload.any()(req, res, err => {
+    if (err) {
+      logger.error('Error in post upload:', err);
+      return res.status(400).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+    next();
+  });
+}
+
+// List saved posts, most recently updated first
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      result: { posts: await posts.listPosts(req.workspace.id) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list posts');
+  }
+});
+
+// Create a new post draft
+router.post('/', requireEditor, storage.requireCapacity, acceptUploads, async (req, res) => {
+  try {
+    const post = await posts.createPost(req.workspace.id, req.user, parsePostBody(req), req.files);
+    res.status(201).json({ status: 'success', result: post });
+  } catch (error) {
+    sendError(res, error, 'Failed to create post');
+  } finally {
+    cleanupUploads(req.files);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: await posts.getPost(req.workspace.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load post');
+  }
+});
+
+// Update a post; only the fields present in the body are changed
+router.put('/:id', requireEditor, storage.requireCapacity, acceptUploads, async (req, res) => {
+  try {
+    const post = await posts.updatePost(req.workspace.id, req.params.id, parsePostBody(req), req.files);
+    res.json({ status: 'success', result: post });
+  } catch (error) {
+    sendError(res, error, 'Failed to update post');
+  } finally {
+    cleanupUploads(req.files);
+  }
+});
+
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    await posts.deletePost(req.workspace.id, req.params.id);
+    res.json({ status: 'success', message: 'Post deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete post');
+  }
+});
+
+router.post('/:id/duplicate', requireEditor, async (req, res) => {
+  try {
+    const post = await posts.duplicatePost(req.workspace.id, req.params.id, req.user);
+    res.status(201).json({ status: 'success', result: post });
+  } catch (error) {
+    sendError(res, error, 'Failed to duplicate post');
+  }
+});
+
+// Submit a post for approval, withdraw it, approve it or ask for changes
+router.post('/:id/approval', requireEditor, async (req, res) => {
+  try {
+    const post = await posts.reviewPost(req.workspace.id, req.params.id, req.user, req.body || {});
+    res.json({ status: 'success', result: post });
+  } catch (error) {
+    sendError(res, error, 'Failed to update approval');
+  }
+});
+
+// Download a stored media file
+router.get('/:id/files/:fileId', async (req, res) => {
+  try {
+    const file = await posts.getPostFile(req.workspace.id, req.params.id, req.params.fileId);
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (file.inline) {
+      res.type(file.mimeType);
+    } else {
+      res.type('application/octet-stream');
+      res.attachment(file.name || req.params.fileId);
+    }
+    res.sendFile(file.path);
+  } catch (error) {
+    sendError(res, error, 'Failed to load post file');
+  }
+});
+
+module.exports = router;
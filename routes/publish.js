@@ -0,0 +1,85 @@
+const express = require('express');
+const logger = require('../logger');
+const connectors = require('../providers/publishing');
+const publishing = require('../services/publishing');
+const { upload } = require('../services/uploads');
+const storage = require('../services/storage');
+const posts = require('../services/posts');
+const { requireRole } = require('../services/workspaces');
+const { sendError } = require('./errors');
+
+// Mounted at /api/workspaces/:workspaceId/publish, after the workspace is loaded
+const router = express.Router();
+
+// Upper bound across connectors; each connector checks its own limit
+const MAX_UPLOAD_MEDIA = 20;
+
+// Publish requests carry the media in "media" and the post (caption,
+// hashtags, scheduledAt, postId) as a JSON string in the "post" field. In
+// workspaces that require approval only scheduledAt and postId are used.
+function acceptMedia(req, res, next) {
+  upload.array('media', MAX_UPLOAD_MEDIA)(req, res, err => {
+    if (err) {
+      logger.error('Error in publish upload:', err);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'error',
+        message: err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `At most ${MAX_UPLOAD_MEDIA} media files can be published at once`
+          : err.message
+      });
+    }
+    next();
+  });
+}
+
+function parsePost(req) {
+  try {
+    return JSON.parse(req.body.post || '{}');
+  } catch (parseError) {
+    const error = new Error('post field must be valid JSON');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+// Connectors with their capabilities and whether they are set up
+router.get('/', (req, res) => {
+  try {
+    res.json({ status: 'success', result: { connectors: connectors.listConnectors() } });
+  } catch (error) {
+    sendError(res, error, 'Failed to list publishing connectors');
+  }
+});
+
+// Publication history, most recent first (?postId= for one post)
+router.get('/history', async (req, res) => {
+  try {
+    const publications = await publishing.listPublications(req.workspace.id, { postId: req.query.postId });
+    res.json({ status: 'success', result: { publications } });
+  } catch (error) {
+    sendError(res, error, 'Failed to load publication history');
+  }
+});
+
+router.post('/:connector', requireRole('editor'), storage.requireCapacity, acceptMedia, async (req, res) => {
+  try {
+    const post = parsePost(req);
+
+    // Approved posts go out as approved, not as uploaded
+    const approved = await posts.getApprovedContent(req.workspace, post.postId);
+    const publication = approved
+      ? await publishing.publish(req.workspace.id, req.params.connector, {
+        scheduledAt: post.scheduledAt,
+        caption: approved.caption,
+        postId: approved.postId
+      }, approved.files, req.user)
+      : await publishing.publish(req.workspace.id, req.params.connector, post, req.files || [], req.user);
+    res.status(201).json({ status: 'success', result: publication });
+  } catch (error) {
+    sendError(res, error, 'Failed to publish post');
+  } finally {
+    (req.files || []).forEach(file => storage.releaseTempFile(file.path));
+  }
+});
+
+module.exports = router;
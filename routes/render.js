@@ -0,0 +1,125 @@
+const express = require('express');
+const fs = require('fs');
+const logger = require('../logger');
+const render = require('../services/render');
+const brandKits = require('../services/brandKits');
+const mediaValidation = require('../services/mediaValidation');
+const { upload } = require('../services/uploads');
+const storage = require('../services/storage');
+const { sendError } = require('./errors');
+
+// Mounted at /api/workspaces/:workspaceId/render, after the workspace is
+// loaded, so brand kits are looked up in that workspace
+const router = express.Router();
+
+// Only still images can be composed into cards and collages
+const RENDER_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Multipart render requests carry the files in "images" and the render
+// options as a JSON string in the "options" field
+function acceptRenderUploads(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.array('images', render.MAX_IMAGES)(req, res, err => {
+    if (err) {
+      logger.error('Error in render upload:', err);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'error',
+        message: err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `At most ${render.MAX_IMAGES} images can be rendered at once`
+          : err.message
+      });
+    }
+
+    try {
+      req.body = { ...req.body, ...JSON.parse(req.body.options || '{}') };
+      next();
+    } catch (parseError) {
+      (req.files || []).forEach(file => storage.releaseTempFile(file.path));
+      res.status(400).json({
+        status: 'error',
+        message: 'options field must be valid JSON'
+      });
+    }
+  });
+}
+
+// Uploaded files are read from disk; JSON requests carry base64 "images"
+async function collectImages(req) {
+  const buffers = req.files && req.files.length > 0
+    ? await Promise.all(req.files.map(file => fs.promises.readFile(file.path)))
+    : (Array.isArray(req.body.images) ? req.body.images : []).map(data => {
+      const text = String(data || '');
+      return Buffer.from(text.includes('base64,') ? text.split('base64,')[1] : text, 'base64');
+    });
+
+  const images = [];
+  for (const buffer of buffers) {
+    const image = await mediaValidation.validateMedia(buffer, { allowedFormats: RENDER_FORMATS });
+    images.push({ buffer: image.buffer, orientation: image.orientation });
+  }
+  return images;
+}
+
+// Templates, fonts and formats the renderer supports
+router.get('/templates', (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      result: {
+        templates: render.listTemplates(),
+        fonts: render.listFonts(),
+        formats: ['png', 'jpeg'],
+        maxImages: render.MAX_IMAGES
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list render templates');
+  }
+});
+
+/**
+ * Render a captioned card, collage or carousel
+ *
+ * Body (JSON, or the "options" field of a multipart request with "images" files):
+ *   images     - base64 images (JSON requests only)
+ *   template   - card, square, portrait, story, carousel or original
+ *   caption, font, fontSize, colors { background, text, accent, divider },
+ *   brandLabel, format (png/jpeg), quality (0-1)
+ *   brandKit   - kit id to watermark with, "default" (the default) or null for none
+ *   response   - "json" for base64 slides instead of the image itself
+ *
+ * A single page responds with the image unless JSON is requested; several
+ * pages, and carousels, respond with JSON slides.
+ */
+router.post('/', storage.requireCapacity, acceptRenderUploads, async (req, res) => {
+  try {
+    const options = render.normalizeRenderOptions(req.body);
+    const images = await collectImages(req);
+    const watermark = await brandKits.resolveWatermark(req.workspace.id, options.brandKit);
+    const output = await render.render(images, options, watermark);
+
+    if (output.slides.length === 1 && options.template !== 'carousel' && req.body.response !== 'json') {
+      res.type(output.mimeType);
+      res.set('Content-Disposition', `inline; filename="imakol-${options.template}.${options.format === 'jpeg' ? 'jpg' : 'png'}"`);
+      return res.send(output.slides[0]);
+    }
+
+    res.json({
+      status: 'success',
+      result: {
+        template: options.template,
+        mime_type: output.mimeType,
+        width: output.width,
+        height: output.height,
+        slides: output.slides.map(slide => ({ image_base64: slide.toString('base64') }))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to render image');
+  } finally {
+    (req.files || []).forEach(file => storage.releaseTempFile(file.path));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const logger = require('../logger');
+const scheduler = require('../services/scheduler');
+const { upload } = require('../services/uploads');
+const storage = require('../services/storage');
+const posts = require('../services/posts');
+const { requireRole } = require('../services/workspaces');
+const { sendError } = require('./errors');
+
+// Mounted at /api/workspaces/:workspaceId/schedule, after the workspace is loaded
+const router = express.Router();
+const requireEditor = requireRole('editor');
+
+const MAX_UPLOAD_MEDIA = 20;
+
+// New entries carry the media in "media" and the entry (caption, hashtags,
+// runAt, target, postId) as a JSON string in the "entry" field. In
+// workspaces that require approval only runAt, target and postId are used.
+function acceptMedia(req, res, next) {
+  upload.array('media', MAX_UPLOAD_MEDIA)(req, res, err => {
+    if (err) {
+      logger.error('Error in schedule upload:', err);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'error',
+        message: err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `A scheduled post can have at most ${MAX_UPLOAD_MEDIA} media files`
+          : err.message
+      });
+    }
+    next();
+  });
+}
+
+function parseEntry(req) {
+  try {
+    return JSON.parse(req.body.entry || '{}');
+  } catch (parseError) {
+    const error = new Error('entry field must be valid JSON');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+// Scheduled posts by run time (?from=&to= ISO dates, ?status=)
+router.get('/', async (req, res) => {
+  try {
+    const entries = await scheduler.listEntries(req.workspace.id, {
+      from: req.query.from,
+      to: req.query.to,
+      status: req.query.status
+    });
+    res.json({ status: 'success', result: { entries } });
+  } catch (error) {
+    sendError(res, error, 'Failed to load scheduled posts');
+  }
+});
+
+router.post('/', requireEditor, storage.requireCapacity, acceptMedia, async (req, res) => {
+  try {
+    const data = parseEntry(req);
+
+    // Approved posts are scheduled as approved, and checked again when they run
+    const approved = await posts.getApprovedContent(req.workspace, data.postId);
+    const entry = approved
+      ? await scheduler.createEntry(req.workspace.id, req.user, {
+        runAt: data.runAt,
+        target: data.target,
+        caption: approved.caption,
+        postId: approved.postId
+      }, approved.files, { approvedSignature: approved.signature })
+      : await scheduler.createEntry(req.workspace.id, req.user, data, req.files || []);
+    res.status(201).json({ status: 'success', result: entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to schedule post');
+  } finally {
+    (req.files || []).forEach(file => storage.releaseTempFile(file.path));
+  }
+});
+
+// Reschedule: { runAt, target? }
+router.patch('/:id', requireEditor, async (req, res) => {
+  try {
+    const entry = await scheduler.rescheduleEntry(req.workspace.id, req.params.id, req.body || {});
+    res.json({ status: 'success', result: entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to reschedule post');
+  }
+});
+
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const entry = await scheduler.cancelEntry(req.workspace.id, req.params.id);
+    res.json({ status: 'success', result: entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel scheduled post');
+  }
+});
+
+// Media of a scheduled post, for calendar thumbnails
+router.get('/:id/media/:index', async (req, res) => {
+  try {
+    const file = await scheduler.getEntryMedia(req.workspace.id, req.params.id, req.params.index);
+    res.type(file.mimeType);
+    res.sendFile(file.path);
+  } catch (error) {
+    sendError(res, error, 'Failed to load scheduled media');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const fs = require('fs');
+const logger = require('../logger');
+const video = require('../services/video');
+const accounts = require('../services/accounts');
+const jobs = require('../services/jobs');
+const owners = require('../services/owners');
+const mediaValidation = require('../services/mediaValidation');
+const { upload } = require('../services/uploads');
+const storage = require('../services/storage');
+const { sendError } = require('./errors');
+
+const router = express.Router();
+
+const VIDEO_FORMATS = ['mp4', 'mov', 'webm'];
+
+// Processing requests carry the file in "video" and the options (preset,
+// start, end, fit, caption, burnCaption) as a JSON string in "options"
+function acceptVideo(req, res, next) {
+  upload.single('video')(req, res, err => {
+    if (err) {
+      logger.error('Error in video upload:', err);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+
+    try {
+      req.videoOptions = JSON.parse(req.body.options || '{}');
+      next();
+    } catch (parseError) {
+      storage.releaseTempFile(req.file && req.file.path);
+      res.status(400).json({
+        status: 'error',
+        message: 'options field must be valid JSON'
+      });
+    }
+  });
+}
+
+// Output presets clients can pick from
+router.get('/presets', (req, res) => {
+  res.json({ status: 'success', result: video.listVideoPresets() });
+});
+
+// Trim and transcode a video to MP4 as a job; the result links to the
+// video and a poster image through signed temp URLs. Needs a signed-in account.
+router.post('/process', accounts.requireUser, storage.requireCapacity, acceptVideo, async (req, res) => {
+  const inputPath = req.file && req.file.path;
+
+  try {
+    if (!inputPath) {
+      return res.status(400).json({ status: 'error', message: 'Upload a video in the "video" field' });
+    }
+
+    // Check the file and options up front so mistakes fail the request, not the job
+    const media = await mediaValidation.validateMedia(await fs.promises.readFile(inputPath), { allowedFormats: VIDEO_FORMATS });
+    const info = await video.probeVideo(inputPath);
+    const settings = video.resolveVideoSettings(info, req.videoOptions);
+    logger.info(`🎬 Processing ${media.format} video (${info.width}x${info.height}) with preset ${settings.preset}`);
+
+    const job = jobs.runJob('video', async onProgress => {
+      const outputPath = storage.createTempPath('mp4');
+      try {
+        await storage.ensureCapacity(media.buffer.length);
+        await video.transcodeVideo(inputPath, outputPath, settings, onProgress);
+
+        onProgress('poster', 92);
+        const output = await video.probeVideo(outputPath);
+        const posterPath = await storage.createTempFile(await video.createPoster(outputPath, output.duration), 'jpg');
+        const { size } = await fs.promises.stat(outputPath);
+
+        return {
+          video_url: storage.createSignedUrl(outputPath),
+          poster_url: storage.createSignedUrl(posterPath),
+          mime_type: 'video/mp4',
+          preset: settings.preset,
+          duration: output.duration,
+          width: output.width,
+          height: output.height,
+          size
+        };
+      } catch (error) {
+        await storage.releaseTempFile(outputPath);
+        throw error;
+      } finally {
+        await storage.releaseTempFile(inputPath);
+      }
+    }, { owners: await owners.identify(req) });
+
+    res.status(202).json({
+      status: 'success',
+      result: {
+        job_id: job.id,
+        status_url: `/api/jobs/${job.id}`,
+        events_url: `/api/jobs/${job.id}/events`
+      }
+    });
+  } catch (error) {
+    await storage.releaseTempFile(inputPath);
+    sendError(res, error, 'Failed to process video');
+  }
+});
+
+module.exports = router;
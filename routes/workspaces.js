@@ -0,0 +1,98 @@
+const express = require('express');
+const accounts = require('../services/accounts');
+const workspaces = require('../services/workspaces');
+const postsRouter = require('./posts');
+const libraryRouter = require('./library');
+const publishRouter = require('./publish');
+const scheduleRouter = require('./schedule');
+const brandKitsRouter = require('./brandKits');
+const renderRouter = require('./render');
+const { sendError } = require('./errors');
+
+const router = express.Router();
+const requireOwner = workspaces.requireRole('owner');
+
+// Every workspace route needs a signed-in user
+router.use(accounts.requireUser);
+
+// Workspaces the signed-in user belongs to, with their role in each
+router.get('/', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: { workspaces: await workspaces.listWorkspacesFor(req.user.id) } });
+  } catch (error) {
+    sendError(res, error, 'Failed to list workspaces');
+  }
+});
+
+// Create a workspace owned by the signed-in user: { name }
+router.post('/', async (req, res) => {
+  try {
+    const workspace = await workspaces.createWorkspace(req.user, req.body || {});
+    res.status(201).json({ status: 'success', result: workspaces.summarizeWorkspace(workspace, req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create workspace');
+  }
+});
+
+// Everything below is for members of the workspace only
+router.use('/:workspaceId', workspaces.loadWorkspace);
+
+router.get('/:workspaceId', async (req, res) => {
+  try {
+    res.json({ status: 'success', result: await workspaces.describeWorkspace(req.workspace, req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load workspace');
+  }
+});
+
+// Rename the workspace or change whether posts need approval: { name, requireApproval }
+router.patch('/:workspaceId', requireOwner, async (req, res) => {
+  try {
+    const workspace = await workspaces.updateSettings(req.workspace.id, req.body || {});
+    res.json({ status: 'success', result: await workspaces.describeWorkspace(workspace, req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update workspace');
+  }
+});
+
+// Add an existing account: { username, role }
+router.post('/:workspaceId/members', requireOwner, async (req, res) => {
+  try {
+    const workspace = await workspaces.addMember(req.workspace.id, req.body || {});
+    res.status(201).json({ status: 'success', result: await workspaces.describeWorkspace(workspace, req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to add member');
+  }
+});
+
+// Change a member's role: { role }
+router.patch('/:workspaceId/members/:userId', requireOwner, async (req, res) => {
+  try {
+    const workspace = await workspaces.updateMember(req.workspace.id, req.params.userId, req.body || {});
+    res.json({ status: 'success', result: await workspaces.describeWorkspace(workspace, req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update member');
+  }
+});
+
+// Owners remove members; anyone can leave
+router.delete('/:workspaceId/members/:userId', (req, res, next) => {
+  if (req.params.userId === req.user.id) return next();
+  requireOwner(req, res, next);
+}, async (req, res) => {
+  try {
+    const workspace = await workspaces.removeMember(req.workspace.id, req.params.userId);
+    res.json({ status: 'success', result: await workspaces.describeWorkspace(workspace, req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove member');
+  }
+});
+
+router.use('/:workspaceId/posts', postsRouter);
+router.use('/:workspaceId/library', libraryRouter);
+router.use('/:workspaceId/publish', publishRouter);
+router.use('/:workspaceId/schedule', scheduleRouter);
+router.use('/:workspaceId/brand-kits', brandKitsRouter);
+router.use('/:workspaceId/render', renderRouter);
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('../logger');
+const config = require('./config');
+const { getDataDir, readJson, writeJson } = require('./dataStore');
+
+/**
+ * User accounts with local username/password sign-in
+ *
+ * Accounts are stored in DATA_DIR/auth/users.json with scrypt password
+ * hashes. Signing in sets an HttpOnly, SameSite=Lax session cookie holding a
+ * signed token (<userId>.<version>.<expires>.<signature>), so workspace media
+ * also loads in <img> tags. Changing a password bumps the version, which
+ * signs out every other session of that account.
+ *
+ * Anyone can create an account while ALLOW_SIGNUP is on; the first account
+ * can always be created, and admins can create more through the admin API.
+ * Sign-ins are refused for a while after repeated wrong passwords.
+ */
+
+const SESSION_COOKIE = 'imakol_session';
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Without a configured secret, sign-ins only last as long as this process
+const SESSION_SECRET = config.get('AUTH_SESSION_SECRET') || crypto.randomBytes(32).toString('hex');
+
+// Compared against when the username doesn't exist, so the response time
+// doesn't tell which usernames do
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(128)}`;
+
+const failedLogins = new Map();
+let usersCache = null;
+
+// Account changes are chained so concurrent sign-ups can't take the same name
+let usersUpdate = Promise.resolve();
+
+function accountError(message, statusCode = 400, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+function usersFile() {
+  return getDataDir('auth', 'users.json');
+}
+
+async function readUsers() {
+  if (!usersCache) {
+    usersCache = await readJson(usersFile(), []);
+  }
+  return usersCache;
+}
+
+// Run a change against the account list and save it
+function updateUsers(change) {
+  const result = usersUpdate.then(async () => {
+    const users = [...await readUsers()];
+    const value = await change(users);
+    await writeJson(usersFile(), users);
+    usersCache = users;
+    return value;
+  });
+  usersUpdate = result.catch(() => {});
+  return result;
+}
+
+// Account as shown to clients and other members, never including the hash
+function publicUser(record) {
+  return {
+    id: record.id,
+    username: record.username,
+    createdAt: record.createdAt
+  };
+}
+
+function normalizeUsername(value) {
+  const username = String(value || '').trim().toLowerCase();
+  if (!USERNAME_PATTERN.test(username)) {
+    throw accountError('Usernames are 3 to 32 letters, digits, dots, dashes or underscores, starting with a letter or digit');
+  }
+  return username;
+}
+
+function validatePassword(value) {
+  if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH || value.length > MAX_PASSWORD_LENGTH) {
+    throw accountError(`Passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  return value;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [, saltHex, hashHex] = String(stored).split(':');
+  const expected = Buffer.from(hashHex || '', 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex || '', 'hex'), 64);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+async function getUser(id) {
+  const record = ID_PATTERN.test(String(id)) && (await readUsers()).find(user => user.id === id);
+  return record ? publicUser(record) : null;
+}
+
+async function findByUsername(username) {
+  const name = String(username || '').trim().toLowerCase();
+  const record = (await readUsers()).find(user => user.username === name);
+  return record ? publicUser(record) : null;
+}
+
+async function listUsers() {
+  return (await readUsers()).map(publicUser);
+}
+
+/**
+ * Create an account
+ *
+ * @param {Object} data - { username, password }
+ * @param {Object} options - { force } to create it even with sign-up closed (admin API)
+ * @returns {Promise<Object>} { user, isFirst } - isFirst for the first account on this server
+ */
+async function createUser({ username, password } = {}, { force = false } = {}) {
+  const name = normalizeUsername(username);
+  const passwordHash = await hashPassword(validatePassword(password));
+
+  return updateUsers(users => {
+    if (users.length > 0 && !force && !config.get('ALLOW_SIGNUP')) {
+      throw accountError('Sign-up is closed on this server. Ask an administrator for an account.', 403, 'signup_closed');
+    }
+    if (users.some(user => user.username === name)) {
+      throw accountError(`The username "${name}" is taken`, 409, 'username_taken');
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      username: name,
+      passwordHash,
+      sessionVersion: 1,
+      createdAt: new Date().toISOString()
+    };
+    users.push(record);
+    logger.info(`👤 Created account ${name}`);
+    return { user: publicUser(record), isFirst: users.length === 1 };
+  });
+}
+
+function signSession(userId, version, expires) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(`user:${userId}:${version}:${expires}`).digest('hex');
+}
+
+function createSession(record) {
+  const expires = Date.now() + config.get('USER_SESSION_TTL_MS');
+  return {
+    user: publicUser(record),
+    token: `${record.id}.${record.sessionVersion}.${expires}.${signSession(record.id, record.sessionVersion, expires)}`,
+    expiresAt: new Date(expires).toISOString()
+  };
+}
+
+// Refuse sign-ins to a username from an address after too many wrong passwords
+function checkFailedLogins(key) {
+  const entry = failedLogins.get(key);
+  if (entry && entry.count >= MAX_FAILED_LOGINS && entry.resetAt > Date.now()) {
+    const error = accountError('Too many failed sign-ins. Please try again later.', 429, 'rate_limited');
+    error.retryAfter = Math.ceil((entry.resetAt - Date.now()) / 1000);
+    throw error;
+  }
+}
+
+function recordFailedLogin(key) {
+  const now = Date.now();
+  const entry = failedLogins.get(key);
+  if (!entry || entry.resetAt <= now) {
+    failedLogins.set(key, { count: 1, resetAt: now + FAILED_LOGIN_WINDOW_MS });
+  } else {
+    entry.count += 1;
+  }
+}
+
+function pruneFailedLogins() {
+  const now = Date.now();
+  failedLogins.forEach((entry, key) => {
+    if (entry.resetAt <= now) failedLogins.delete(key);
+  });
+}
+
+/**
+ * Check a username and password
+ *
+ * @param {Object} credentials - { username, password }
+ * @param {string} ip - client address, for throttling wrong passwords
+ * @returns {Promise<Object>} { user, token, expiresAt }
+ */
+async function login({ username, password } = {}, ip) {
+  const name = String(username || '').trim().toLowerCase();
+  const throttleKey = `${ip}:${name}`;
+  checkFailedLogins(throttleKey);
+
+  const record = (await readUsers()).find(user => user.username === name);
+  const valid = await verifyPassword(password || '', record ? record.passwordHash : DUMMY_HASH);
+  if (!record || !valid) {
+    recordFailedLogin(throttleKey);
+    throw accountError('Wrong username or password', 401, 'login_failed');
+  }
+
+  failedLogins.delete(throttleKey);
+  return createSession(record);
+}
+
+/**
+ * Set a new password and sign out the account's other sessions
+ *
+ * @param {string} userId
+ * @param {Object} data - { currentPassword, newPassword }; currentPassword is
+ *   not needed with { force } (admin API)
+ * @returns {Promise<Object>} a new session for the caller
+ */
+async function changePassword(userId, { currentPassword, newPassword } = {}, { force = false } = {}) {
+  const passwordHash = await hashPassword(validatePassword(newPassword));
+  const current = (await readUsers()).find(user => user.id === userId);
+  if (!current) throw accountError('Account not found', 404);
+  if (!force && !await verifyPassword(currentPassword || '', current.passwordHash)) {
+    throw accountError('The current password is wrong', 403, 'login_failed');
+  }
+
+  return updateUsers(users => {
+    const index = users.findIndex(user => user.id === userId);
+    if (index === -1) throw accountError('Account not found', 404);
+
+    const record = { ...users[index], passwordHash, sessionVersion: users[index].sessionVersion + 1 };
+    users[index] = record;
+    logger.info(`👤 Changed the password of ${record.username}`);
+    return createSession(record);
+  });
+}
+
+function readSessionCookie(req) {
+  for (const cookie of (req.get('cookie') || '').split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Resolve the session cookie to its account, or null
+async function authenticate(req) {
+  const token = readSessionCookie(req);
+  if (!token) return null;
+
+  const [userId, versionText, expiresText, signature] = token.split('.');
+  const version = parseInt(versionText, 10);
+  const expires = parseInt(expiresText, 10);
+  if (!signature || !(expires > Date.now())) return null;
+
+  const expected = signSession(userId, version, expires);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const record = (await readUsers()).find(user => user.id === userId);
+  return record && record.sessionVersion === version ? publicUser(record) : null;
+}
+
+function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    expires: new Date(session.expiresAt)
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Express middleware for routes that need a signed-in user (req.user)
+async function requireUser(req, res, next) {
+  try {
+    req.user = await authenticate(req);
+  } catch (error) {
+    logger.error('Error checking the session:', error);
+    return res.status(500).json({ status: 'error', message: 'Failed to check the session', error: error.message });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Please sign in to continue',
+      code: 'login_required'
+    });
+  }
+  next();
+}
+
+setInterval(pruneFailedLogins, 5 * 60 * 1000).unref();
+
+module.exports = {
+  getUser,
+  findByUsername,
+  listUsers,
+  createUser,
+  login,
+  changePassword,
+  authenticate,
+  setSessionCookie,
+  clearSessionCookie,
+  requireUser
+};
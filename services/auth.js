@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+const config = require('./config');
+const usage = require('./usage');
+const { getDataDir, readJson, writeJson } = require('./dataStore');
+
+/**
+ * API keys, session tokens and rate limits for the paid endpoints
+ *
+ * Keys are created through the admin API and stored hashed in
+ * DATA_DIR/auth/keys.json; the key itself is only shown once. Clients send
+ * it as "X-API-Key" or "Authorization: Bearer <key>", or exchange it for a
+ * short-lived session token (same header) so browsers do not keep the key.
+ *
+ * With REQUIRE_API_KEY unset, requests without a key are still admitted and
+ * metered, rate limited per client IP.
+ */
+
+const REQUIRE_API_KEY = config.get('REQUIRE_API_KEY');
+const ADMIN_TOKEN = config.get('ADMIN_TOKEN') || '';
+const SESSION_TTL_MS = config.get('SESSION_TTL_MS');
+
+// Defaults for keys without their own limits; 0 means unlimited. Read per
+// request so they can be reloaded.
+function getDefaultRateLimit() {
+  return {
+    requests: config.get('RATE_LIMIT_REQUESTS'),
+    windowMs: config.get('RATE_LIMIT_WINDOW_MS')
+  };
+}
+
+function getDefaultQuota() {
+  return {
+    requests: config.get('DAILY_QUOTA_REQUESTS'),
+    bytes: config.get('DAILY_QUOTA_BYTES'),
+    cost: config.get('DAILY_QUOTA_COST')
+  };
+}
+
+// Without a configured secret, session tokens are only valid for this process
+const SESSION_SECRET = config.get('AUTH_SESSION_SECRET') || crypto.randomBytes(32).toString('hex');
+
+const KEY_PREFIX = 'imk_';
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const rateWindows = new Map();
+let keysCache = null;
+
+function authError(message, statusCode = 401) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Compare secrets without leaking their length or content through timing
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(
+    Buffer.from(hashKey(String(a))),
+    Buffer.from(hashKey(String(b)))
+  );
+}
+
+function keysFile() {
+  return getDataDir('auth', 'keys.json');
+}
+
+async function readKeys() {
+  if (!keysCache) {
+    keysCache = await readJson(keysFile(), []);
+  }
+  return keysCache;
+}
+
+async function writeKeys(keys) {
+  await writeJson(keysFile(), keys);
+  keysCache = keys;
+}
+
+// Key record as shown to admins, never including the hash
+function publicKey(record) {
+  const { keyHash, ...rest } = record;
+  return rest;
+}
+
+function pickLimit(name, value, fields) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  if (typeof value !== 'object') {
+    throw authError(`${name} must be an object or null`, 400);
+  }
+
+  const limit = {};
+  fields.forEach(field => {
+    if (value[field] === undefined) return;
+    const number = Number(value[field]);
+    if (!Number.isFinite(number) || number < 0) {
+      throw authError(`${name}.${field} must be a number of at least 0`, 400);
+    }
+    limit[field] = number;
+  });
+  return limit;
+}
+
+// Apply the fields present in an admin request to a key record
+function applyKeyChanges(record, data) {
+  if (data.name !== undefined) {
+    record.name = String(data.name).trim().slice(0, 80) || 'Unnamed key';
+  }
+
+  const rateLimit = pickLimit('rateLimit', data.rateLimit, ['requests', 'windowMs']);
+  if (rateLimit !== undefined) record.rateLimit = rateLimit;
+
+  const quota = pickLimit('quota', data.quota, ['requests', 'bytes', 'cost']);
+  if (quota !== undefined) record.quota = quota;
+
+  record.updatedAt = new Date().toISOString();
+  return record;
+}
+
+async function listKeys() {
+  return (await readKeys()).map(publicKey);
+}
+
+/**
+ * Create an API key
+ *
+ * @param {Object} data - { name, rateLimit: { requests, windowMs }, quota: { requests, bytes, cost } }
+ * @returns {Promise<Object>} the key record plus "key", the only time it is returned
+ */
+async function createKey(data = {}) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  const now = new Date().toISOString();
+  const record = applyKeyChanges({
+    id: crypto.randomUUID(),
+    name: 'Unnamed key',
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    rateLimit: null,
+    quota: null,
+    createdAt: now,
+    revokedAt: null
+  }, data);
+
+  await writeKeys([...await readKeys(), record]);
+  logger.info(`🔑 Created API key ${record.id} (${record.name})`);
+  return { ...publicKey(record), key };
+}
+
+async function updateKey(id, data) {
+  const keys = await readKeys();
+  const record = keys.find(candidate => candidate.id === id);
+  if (!ID_PATTERN.test(id) || !record) throw authError('API key not found', 404);
+
+  applyKeyChanges(record, data);
+  await writeKeys(keys);
+  return publicKey(record);
+}
+
+// Revoked keys stay in the store so usage reports can still name them
+async function revokeKey(id) {
+  const keys = await readKeys();
+  const record = keys.find(candidate => candidate.id === id);
+  if (!ID_PATTERN.test(id) || !record) throw authError('API key not found', 404);
+
+  record.revokedAt = record.revokedAt || new Date().toISOString();
+  await writeKeys(keys);
+  logger.info(`🔑 Revoked API key ${id}`);
+  return publicKey(record);
+}
+
+function signSession(keyId, expires) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(`${keyId}:${expires}`).digest('hex');
+}
+
+// Resolve a key or session token to its active key record
+async function findKey(credential) {
+  const keys = await readKeys();
+
+  if (credential.startsWith(KEY_PREFIX)) {
+    const keyHash = hashKey(credential);
+    return keys.find(record => record.keyHash === keyHash && !record.revokedAt) || null;
+  }
+
+  // Session tokens: <keyId>.<expires>.<signature>
+  const [keyId, expiresText, signature] = credential.split('.');
+  const expires = parseInt(expiresText, 10);
+  if (!keyId || !signature || !(expires > Date.now())) return null;
+  if (!safeEqual(signature, signSession(keyId, expires))) return null;
+  return keys.find(record => record.id === keyId && !record.revokedAt) || null;
+}
+
+function readCredential(req) {
+  const header = req.get('authorization') || '';
+  if (/^bearer /i.test(header)) return header.slice(7).trim();
+  return (req.get('x-api-key') || '').trim();
+}
+
+/**
+ * Exchange an API key for a session token
+ *
+ * @param {string} key - API key (session tokens cannot be renewed this way)
+ * @returns {Promise<Object>} { token, expiresAt, name }
+ */
+async function createSession(key) {
+  const record = key && String(key).startsWith(KEY_PREFIX) ? await findKey(String(key)) : null;
+  if (!record) throw authError('Invalid API key');
+
+  const expires = Date.now() + SESSION_TTL_MS;
+  return {
+    token: `${record.id}.${expires}.${signSession(record.id, expires)}`,
+    expiresAt: new Date(expires).toISOString(),
+    name: record.name
+  };
+}
+
+// Identify the caller; anonymous callers are only admitted when keys are optional
+async function authenticate(req) {
+  const credential = readCredential(req);
+
+  if (credential) {
+    const record = await findKey(credential);
+    if (!record) {
+      throw Object.assign(authError('Invalid or expired API key'), { code: 'api_key_invalid' });
+    }
+    return {
+      id: record.id,
+      name: record.name,
+      rateLimit: { ...getDefaultRateLimit(), ...record.rateLimit },
+      quota: { ...getDefaultQuota(), ...record.quota }
+    };
+  }
+
+  if (REQUIRE_API_KEY) {
+    throw Object.assign(
+      authError('An API key is required. Send it as X-API-Key or Authorization: Bearer <key>.'),
+      { code: 'api_key_required' }
+    );
+  }
+
+  return {
+    id: `anonymous:${req.ip}`,
+    name: 'Anonymous',
+    rateLimit: getDefaultRateLimit(),
+    quota: getDefaultQuota()
+  };
+}
+
+// Fixed-window rate limit per client
+function checkRateLimit(client) {
+  const { requests, windowMs } = client.rateLimit;
+  if (!requests || !windowMs) return;
+
+  const now = Date.now();
+  let window = rateWindows.get(client.id);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    rateWindows.set(client.id, window);
+  }
+
+  if (window.count >= requests) {
+    const error = authError(`Rate limit of ${requests} requests per ${Math.round(windowMs / 1000)}s exceeded`, 429);
+    error.code = 'rate_limited';
+    error.retryAfter = Math.ceil((window.resetAt - now) / 1000);
+    throw error;
+  }
+  window.count += 1;
+}
+
+// Forget expired windows so anonymous callers do not pile up
+function pruneRateWindows() {
+  const now = Date.now();
+  rateWindows.forEach((window, id) => {
+    if (window.resetAt <= now) rateWindows.delete(id);
+  });
+}
+
+function sendAuthError(res, error) {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  if (!error.statusCode || error.statusCode >= 500) {
+    logger.error('Error checking API key:', error);
+  }
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : 'Failed to check API key',
+    code: error.statusCode ? error.code : undefined,
+    error: error.message
+  });
+}
+
+/**
+ * Express middleware for the paid endpoints: checks the caller's key, rate
+ * limit and daily quota, then records the call in the usage ledger. The
+ * caller is set as req.apiClient (req.client is Node's socket alias).
+ *
+ * @param {string} route - name used for the call in the ledger, e.g. "enhance"
+ */
+function requireApiKey(route) {
+  return async (req, res, next) => {
+    try {
+      const client = await authenticate(req);
+      await usage.checkQuota(client);
+      checkRateLimit(client);
+
+      req.apiClient = client;
+      usage.meter(req, res, route);
+      next();
+    } catch (error) {
+      if (error.statusCode === 429) {
+        logger.warn(`⚠️ ${route} request refused: ${error.message}`);
+      }
+      sendAuthError(res, error);
+    }
+  };
+}
+
+// Express middleware for the admin API, which is disabled without ADMIN_TOKEN
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendAuthError(res, authError('The admin API is disabled. Set ADMIN_TOKEN to enable it.', 403));
+  }
+  if (!safeEqual(readCredential(req), ADMIN_TOKEN)) {
+    return sendAuthError(res, authError('Invalid admin token'));
+  }
+  next();
+}
+
+function isKeyRequired() {
+  return REQUIRE_API_KEY;
+}
+
+setInterval(pruneRateWindows, 5 * 60 * 1000).unref();
+
+module.exports = {
+  SESSION_TTL_MS,
+  isKeyRequired,
+  listKeys,
+  createKey,
+  updateKey,
+  revokeKey,
+  createSession,
+  authenticate,
+  requireApiKey,
+  requireAdmin
+};
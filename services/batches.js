@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const config = require('./config');
+const enhancement = require('./enhancement');
+const mediaValidation = require('./mediaValidation');
+const { getDataDir, ensureDir } = require('./dataStore');
+const metrics = require('./metrics');
+
+/**
+ * Batch enhancement with a shared worker pool
+ *
+ * A batch is many images uploaded in one request. Their items join a single
+ * queue, worked by at most BATCH_CONCURRENCY enhancements at a time across
+ * all batches so one large shoot can't monopolize the provider. Items move
+ * through queued -> processing -> completed | failed | cancelled; the batch
+ * is finished once every item is, with whatever partial results it got.
+ *
+ * Sources and outputs live in DATA_DIR/batches/<batchId>, outside uploads/
+ * so the UPLOAD_TTL_MS sweep can't delete them under a long batch. Sources
+ * are deleted as soon as their item is done, the directory BATCH_TTL_MS
+ * after the batch finished, when the batch itself is forgotten. Batches only
+ * live in memory, so directories left by a previous run are removed on start.
+ *
+ * A batch records the identities of whoever started it (see
+ * services/owners.js); only they can follow, cancel or download it.
+ *
+ * Cancelling drops the queued items straight away. Items already with the
+ * provider can't be recalled; their results are discarded when they return.
+ */
+
+const CONCURRENCY = config.get('BATCH_CONCURRENCY');
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const batches = new Map();
+const queue = []; // { batch, item } waiting for a worker, oldest first
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open SSE stream
+let activeWorkers = 0;
+
+function batchDir(id) {
+  return getDataDir('batches', id);
+}
+
+// Delete a batch file; safe to call more than once or with no path
+async function deleteFile(filePath) {
+  if (!filePath) return;
+
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error deleting batch file:', error);
+    }
+  }
+}
+
+function isItemFinished(item) {
+  return ['completed', 'failed', 'cancelled'].includes(item.status);
+}
+
+function isFinished(batch) {
+  return batch.status === 'completed' || batch.status === 'cancelled';
+}
+
+function countItems(batch) {
+  const counts = { queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+  batch.items.forEach(item => { counts[item.status]++; });
+  return counts;
+}
+
+// Public view of a batch; outputs are fetched one by one or as a zip
+function serializeBatch(batch) {
+  const counts = countItems(batch);
+  const done = counts.completed + counts.failed + counts.cancelled;
+
+  return {
+    id: batch.id,
+    status: batch.status,
+    progress: Math.round(batch.items.reduce((total, item) => total + (isItemFinished(item) ? 100 : item.progress), 0) / batch.items.length),
+    counts,
+    total: batch.items.length,
+    done,
+    items: batch.items.map(item => ({
+      index: item.index,
+      name: item.name,
+      status: item.status,
+      progress: item.progress,
+      preset: item.preset,
+      provider: item.result?.provider || null,
+      cached: item.result?.cached || false,
+      error: item.error,
+      url: item.status === 'completed' ? `/api/enhance-batch/${batch.id}/items/${item.index}` : null
+    })),
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt
+  };
+}
+
+function touch(batch) {
+  batch.updatedAt = new Date().toISOString();
+
+  if (!isFinished(batch) && batch.items.every(isItemFinished)) {
+    batch.status = batch.status === 'cancelling' ? 'cancelled' : 'completed';
+    batch.finishedAt = Date.now();
+    const counts = countItems(batch);
+    logger.info(`📦 Batch ${batch.id} ${batch.status}: ${counts.completed} enhanced, ${counts.failed} failed, ${counts.cancelled} cancelled`);
+  }
+
+  events.emit('update', batch);
+}
+
+function finishItem(batch, item, changes) {
+  Object.assign(item, changes);
+  deleteFile(item.sourcePath);
+  item.sourcePath = null;
+  touch(batch);
+}
+
+async function runItem(batch, item) {
+  item.status = 'processing';
+  item.progress = 5;
+  if (batch.status === 'queued') batch.status = 'processing';
+  touch(batch);
+
+  try {
+    await batch.beforeItem();
+
+    const buffer = await fs.promises.readFile(item.sourcePath);
+    const result = await enhancement.enhanceImage({ buffer }, {
+      ...batch.options,
+      preset: item.preset,
+      onProgress: (stage, progress) => {
+        if (typeof progress !== 'number' || item.status !== 'processing') return;
+        item.progress = Math.max(item.progress, Math.min(99, Math.round(progress)));
+        touch(batch);
+      },
+      onUpstream: batch.onUpstream
+    });
+
+    // Cancelled while the provider was working: the result is not kept
+    if (item.status === 'cancelled') return;
+
+    // Stored under the extension of its actual format, whatever the provider reports
+    const output = Buffer.from(result.image_base64, 'base64');
+    const format = mediaValidation.FORMATS[mediaValidation.detectFormat(output)] || mediaValidation.FORMATS.jpeg;
+    const outputPath = path.join(batchDir(batch.id), `${item.index}-enhanced.${format.extension}`);
+    await fs.promises.writeFile(outputPath, output);
+    const { image_base64: imageBase64, ...details } = result;
+    finishItem(batch, item, { status: 'completed', progress: 100, outputPath, mimeType: format.mimeType, result: details });
+  } catch (error) {
+    if (item.status === 'cancelled') return;
+    logger.warn(`⚠️ Batch ${batch.id} item ${item.index} failed: ${error.message}`);
+    finishItem(batch, item, {
+      status: 'failed',
+      error: { message: error.message, code: error.upstream || error.statusCode === 429 ? error.code : null }
+    });
+  }
+}
+
+// Start queued items while workers are free
+function pump() {
+  while (activeWorkers < CONCURRENCY && queue.length > 0) {
+    const { batch, item } = queue.shift();
+    if (item.status !== 'queued') continue;
+
+    activeWorkers++;
+    runItem(batch, item)
+      .catch(error => logger.error(`Error running batch ${batch.id} item ${item.index}:`, error))
+      .finally(() => {
+        activeWorkers--;
+        pump();
+      });
+  }
+}
+
+/**
+ * Create a batch from uploaded files and queue its items
+ *
+ * Files that aren't valid images fail on their own; the rest are enhanced.
+ *
+ * @param {Object[]} files - multer files, deleted by the batch once copied
+ * @param {Object} options - { provider, preset, overrides, presets, bypassCache, owners }
+ *   presets optionally names a preset per file, in upload order
+ * @param {Object} hooks - { beforeItem, onUpstream }: beforeItem() runs before
+ *   each item and may throw (e.g. a used up quota) to fail it
+ */
+async function createBatch(files, options = {}, { beforeItem = async () => {}, onUpstream = () => {} } = {}) {
+  const presets = Array.isArray(options.presets) ? options.presets : [];
+  enhancement.checkOptions({
+    provider: options.provider,
+    presets: files.map((file, index) => presets[index] || options.preset),
+    overrides: options.overrides
+  });
+
+  const now = new Date().toISOString();
+  const batch = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    options: {
+      provider: options.provider,
+      overrides: options.overrides,
+      bypassCache: options.bypassCache
+    },
+    owners: options.owners || [],
+    items: [],
+    beforeItem,
+    onUpstream,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+  await ensureDir(batchDir(batch.id));
+
+  for (const [index, file] of files.entries()) {
+    const item = {
+      index,
+      name: path.basename(file.originalname || `image-${index + 1}`),
+      status: 'queued',
+      progress: 0,
+      preset: presets[index] || options.preset,
+      sourcePath: null,
+      outputPath: null,
+      mimeType: null,
+      result: null,
+      error: null
+    };
+
+    // Keep a validated, normalized copy of the upload as the item's source
+    try {
+      const media = await mediaValidation.validateMedia(await fs.promises.readFile(file.path));
+      item.sourcePath = path.join(batchDir(batch.id), `${index}-source.${media.extension}`);
+      await fs.promises.writeFile(item.sourcePath, media.buffer);
+    } catch (error) {
+      Object.assign(item, { status: 'failed', sourcePath: null, error: { message: error.message, code: null } });
+    } finally {
+      await deleteFile(file.path);
+    }
+
+    batch.items.push(item);
+  }
+
+  const queued = batch.items.filter(item => item.status === 'queued');
+  batches.set(batch.id, batch);
+  queued.forEach(item => queue.push({ batch, item }));
+  logger.info(`📦 Created batch ${batch.id} with ${batch.items.length} image(s), ${queued.length} queued`);
+
+  touch(batch);
+  pump();
+  return batch;
+}
+
+function getBatch(id) {
+  return batches.get(id) || null;
+}
+
+// Cancel the items that haven't finished; returns the batch
+function cancelBatch(batch) {
+  if (isFinished(batch)) return batch;
+
+  batch.status = 'cancelling';
+  batch.items.filter(item => !isItemFinished(item)).forEach(item => {
+    Object.assign(item, { status: 'cancelled', progress: 0 });
+    deleteFile(item.sourcePath);
+    item.sourcePath = null;
+  });
+
+  touch(batch);
+  return batch;
+}
+
+// Completed items with an output file, named for the zip download
+function getOutputs(batch) {
+  return batch.items
+    .filter(item => item.status === 'completed')
+    .map(item => {
+      const extension = path.extname(item.outputPath);
+      const base = path.basename(item.name, path.extname(item.name));
+      return { name: `${String(item.index + 1).padStart(2, '0')}-enhanced-${base}${extension}`, path: item.outputPath, mimeType: item.mimeType };
+    });
+}
+
+function getOutput(batch, index) {
+  const item = batch.items[parseInt(index, 10)];
+  if (!item || item.status !== 'completed') return null;
+  return { path: item.outputPath, mimeType: item.mimeType };
+}
+
+// Subscribe to updates for a single batch, returns an unsubscribe function
+function subscribe(id, listener) {
+  const handler = batch => {
+    if (batch.id === id) listener(batch);
+  };
+  events.on('update', handler);
+  return () => events.off('update', handler);
+}
+
+function removeBatchDir(id) {
+  return fs.promises.rm(batchDir(id), { recursive: true, force: true })
+    .catch(error => logger.error(`Error deleting files of batch ${id}:`, error));
+}
+
+// Forget finished batches that have outlived their TTL, with their outputs
+const cleanupTimer = setInterval(() => {
+  const cutoff = Date.now() - config.get('BATCH_TTL_MS');
+  for (const [id, batch] of batches) {
+    if (batch.finishedAt && batch.finishedAt < cutoff) {
+      removeBatchDir(id);
+      batches.delete(id);
+    }
+  }
+}, CLEANUP_INTERVAL_MS);
+cleanupTimer.unref();
+
+// Nothing refers to files of batches from a previous run
+fs.promises.readdir(getDataDir('batches'))
+  .then(ids => Promise.all(ids.filter(id => !batches.has(id)).map(removeBatchDir)))
+  .catch(error => {
+    if (error.code !== 'ENOENT') logger.error('Error removing old batch files:', error);
+  });
+
+metrics.registerGauge('enhance_batch_items', 'Batch enhancement items waiting for or held by a worker', () => [
+  { labels: { state: 'queued' }, value: queue.filter(entry => entry.item.status === 'queued').length },
+  { labels: { state: 'processing' }, value: activeWorkers }
+]);
+
+module.exports = {
+  createBatch,
+  getBatch,
+  cancelBatch,
+  isFinished,
+  serializeBatch,
+  getOutputs,
+  getOutput,
+  subscribe
+};
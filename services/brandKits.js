@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { getWorkspaceDir, ensureDir, readJson, writeJson } = require('./dataStore');
+const { validateMedia } = require('./mediaValidation');
+
+/**
+ * File-based store for brand kits (logo, handle, colors and corner)
+ *
+ * Kits belong to a workspace; each lives in its own directory under
+ * DATA_DIR/workspaces/<workspaceId>/brand-kits:
+ *   <kitId>/kit.json - settings
+ *   <kitId>/logo     - validated logo image, if any
+ *
+ * One kit per workspace can be the default; it is applied as a watermark
+ * when rendering unless a post opts out or picks another kit.
+ */
+
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const LOGO_FORMATS = ['png', 'jpeg', 'webp'];
+const MAX_LOGO_LENGTH = 1024;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const DEFAULT_KIT = {
+  name: 'My brand',
+  handle: '',
+  colors: { text: '#FFFFFF', background: '#000000' },
+  corner: 'bottom-right',
+  opacity: 0.85,
+  logoScale: 0.18
+};
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function notFoundError() {
+  const error = new Error('Brand kit not found');
+  error.statusCode = 404;
+  return error;
+}
+
+function kitDir(workspaceId, id) {
+  if (!ID_PATTERN.test(id)) throw notFoundError();
+  return getWorkspaceDir(workspaceId, 'brand-kits', id);
+}
+
+function kitFile(workspaceId, id) {
+  return path.join(kitDir(workspaceId, id), 'kit.json');
+}
+
+function logoFile(workspaceId, id) {
+  return path.join(kitDir(workspaceId, id), 'logo');
+}
+
+function pickColor(name, value, allowNone) {
+  if (allowNone && (value === null || value === 'none')) return null;
+  if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(value))) {
+    throw validationError(`colors.${name} must be a hex color such as #E9756B${allowNone ? ' or "none"' : ''}`);
+  }
+  return value;
+}
+
+function pickNumber(name, value, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw validationError(`${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Apply the fields present in a save request to a kit
+async function applyChanges(workspaceId, kit, data, uploadedLogo) {
+  if (data.name !== undefined) {
+    kit.name = String(data.name).trim().slice(0, 80) || DEFAULT_KIT.name;
+  }
+  if (data.handle !== undefined) {
+    kit.handle = String(data.handle).trim().slice(0, 60);
+  }
+  if (data.colors !== undefined) {
+    const colors = data.colors || {};
+    kit.colors = {
+      text: colors.text === undefined ? kit.colors.text : pickColor('text', colors.text),
+      background: colors.background === undefined ? kit.colors.background : pickColor('background', colors.background, true)
+    };
+  }
+  if (data.corner !== undefined) {
+    if (!CORNERS.includes(data.corner)) {
+      throw validationError(`corner must be one of: ${CORNERS.join(', ')}`);
+    }
+    kit.corner = data.corner;
+  }
+  if (data.opacity !== undefined) {
+    kit.opacity = pickNumber('opacity', data.opacity, 0.1, 1);
+  }
+  if (data.logoScale !== undefined) {
+    kit.logoScale = pickNumber('logoScale', data.logoScale, 0.05, 0.5);
+  }
+
+  // Validate the logo before anything is written
+  const logo = uploadedLogo
+    ? await validateMedia(await fs.promises.readFile(uploadedLogo.path), {
+      allowedFormats: LOGO_FORMATS,
+      maxLength: MAX_LOGO_LENGTH
+    })
+    : null;
+
+  await ensureDir(kitDir(workspaceId, kit.id));
+
+  if (logo) {
+    await fs.promises.writeFile(logoFile(workspaceId, kit.id), logo.buffer);
+    kit.logo = {
+      mimeType: logo.mimeType,
+      size: logo.buffer.length,
+      orientation: logo.orientation
+    };
+  } else if (data.removeLogo) {
+    await fs.promises.rm(logoFile(workspaceId, kit.id), { force: true });
+    kit.logo = null;
+  }
+
+  // Only one kit can be the default
+  if (data.isDefault !== undefined) {
+    kit.isDefault = Boolean(data.isDefault);
+    if (kit.isDefault) {
+      const others = (await readKits(workspaceId)).filter(other => other.id !== kit.id && other.isDefault);
+      await Promise.all(others.map(other => writeJson(kitFile(workspaceId, other.id), { ...other, isDefault: false })));
+    }
+  }
+
+  kit.updatedAt = new Date().toISOString();
+  await writeJson(kitFile(workspaceId, kit.id), kit);
+  return kit;
+}
+
+async function readKits(workspaceId) {
+  const ids = await fs.promises.readdir(getWorkspaceDir(workspaceId, 'brand-kits')).catch(() => []);
+  const kits = await Promise.all(ids
+    .filter(id => ID_PATTERN.test(id))
+    .map(id => readJson(kitFile(workspaceId, id))));
+  return kits.filter(Boolean);
+}
+
+function withLogoUrl(workspaceId, kit) {
+  return {
+    ...kit,
+    logoUrl: kit.logo ? `/api/workspaces/${workspaceId}/brand-kits/${kit.id}/logo?v=${encodeURIComponent(kit.updatedAt)}` : null
+  };
+}
+
+async function listKits(workspaceId) {
+  const kits = await readKits(workspaceId);
+  return kits
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(kit => withLogoUrl(workspaceId, kit));
+}
+
+async function getKit(workspaceId, id) {
+  const kit = await readJson(kitFile(workspaceId, id));
+  if (!kit) throw notFoundError();
+  return withLogoUrl(workspaceId, kit);
+}
+
+async function createKit(workspaceId, data, uploadedLogo) {
+  const now = new Date().toISOString();
+  const kit = {
+    id: crypto.randomUUID(),
+    ...DEFAULT_KIT,
+    colors: { ...DEFAULT_KIT.colors },
+    logo: null,
+    isDefault: false,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // The first kit becomes the default so it is used straight away
+  const isFirst = (await readKits(workspaceId)).length === 0;
+  const saved = await applyChanges(workspaceId, kit, { isDefault: isFirst, ...data }, uploadedLogo);
+  logger.info(`Created brand kit ${kit.id} in workspace ${workspaceId}`);
+  return withLogoUrl(workspaceId, saved);
+}
+
+async function updateKit(workspaceId, id, data, uploadedLogo) {
+  const kit = await readJson(kitFile(workspaceId, id));
+  if (!kit) throw notFoundError();
+  return withLogoUrl(workspaceId, await applyChanges(workspaceId, kit, data, uploadedLogo));
+}
+
+async function deleteKit(workspaceId, id) {
+  await getKit(workspaceId, id);
+  await fs.promises.rm(kitDir(workspaceId, id), { recursive: true, force: true });
+  logger.info(`Deleted brand kit ${id} from workspace ${workspaceId}`);
+}
+
+async function getKitLogo(workspaceId, id) {
+  const kit = await getKit(workspaceId, id);
+  if (!kit.logo) throw notFoundError();
+  return { mimeType: kit.logo.mimeType, path: logoFile(workspaceId, id) };
+}
+
+/**
+ * Resolve the kit to watermark with
+ *
+ * @param {string} workspaceId - workspace the kit belongs to
+ * @param {string|null} ref - a kit id, "default" for the default kit, or null for none
+ * @returns {Promise<Object|null>} { kit, logo: Buffer|null }, or null when there is nothing to apply
+ */
+async function resolveWatermark(workspaceId, ref) {
+  if (!ref) return null;
+
+  const kit = ref === 'default'
+    ? (await readKits(workspaceId)).find(candidate => candidate.isDefault)
+    : await readJson(kitFile(workspaceId, ref));
+
+  if (!kit) {
+    if (ref === 'default') return null;
+    throw notFoundError();
+  }
+
+  const logo = kit.logo ? await fs.promises.readFile(logoFile(workspaceId, kit.id)) : null;
+  if (!logo && !kit.handle) return null;
+  return { kit, logo };
+}
+
+module.exports = {
+  CORNERS,
+  listKits,
+  getKit,
+  createKit,
+  updateKit,
+  deleteKit,
+  getKitLogo,
+  resolveWatermark
+};
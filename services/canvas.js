@@ -0,0 +1,74 @@
+const logger = require('../logger');
+
+/**
+ * Lazy loader for node-canvas
+ *
+ * canvas is a native module; loading it lazily means a missing or broken
+ * build only disables the features that need it instead of crashing the
+ * whole server.
+ */
+
+let canvasModule;
+
+function loadCanvas() {
+  if (canvasModule === undefined) {
+    try {
+      canvasModule = require('canvas');
+    } catch (error) {
+      logger.warn(`⚠️ canvas module could not be loaded: ${error.message}`);
+      canvasModule = null;
+    }
+  }
+  return canvasModule;
+}
+
+function isCanvasAvailable() {
+  return Boolean(loadCanvas());
+}
+
+// Canvas transforms that undo each EXIF orientation (1 needs none)
+function orientationTransform(orientation, width, height) {
+  const transforms = {
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width]
+  };
+  return transforms[orientation] || null;
+}
+
+/**
+ * Draw a decoded image upright onto a new canvas
+ *
+ * Decoders ignore the EXIF orientation tag, so it is applied here.
+ *
+ * @param {Image} image - image from canvas.loadImage
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {number} width - drawn width of the stored (unrotated) image
+ * @param {number} height - drawn height of the stored (unrotated) image
+ * @returns {Canvas} canvas holding the upright image (width/height swapped for orientations 5-8)
+ */
+function createUprightCanvas(image, orientation, width, height) {
+  const { createCanvas } = loadCanvas();
+
+  // Orientations 5-8 swap width and height
+  const swapped = orientation >= 5;
+  const canvas = createCanvas(swapped ? height : width, swapped ? width : height);
+  const ctx = canvas.getContext('2d');
+
+  const transform = orientationTransform(orientation, width, height);
+  if (transform) {
+    ctx.transform(...transform);
+  }
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+module.exports = {
+  loadCanvas,
+  isCanvasAvailable,
+  createUprightCanvas
+};
@@ -0,0 +1,264 @@
+const logger = require('../logger');
+const { MAX_KEYFRAMES } = require('./video');
+
+/**
+ * Caption generation options
+ *
+ * Turns the structured controls sent to /api/generate-caption (tone, target
+ * platform, length, language, hashtags, emoji and number of variants) into a
+ * prompt for the vision model, and parses the variants back out of its reply.
+ * Videos are sent to the model as keyframes with their timestamps.
+ */
+
+const TONES = {
+  playful: { label: 'Playful', instruction: 'fun, lighthearted and witty' },
+  professional: { label: 'Professional', instruction: 'polished, clear and credible' },
+  luxury: { label: 'Luxury', instruction: 'elegant, refined and aspirational' },
+  casual: { label: 'Casual', instruction: 'relaxed and conversational, like talking to a friend' },
+  inspirational: { label: 'Inspirational', instruction: 'uplifting and motivating' }
+};
+
+// maxLength is the hard character limit of the platform
+const PLATFORMS = {
+  instagram: { label: 'Instagram', maxLength: 2200 },
+  tiktok: { label: 'TikTok', maxLength: 2200 },
+  x: { label: 'X (Twitter)', maxLength: 280 },
+  facebook: { label: 'Facebook', maxLength: 63206 },
+  linkedin: { label: 'LinkedIn', maxLength: 3000 }
+};
+
+const LENGTHS = {
+  short: { label: 'Short', instruction: 'one catchy sentence', maxLength: 150 },
+  medium: { label: 'Medium', instruction: 'two or three sentences', maxLength: 400 },
+  long: { label: 'Long', instruction: 'a short paragraph that tells a story', maxLength: 1200 }
+};
+
+const MAX_HASHTAGS = 30;
+const MAX_VARIANTS = 5;
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+const MAX_EXCLUDED = 10;
+const KEYFRAME_MODES = { scene: { label: 'Scene changes' }, even: { label: 'Evenly spaced' } };
+
+const DEFAULT_OPTIONS = {
+  tone: 'playful',
+  platform: 'instagram',
+  length: 'short',
+  language: 'English',
+  hashtags: 0,
+  emoji: true,
+  variants: 1,
+  keyframes: 6,
+  keyframeMode: 'scene'
+};
+
+function optionError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function pickOption(name, value, choices) {
+  if (value === undefined || value === null || value === '') return DEFAULT_OPTIONS[name];
+  const key = String(value).toLowerCase();
+  if (!choices[key]) {
+    throw optionError(`Unknown ${name} "${value}". Available: ${Object.keys(choices).join(', ')}`);
+  }
+  return key;
+}
+
+function pickInteger(name, value, min, max) {
+  if (value === undefined || value === null || value === '') return DEFAULT_OPTIONS[name];
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw optionError(`"${name}" must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate the caption options from a request body and fill in defaults
+ *
+ * @param {Object} body - request body
+ * @returns {Object} normalized options, including the effective maxLength
+ */
+function normalizeCaptionOptions(body = {}) {
+  const tone = pickOption('tone', body.tone, TONES);
+  const platform = pickOption('platform', body.platform, PLATFORMS);
+  const length = pickOption('length', body.length, LENGTHS);
+  const hashtags = pickInteger('hashtags', body.hashtags, 0, MAX_HASHTAGS);
+  const variants = pickInteger('variants', body.variants, 1, MAX_VARIANTS);
+  const keyframes = pickInteger('keyframes', body.keyframes, 1, MAX_KEYFRAMES);
+  const keyframeMode = pickOption('keyframeMode', body.keyframeMode, KEYFRAME_MODES);
+
+  const language = body.language ? String(body.language).trim() : DEFAULT_OPTIONS.language;
+  if (!/^[\p{L} ()-]{2,40}$/u.test(language)) {
+    throw optionError('"language" must be a language name such as "English" or "Español"');
+  }
+
+  const emoji = body.emoji === undefined ? DEFAULT_OPTIONS.emoji : ![false, 'false', '0', 0].includes(body.emoji);
+
+  // The old free-form prompt is still accepted as extra instructions
+  const instructions = body.prompt ? String(body.prompt).slice(0, MAX_INSTRUCTIONS_LENGTH) : '';
+
+  // Captions the user already has, so regenerated ones come out different
+  const exclude = Array.isArray(body.exclude)
+    ? body.exclude.filter(text => typeof text === 'string' && text.trim()).slice(0, MAX_EXCLUDED)
+    : [];
+
+  const maxLength = Math.min(PLATFORMS[platform].maxLength, LENGTHS[length].maxLength);
+
+  return { tone, platform, length, language, hashtags, emoji, variants, keyframes, keyframeMode, instructions, exclude, maxLength };
+}
+
+// Separator between variants in streamed (plain text) replies
+const VARIANT_SEPARATOR = '---';
+
+/**
+ * Build the instructions sent to the vision model
+ *
+ * @param {Object} options - normalized caption options
+ * @param {Object} [format]
+ * @param {boolean} [format.stream] - ask for plain text that reads well while streaming instead of JSON
+ * @param {boolean} [format.hasVideo] - some of the media are videos sent as keyframes
+ * @returns {string} prompt text
+ */
+function buildCaptionPrompt(options, { stream = false, hasVideo = false } = {}) {
+  const lines = [
+    `Write ${options.variants === 1 ? 'a social media caption' : `${options.variants} alternative social media captions`} for this ${PLATFORMS[options.platform].label} post showing the attached image(s)/video(s).`,
+    'Each caption should capture the essence of all the media together.',
+    `Tone: ${TONES[options.tone].instruction}.`,
+    `Length: ${LENGTHS[options.length].instruction}, at most ${options.maxLength} characters including hashtags.`,
+    `Language: write in ${options.language}.`,
+    options.hashtags > 0
+      ? `Hashtags: end each caption with exactly ${options.hashtags} relevant hashtag${options.hashtags === 1 ? '' : 's'}.`
+      : 'Hashtags: do not use any hashtags.',
+    options.emoji ? 'Emoji: use a few fitting emoji.' : 'Emoji: do not use any emoji.'
+  ];
+
+  if (hasVideo) {
+    lines.push('Videos are given as keyframes in playback order with their timestamps. Describe what happens over the whole clip, not just a single frame.');
+  }
+  if (options.variants > 1) {
+    lines.push('Make every caption take a clearly different angle.');
+  }
+  if (options.exclude.length > 0) {
+    lines.push('The captions must be clearly different from these existing ones:');
+    options.exclude.forEach(text => lines.push(`- ${text.replace(/\s+/g, ' ').trim()}`));
+  }
+  if (options.instructions) {
+    lines.push(`Additional instructions: ${options.instructions}`);
+  }
+
+  if (stream) {
+    lines.push(options.variants === 1
+      ? 'Respond with the caption text only.'
+      : `Respond with the ${options.variants} captions only, separated by a line containing only ${VARIANT_SEPARATOR}`);
+  } else {
+    lines.push(`Respond with JSON only, in the form {"captions": ["..."]} with exactly ${options.variants} caption${options.variants === 1 ? '' : 's'}.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the multimodal message content for the vision model
+ *
+ * @param {string} prompt - text from buildCaptionPrompt
+ * @param {Object[]} media - { kind: 'image', mimeType, buffer } or
+ *   { kind: 'video', duration, frames: [{ time, mimeType, buffer }] }
+ * @returns {Object[]} chat message content parts
+ */
+function buildMessageContent(prompt, media) {
+  const imagePart = (mimeType, buffer) => ({
+    type: 'image_url',
+    image_url: {
+      url: `data:${mimeType};base64,${buffer.toString('base64')}`,
+      detail: 'high'
+    }
+  });
+
+  const content = [{ type: 'text', text: prompt }];
+
+  media.forEach((item, index) => {
+    if (item.kind === 'video') {
+      content.push({
+        type: 'text',
+        text: `Media ${index + 1} is a ${item.duration.toFixed(1)}s video. Keyframes:`
+      });
+      item.frames.forEach(frame => {
+        content.push({ type: 'text', text: `At ${frame.time.toFixed(1)}s:` });
+        content.push(imagePart(frame.mimeType, frame.buffer));
+      });
+    } else {
+      content.push(imagePart(item.mimeType, item.buffer));
+    }
+  });
+
+  return content;
+}
+
+// Cut a caption down to the limit at a word boundary
+function clampCaption(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Extract the caption variants from the model reply
+ *
+ * Expects the JSON or separated plain text requested by buildCaptionPrompt,
+ * but falls back to one caption per numbered line or the whole reply when
+ * the model ignores it.
+ */
+function parseCaptionVariants(content, options) {
+  const text = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let captions = null;
+
+  try {
+    const parsed = JSON.parse(text.slice(text.search(/[[{]/)));
+    captions = Array.isArray(parsed) ? parsed : parsed.captions;
+  } catch (error) {
+    logger.debug('Caption reply was not valid JSON, falling back to plain text');
+  }
+
+  if (!Array.isArray(captions) && options.variants > 1) {
+    const separated = text.split(new RegExp(`^\\s*${VARIANT_SEPARATOR}\\s*$`, 'm'));
+    if (separated.length > 1) captions = separated;
+  }
+
+  if (!Array.isArray(captions)) {
+    const numbered = text.split('\n')
+      .filter(line => /^\s*\d+[.)]\s+/.test(line))
+      .map(line => line.replace(/^\s*\d+[.)]\s+/, ''));
+    captions = options.variants > 1 && numbered.length > 1 ? numbered : [text];
+  }
+
+  return captions
+    .filter(caption => typeof caption === 'string' && caption.trim())
+    .map(caption => clampCaption(caption.trim().replace(/^"(.*)"$/s, '$1'), options.maxLength))
+    .slice(0, options.variants);
+}
+
+// Choices for the client-side option pickers
+function listCaptionOptions() {
+  const describe = choices => Object.entries(choices).map(([name, choice]) => ({ name, ...choice }));
+  return {
+    defaults: DEFAULT_OPTIONS,
+    tones: describe(TONES).map(({ name, label }) => ({ name, label })),
+    platforms: describe(PLATFORMS),
+    lengths: describe(LENGTHS).map(({ name, label, maxLength }) => ({ name, label, maxLength })),
+    keyframeModes: describe(KEYFRAME_MODES),
+    maxHashtags: MAX_HASHTAGS,
+    maxVariants: MAX_VARIANTS,
+    maxKeyframes: MAX_KEYFRAMES
+  };
+}
+
+module.exports = {
+  normalizeCaptionOptions,
+  buildCaptionPrompt,
+  buildMessageContent,
+  parseCaptionVariants,
+  listCaptionOptions
+};
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Typed server configuration
+ *
+ * Every setting is declared once in SETTINGS with its type, default and
+ * limits. Values come from, highest precedence first:
+ *   1. environment variables (including .env)
+ *   2. the settings file, config/settings.json (or CONFIG_FILE): a JSON
+ *      object keyed by setting name, e.g. { "MAX_FILE_SIZE": 20971520 }
+ *   3. the defaults below
+ *
+ * load() checks every value and throws one error listing all the bad ones,
+ * so the server refuses to start on a typo instead of failing later.
+ *
+ * Reloadable settings are read with get() where they are used, so reload()
+ * applies changes to the settings file without a restart; the others keep
+ * their startup values. The admin settings page can change reloadable
+ * settings that are neither secrets nor set in the environment (which would
+ * override them); it writes them to the settings file.
+ *
+ * Modules can declare more settings with define(), as the caption providers
+ * do for the <ENVPREFIX>_BASE_URL, _MODEL and _API_KEY of each provider.
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_SETTINGS_FILE = path.join(ROOT_DIR, 'config', 'settings.json');
+
+// The API key placeholders shipped in .env.example
+const PLACEHOLDER_PATTERN = /^your[-_].*[-_]here$/i;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const MB = 1024 * 1024;
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const UPSTREAM_ERROR_CODES = ['upstream_auth', 'upstream_rate_limited', 'upstream_unavailable', 'upstream_rejected', 'upstream_timeout', 'upstream_error'];
+
+const SETTINGS = [
+  // Server
+  { name: 'PORT', group: 'Server', type: 'integer', min: 1, max: 65535, default: 3000, description: 'Port the server listens on' },
+  { name: 'NODE_ENV', group: 'Server', type: 'string', default: 'development', description: 'Logs also go to the console unless this is "production"' },
+  { name: 'DATA_DIR', group: 'Server', type: 'path', default: path.join(ROOT_DIR, 'data'), description: 'Directory for drafts, history, keys and other server-side data' },
+
+  // Security
+  { name: 'ALLOWED_ORIGINS', group: 'Security', type: 'list', default: ['*'], reloadable: true, description: 'Origins allowed by CORS; "*" allows all' },
+  { name: 'REQUIRE_API_KEY', group: 'Security', type: 'boolean', default: false, description: 'Require an API key for enhancement and captions' },
+  { name: 'ADMIN_TOKEN', group: 'Security', type: 'string', secret: true, description: 'Token for the admin API and settings page' },
+  { name: 'AUTH_SESSION_SECRET', group: 'Security', type: 'string', secret: true, description: 'Secret for signing session tokens (random per process when unset)' },
+  { name: 'SESSION_TTL_MS', group: 'Security', type: 'integer', min: SECOND, default: 12 * HOUR, description: 'Lifetime of session tokens' },
+  { name: 'UPLOAD_URL_SECRET', group: 'Security', type: 'string', secret: true, description: 'Secret for signing /temp-uploads links (random per process when unset)' },
+  { name: 'METRICS_TOKEN', group: 'Security', type: 'string', secret: true, description: 'Bearer token required to scrape /metrics' },
+
+  // Accounts
+  { name: 'ALLOW_SIGNUP', group: 'Accounts', type: 'boolean', default: true, reloadable: true, description: 'Let anyone create an account; the first account can always be created' },
+  { name: 'USER_SESSION_TTL_MS', group: 'Accounts', type: 'integer', min: MINUTE, default: 7 * 24 * HOUR, reloadable: true, description: 'How long a sign-in lasts' },
+
+  // Rate limits and quotas
+  { name: 'RATE_LIMIT_REQUESTS', group: 'Rate limits', type: 'integer', min: 0, default: 30, reloadable: true, description: 'Requests per window for keys without their own limit; 0 is unlimited' },
+  { name: 'RATE_LIMIT_WINDOW_MS', group: 'Rate limits', type: 'integer', min: 0, default: MINUTE, reloadable: true, description: 'Rate limit window' },
+  { name: 'DAILY_QUOTA_REQUESTS', group: 'Rate limits', type: 'integer', min: 0, default: 0, reloadable: true, description: 'Daily request quota; 0 is unlimited' },
+  { name: 'DAILY_QUOTA_BYTES', group: 'Rate limits', type: 'integer', min: 0, default: 0, reloadable: true, description: 'Daily upload quota in bytes; 0 is unlimited' },
+  { name: 'DAILY_QUOTA_COST', group: 'Rate limits', type: 'number', min: 0, default: 0, reloadable: true, description: 'Daily upstream cost quota; 0 is unlimited' },
+  { name: 'USAGE_COSTS_FILE', group: 'Rate limits', type: 'path', default: path.join(ROOT_DIR, 'config', 'costs.json'), description: 'Upstream price per call of each provider' },
+
+  // Uploads and media limits
+  { name: 'MAX_FILE_SIZE', group: 'Limits', type: 'integer', min: 1024, default: 10 * MB, reloadable: true, description: 'Largest upload or decoded base64 image in bytes' },
+  { name: 'MAX_IMAGE_DIMENSION', group: 'Limits', type: 'integer', min: 1, default: 16384, reloadable: true, description: 'Images wider or taller than this (pixels) are rejected' },
+  { name: 'MAX_IMAGE_LENGTH', group: 'Limits', type: 'integer', min: 1, default: 4096, reloadable: true, description: 'Longer images are downscaled before enhancement' },
+  { name: 'BATCH_MAX_IMAGES', group: 'Limits', type: 'integer', min: 1, default: 50, reloadable: true, description: 'Most images in one batch enhancement' },
+
+  // Enhancement
+  { name: 'ENHANCEMENT_PROVIDER', group: 'Enhancement', type: 'enum', values: ['deep-image', 'local'], default: 'deep-image', reloadable: true, description: 'Default enhancement provider' },
+  { name: 'ENHANCE_PRESETS_FILE', group: 'Enhancement', type: 'path', default: path.join(ROOT_DIR, 'config', 'presets.json'), description: 'Enhancement presets (reloaded with the settings)' },
+  { name: 'DEEP_IMAGE_API_KEY', group: 'Enhancement', type: 'string', secret: true, description: 'Deep Image API key' },
+  { name: 'DEEP_IMAGE_API_URL', group: 'Enhancement', type: 'url', default: 'https://api.deep-image.ai', description: 'Base URL of the Deep Image API' },
+  { name: 'DEEP_IMAGE_TIMEOUT_MS', group: 'Enhancement', type: 'integer', min: 1, default: MINUTE, reloadable: true, description: 'Timeout for Deep Image processing requests' },
+  { name: 'JOB_TTL_MS', group: 'Enhancement', type: 'integer', min: SECOND, default: 30 * MINUTE, reloadable: true, description: 'How long finished jobs are kept for polling' },
+  { name: 'BATCH_CONCURRENCY', group: 'Enhancement', type: 'integer', min: 1, max: 32, default: 3, description: 'Images enhanced at once across all batches' },
+  { name: 'BATCH_TTL_MS', group: 'Enhancement', type: 'integer', min: SECOND, default: 30 * MINUTE, reloadable: true, description: 'How long finished batches are kept' },
+
+  // Captions
+  { name: 'CAPTION_PROVIDERS', group: 'Captions', type: 'list', default: null, reloadable: true, description: 'Caption provider fallback chain (default: "chain" in the providers file)' },
+  { name: 'CAPTION_PROVIDERS_FILE', group: 'Captions', type: 'path', default: path.join(ROOT_DIR, 'config', 'caption-providers.json'), description: 'Caption provider definitions (reloaded with the settings)' },
+  { name: 'MOCK_CAPTION_DELAY_MS', group: 'Captions', type: 'integer', min: 0, default: 30, reloadable: true, description: 'Delay between streamed words of the mock provider' },
+
+  // Upstream calls
+  { name: 'UPSTREAM_TIMEOUT_MS', group: 'Upstream calls', type: 'integer', min: 1, default: MINUTE, reloadable: true, description: 'Timeout for upstream calls without their own' },
+  { name: 'UPSTREAM_RETRIES', group: 'Upstream calls', type: 'integer', min: 0, max: 10, default: 2, reloadable: true, description: 'Retries of 429, 5xx and network errors' },
+  { name: 'UPSTREAM_RETRY_BASE_MS', group: 'Upstream calls', type: 'integer', min: 1, default: 500, reloadable: true, description: 'First retry delay, doubled on each retry' },
+  { name: 'UPSTREAM_RETRY_MAX_MS', group: 'Upstream calls', type: 'integer', min: 1, default: 10 * SECOND, reloadable: true, description: 'Longest retry delay; longer Retry-After values are not waited for' },
+  { name: 'UPSTREAM_BREAKER_THRESHOLD', group: 'Upstream calls', type: 'integer', min: 1, default: 5, reloadable: true, description: 'Failures in a row that open a provider\'s circuit' },
+  { name: 'UPSTREAM_BREAKER_COOLDOWN_MS', group: 'Upstream calls', type: 'integer', min: 1, default: 30 * SECOND, reloadable: true, description: 'How long an open circuit fails fast' },
+
+  // Result cache
+  { name: 'RESULT_CACHE', group: 'Result cache', type: 'enum', values: ['disk', 'memory', 'off'], default: 'disk', description: 'Where enhancement and caption results are cached' },
+  { name: 'RESULT_CACHE_TTL_MS', group: 'Result cache', type: 'integer', min: 1, default: 24 * HOUR, reloadable: true, description: 'How long cached results are reused' },
+  { name: 'RESULT_CACHE_MAX_BYTES', group: 'Result cache', type: 'integer', min: 1, default: 256 * MB, reloadable: true, description: 'Size of each cache before old results are evicted' },
+
+  // Upload storage
+  { name: 'UPLOAD_DIR', group: 'Storage', type: 'path', default: path.join(ROOT_DIR, 'uploads'), description: 'Directory for temporary uploads' },
+  { name: 'UPLOAD_TTL_MS', group: 'Storage', type: 'integer', min: SECOND, default: HOUR, reloadable: true, description: 'Age at which leftover temp files are swept' },
+  { name: 'UPLOAD_SWEEP_INTERVAL_MS', group: 'Storage', type: 'integer', min: SECOND, default: 10 * MINUTE, description: 'How often temp files are swept' },
+  { name: 'UPLOAD_MAX_TOTAL_BYTES', group: 'Storage', type: 'integer', min: 1, default: 500 * MB, reloadable: true, description: 'Most disk space used by temp uploads' },
+  { name: 'SIGNED_URL_TTL_MS', group: 'Storage', type: 'integer', min: SECOND, default: 15 * MINUTE, reloadable: true, description: 'Lifetime of signed /temp-uploads links' },
+
+  // Video and rendering
+  { name: 'FFMPEG_PATH', group: 'Video', type: 'string', default: 'ffmpeg', description: 'ffmpeg binary' },
+  { name: 'FFPROBE_PATH', group: 'Video', type: 'string', default: 'ffprobe', description: 'ffprobe binary' },
+  { name: 'FFMPEG_TIMEOUT_MS', group: 'Video', type: 'integer', min: SECOND, default: MINUTE, reloadable: true, description: 'Longest single ffmpeg/ffprobe run' },
+  { name: 'VIDEO_TIMEOUT_MS', group: 'Video', type: 'integer', min: SECOND, default: 10 * MINUTE, reloadable: true, description: 'Longest conversion of one video' },
+  { name: 'FONTS_DIR', group: 'Video', type: 'path', default: path.join(ROOT_DIR, 'fonts'), description: 'Extra .ttf/.otf fonts for rendering' },
+
+  // Publishing
+  { name: 'MOCK_PUBLISH_DIR', group: 'Publishing', type: 'path', default: null, description: 'Where the mock connector writes (default: DATA_DIR/published)' },
+  { name: 'MOCK_PUBLISH_ACCOUNT', group: 'Publishing', type: 'string', default: 'local', allowEmpty: true, reloadable: true, description: 'Mock connector account; empty shows it as not set up' },
+  { name: 'MOCK_PUBLISH_FAIL', group: 'Publishing', type: 'enum', values: UPSTREAM_ERROR_CODES, default: null, reloadable: true, description: 'Make every mock publish fail with this error code' },
+  { name: 'SCHEDULER_INTERVAL_MS', group: 'Publishing', type: 'integer', min: SECOND, default: 30 * SECOND, description: 'How often the schedule is checked' },
+  { name: 'SCHEDULE_MAX_ATTEMPTS', group: 'Publishing', type: 'integer', min: 1, default: 3, reloadable: true, description: 'Attempts for rate-limited or failing platforms' },
+  { name: 'SCHEDULE_RETRY_DELAY_MS', group: 'Publishing', type: 'integer', min: SECOND, default: 5 * MINUTE, reloadable: true, description: 'Delay between scheduled retries' },
+  { name: 'EXPORT_DIR', group: 'Publishing', type: 'path', default: null, description: 'Where "export" entries are written (default: DATA_DIR/exports)' },
+
+  // Logging
+  { name: 'LOG_LEVEL', group: 'Logging', type: 'enum', values: LOG_LEVELS, default: 'info', reloadable: true, description: 'Lowest level written to the logs' }
+];
+
+const definitions = new Map(SETTINGS.map(setting => [setting.name, setting]));
+const listeners = [];
+
+// { file, fileValues, values: Map(name -> { value, source }), warnings: Map(name -> message) }
+let state = null;
+
+function configError(problems) {
+  const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  error.problems = problems;
+  error.statusCode = 400;
+  return error;
+}
+
+function getSettingsFile() {
+  return process.env.CONFIG_FILE ? path.resolve(process.env.CONFIG_FILE) : DEFAULT_SETTINGS_FILE;
+}
+
+function readSettingsFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw configError([`Could not read the settings file ${file}: ${error.message}`]);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw configError([`The settings file ${file} must contain a JSON object keyed by setting name`]);
+  }
+  return data;
+}
+
+function isUnset(setting, raw) {
+  if (raw === undefined || raw === null) return true;
+  return typeof raw === 'string' && raw.trim() === '' && !setting.allowEmpty;
+}
+
+// Convert a raw value (an env string or a JSON value from the file) to the
+// setting's type; throws with the reason when it doesn't fit
+function parseValue(setting, raw) {
+  const text = String(raw).trim();
+
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const pattern = setting.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      if (!pattern.test(text)) {
+        throw new Error(setting.type === 'integer' ? 'must be a whole number' : 'must be a number');
+      }
+      const value = Number(text);
+      if (setting.min !== undefined && value < setting.min) throw new Error(`must be at least ${setting.min}`);
+      if (setting.max !== undefined && value > setting.max) throw new Error(`must be at most ${setting.max}`);
+      return value;
+    }
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+      throw new Error('must be true or false');
+    case 'enum':
+      if (!setting.values.includes(text)) throw new Error(`must be one of: ${setting.values.join(', ')}`);
+      return text;
+    case 'list': {
+      const items = Array.isArray(raw) ? raw.map(String) : text.split(',');
+      const value = items.map(item => item.trim()).filter(Boolean);
+      if (value.length === 0) throw new Error('must list at least one value');
+      return value;
+    }
+    case 'url': {
+      let url;
+      try {
+        url = new URL(text);
+      } catch (error) {
+        throw new Error('must be a URL');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('must be an http(s) URL');
+      return text.replace(/\/+$/, '');
+    }
+    case 'path':
+      return path.resolve(text);
+    default:
+      return setting.allowEmpty ? text : String(raw);
+  }
+}
+
+// Resolve settings from the environment, the settings file and their defaults
+function resolveSettings(settings, fileValues, file) {
+  const values = new Map();
+  const warnings = new Map();
+  const problems = [];
+
+  settings.forEach(setting => {
+    const sources = [['env', process.env[setting.name]], ['file', fileValues[setting.name]]];
+    let entry = null;
+
+    for (const [source, raw] of sources) {
+      if (isUnset(setting, raw)) continue;
+
+      if (setting.secret && PLACEHOLDER_PATTERN.test(String(raw).trim())) {
+        warnings.set(setting.name, `${setting.name} still has the placeholder value from .env.example and is treated as unset`);
+        continue;
+      }
+
+      try {
+        entry = { value: parseValue(setting, raw), source };
+      } catch (error) {
+        const where = source === 'file' ? ` in ${file}` : '';
+        const shown = setting.secret ? 'a hidden value' : JSON.stringify(raw);
+        problems.push(`${setting.name}${where} ${error.message} (got ${shown})`);
+      }
+      break;
+    }
+
+    values.set(setting.name, entry || { value: setting.default ?? null, source: 'default' });
+  });
+
+  return { values, warnings, problems };
+}
+
+/**
+ * Read and check every setting; called on startup, before anything reads one
+ *
+ * get() loads on first use, so scripts and tests only need to call this to
+ * pick up environment changes made after the first read.
+ *
+ * @throws {Error} listing every invalid value (error.problems)
+ */
+function load() {
+  const file = getSettingsFile();
+  const fileValues = readSettingsFile(file);
+  const { values, warnings, problems } = resolveSettings([...definitions.values()], fileValues, file);
+
+  if (problems.length > 0) throw configError(problems);
+  state = { file, fileValues, values, warnings };
+}
+
+function ensureLoaded() {
+  if (!state) load();
+  return state;
+}
+
+// Whether a setting is declared, e.g. one a caption provider may not define
+function has(name) {
+  return definitions.has(name);
+}
+
+function get(name) {
+  const entry = ensureLoaded().values.get(name);
+  if (!entry) throw new Error(`Unknown setting "${name}"`);
+  return entry.value;
+}
+
+/**
+ * Declare more settings, checked and resolved right away
+ *
+ * Declaring a setting again replaces it, e.g. when its default comes from a
+ * config file that was reloaded.
+ *
+ * @param {Object[]} settings - same shape as SETTINGS
+ */
+function define(settings) {
+  const current = ensureLoaded();
+  const { values, warnings, problems } = resolveSettings(settings, current.fileValues, current.file);
+  if (problems.length > 0) throw configError(problems);
+
+  settings.forEach(setting => {
+    definitions.set(setting.name, setting);
+    current.values.set(setting.name, values.get(setting.name));
+    current.warnings.delete(setting.name);
+  });
+  warnings.forEach((message, name) => current.warnings.set(name, message));
+}
+
+function isSame(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Re-read the settings file and apply what changed in reloadable settings
+ *
+ * Nothing is applied when any value is invalid. Listeners registered with
+ * onReload() run afterwards.
+ *
+ * @returns {Object} { changed, restartRequired } - setting names
+ */
+function reload() {
+  const current = ensureLoaded();
+  const fileValues = readSettingsFile(current.file);
+  const { values, warnings, problems } = resolveSettings([...definitions.values()], fileValues, current.file);
+  if (problems.length > 0) throw configError(problems);
+
+  const changed = [];
+  const restartRequired = [];
+  values.forEach((entry, name) => {
+    const previous = current.values.get(name);
+    if (isSame(entry, previous)) return;
+
+    if (definitions.get(name).reloadable) {
+      current.values.set(name, entry);
+      if (!isSame(entry.value, previous.value)) changed.push(name);
+    } else if (!isSame(entry.value, previous.value)) {
+      restartRequired.push(name);
+    }
+  });
+
+  current.fileValues = fileValues;
+  current.warnings = warnings;
+  listeners.forEach(listener => listener(changed));
+  return { changed, restartRequired };
+}
+
+// Run a listener after every reload, with the names of the changed settings
+function onReload(listener) {
+  listeners.push(listener);
+}
+
+// Why a setting can't be changed from the admin page, or null when it can
+function getLockReason(setting, entry) {
+  if (setting.secret) return 'is a secret; set it in the environment or the settings file';
+  if (!setting.reloadable) return 'needs a restart; set it in the environment or the settings file';
+  if (entry.source === 'env') return 'is set in the environment, which takes precedence over the settings page';
+  return null;
+}
+
+/**
+ * Change reloadable settings, save them to the settings file and apply them
+ *
+ * @param {Object} changes - setting name -> new value, or null for the default
+ * @returns {Promise<Object>} reload() result
+ */
+async function update(changes) {
+  const current = ensureLoaded();
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw configError(['Send the settings to change as an object of name -> value']);
+  }
+
+  const problems = [];
+  const fileValues = { ...current.fileValues };
+
+  Object.entries(changes).forEach(([name, raw]) => {
+    const setting = definitions.get(name);
+    if (!setting) return problems.push(`Unknown setting "${name}"`);
+
+    const lockReason = getLockReason(setting, current.values.get(name));
+    if (lockReason) return problems.push(`${name} ${lockReason}`);
+
+    if (isUnset(setting, raw)) {
+      delete fileValues[name];
+      return;
+    }
+    try {
+      fileValues[name] = parseValue(setting, raw);
+    } catch (error) {
+      problems.push(`${name} ${error.message} (got ${JSON.stringify(raw)})`);
+    }
+  });
+
+  if (problems.length > 0) throw configError(problems);
+
+  // Same temp file and rename as the data store, so a crash never truncates it
+  await fs.promises.mkdir(path.dirname(current.file), { recursive: true });
+  const tempFile = `${current.file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(fileValues, null, 2) + '\n');
+  await fs.promises.rename(tempFile, current.file);
+
+  return reload();
+}
+
+// Problems that don't stop the server, e.g. placeholder keys or unknown names in the settings file
+function getWarnings() {
+  const current = ensureLoaded();
+  const unknown = Object.keys(current.fileValues)
+    .filter(name => !definitions.has(name))
+    .map(name => `Unknown setting ${name} in ${current.file} is ignored`);
+  return [...current.warnings.values(), ...unknown];
+}
+
+/**
+ * Every setting with its value and where it came from, for the admin page.
+ * Secret values are never included, only whether they are set.
+ */
+function describe() {
+  const current = ensureLoaded();
+
+  return {
+    file: current.file,
+    warnings: getWarnings(),
+    settings: [...definitions.values()].map(setting => {
+      const entry = current.values.get(setting.name);
+      const lockReason = getLockReason(setting, entry);
+      return {
+        name: setting.name,
+        group: setting.group,
+        description: setting.description,
+        type: setting.type,
+        values: setting.values || null,
+        min: setting.min ?? null,
+        max: setting.max ?? null,
+        secret: Boolean(setting.secret),
+        reloadable: Boolean(setting.reloadable),
+        isSet: entry.value !== null && entry.value !== '',
+        value: setting.secret ? null : entry.value,
+        default: setting.secret ? null : setting.default ?? null,
+        source: entry.source,
+        editable: !lockReason,
+        lockReason
+      };
+    })
+  };
+}
+
+module.exports = {
+  load,
+  has,
+  get,
+  define,
+  reload,
+  onReload,
+  update,
+  getWarnings,
+  describe
+};
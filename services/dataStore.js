@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Helpers for the on-disk data directory (DATA_DIR, default ./data)
+ *
+ * Server-side state such as post drafts is stored as plain JSON files. Writes
+ * go through a temp file and a rename so a crash mid-write never leaves a
+ * truncated file behind.
+ */
+
+function getDataDir(...segments) {
+  return path.join(config.get('DATA_DIR'), ...segments);
+}
+
+// Directory of one workspace's posts, schedule and history (see services/workspaces.js)
+function getWorkspaceDir(workspaceId, ...segments) {
+  return getDataDir('workspaces', workspaceId, ...segments);
+}
+
+async function ensureDir(dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+async function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function writeJson(file, data) {
+  await ensureDir(path.dirname(file));
+  // Unique per write: concurrent writes of the same file must not share a temp file
+  const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tempFile, file);
+}
+
+module.exports = {
+  getDataDir,
+  getWorkspaceDir,
+  ensureDir,
+  readJson,
+  writeJson
+};
@@ -0,0 +1,107 @@
+const logger = require('../logger');
+const enhancementProviders = require('../providers/enhancement');
+const presets = require('./presets');
+const resultCache = require('./resultCache');
+
+/**
+ * Image enhancement workflow shared by /api/enhance-image and batches
+ *
+ * Picks the provider (falling back to ENHANCEMENT_PROVIDER), resolves the
+ * preset parameters with any per-request overrides, and runs the
+ * enhancement. Results for image bytes are cached by content hash, provider
+ * and parameters; image URLs are never cached because what they point to
+ * can change.
+ */
+
+const enhancementCache = resultCache.createCache('enhancements');
+
+// Per-request preset overrides arrive as an object in JSON bodies and as a JSON string in multipart forms
+function parseOverrides(overrides) {
+  if (!overrides) return {};
+  if (typeof overrides === 'object') return overrides;
+
+  try {
+    return JSON.parse(overrides);
+  } catch (parseError) {
+    const error = new Error('overrides must be a JSON object');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+// Fail early on an unknown provider or preset, or bad overrides, before any
+// image is sent (used by batches, whose items would otherwise each fail)
+function checkOptions({ provider: providerName, presets: presetNames = [], overrides }) {
+  const provider = enhancementProviders.getProvider(providerName);
+  const parsedOverrides = parseOverrides(overrides);
+  new Set(presetNames).forEach(presetName => {
+    const { parameters } = presets.resolveParameters(provider.name, presetName, parsedOverrides);
+    provider.checkParameters?.(parameters);
+  });
+}
+
+/**
+ * Enhance an image and return the API result payload
+ *
+ * @param {Object} source - { buffer } for image bytes or { imageUrl }
+ * @param {Object} options - { provider, preset, overrides, bypassCache, onProgress, onUpstream }
+ *   onUpstream(providerName) is called after each paid provider call
+ * @returns {Promise<Object>} { image_base64, mime_type, provider, preset, response_data, cached }
+ */
+async function enhanceImage(source, { provider: providerName, preset: presetName, overrides, bypassCache = false, onProgress = () => {}, onUpstream = () => {} } = {}) {
+  let provider;
+  try {
+    provider = enhancementProviders.getProvider(providerName);
+
+    const { preset, parameters } = presets.resolveParameters(provider.name, presetName, parseOverrides(overrides));
+    provider.checkParameters?.(parameters);
+    logger.info(`Starting enhancement workflow with provider: ${provider.name}, preset: ${preset}`);
+
+    if (!provider.isConfigured()) {
+      const error = new Error(`Enhancement provider "${provider.name}" is not configured`);
+      error.statusCode = 500;
+      throw error;
+    }
+
+    const enhance = async () => {
+      const result = await provider.enhance({ ...source, parameters, onProgress });
+      logger.info('Successfully enhanced image with provider:', provider.name);
+      onUpstream(provider.name);
+
+      return {
+        image_base64: result.buffer.toString('base64'),
+        mime_type: result.mimeType,
+        provider: provider.name,
+        preset,
+        response_data: result.details
+      };
+    };
+
+    if (!source.buffer) {
+      return { ...await enhance(), cached: false };
+    }
+
+    const { value, cached } = await enhancementCache.getOrCompute(
+      resultCache.hashKey(source.buffer, provider.name, parameters),
+      enhance,
+      { bypass: bypassCache }
+    );
+    return { ...value, preset, cached };
+  } catch (error) {
+    logger.error(`Error calling enhancement provider ${provider ? provider.name : '(none)'}:`, error);
+
+    // Log detailed error information
+    if (error.response) {
+      logger.error('Response status:', error.response.status);
+      logger.debug('Response headers:', error.response.headers);
+      logger.error('Response data:', JSON.stringify(error.response.data, null, 2));
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  parseOverrides,
+  checkOptions,
+  enhanceImage
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../logger');
+const config = require('./config');
+
+/**
+ * In-memory job store for long running work (enhancement, etc.)
+ *
+ * Jobs move through queued -> processing -> completed | failed. Every change
+ * is emitted as an 'update' event so routes can stream progress to clients.
+ * Finished jobs are kept for JOB_TTL_MS so clients can still fetch the result
+ * after a dropped connection, then removed. A job records the identities of
+ * whoever started it (see services/owners.js); only they can look it up.
+ */
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open SSE stream
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+// Public view of a job; the result is only included when asked for because
+// it can contain large base64 payloads
+function serializeJob(job, { includeResult = false } = {}) {
+  const data = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+
+  if (includeResult) {
+    data.result = job.result;
+  }
+
+  return data;
+}
+
+function createJob(type, owners) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    owners,
+    status: 'queued',
+    stage: 'queued',
+    progress: 0,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  logger.info(`Created ${type} job ${job.id}`);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function updateJob(id, changes) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return null;
+
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  events.emit('update', job);
+  return job;
+}
+
+// Report a stage transition from a running job
+function reportProgress(id, stage, progress) {
+  const changes = { status: 'processing', stage };
+  if (typeof progress === 'number') {
+    changes.progress = Math.max(0, Math.min(99, Math.round(progress)));
+  }
+  return updateJob(id, changes);
+}
+
+function completeJob(id, result) {
+  const job = updateJob(id, { status: 'completed', stage: 'completed', progress: 100, result });
+  if (job) {
+    job.finishedAt = Date.now();
+    logger.info(`Job ${id} completed`);
+  }
+  return job;
+}
+
+function failJob(id, error) {
+  const job = updateJob(id, {
+    status: 'failed',
+    stage: 'failed',
+    error: {
+      message: error.message,
+      code: error.upstream ? error.code : null,
+      details: error.response?.data || 'No additional details'
+    }
+  });
+  if (job) {
+    job.finishedAt = Date.now();
+    logger.error(`Job ${id} failed: ${error.message}`);
+  }
+  return job;
+}
+
+// Run an async task as a job. The task receives a progress callback
+// (stage, progress) and its resolved value becomes the job result.
+// owners are the identities allowed to look the job up.
+function runJob(type, task, { owners = [] } = {}) {
+  const job = createJob(type, owners);
+
+  // Defer so callers can respond with the job id before any work starts
+  setImmediate(() => {
+    Promise.resolve()
+      .then(() => task((stage, progress) => reportProgress(job.id, stage, progress)))
+      .then(result => completeJob(job.id, result))
+      .catch(error => failJob(job.id, error));
+  });
+
+  return job;
+}
+
+// Subscribe to updates for a single job, returns an unsubscribe function
+function subscribe(id, listener) {
+  const handler = job => {
+    if (job.id === id) listener(job);
+  };
+  events.on('update', handler);
+  return () => events.off('update', handler);
+}
+
+// Periodically drop finished jobs that have outlived their TTL
+const cleanupTimer = setInterval(() => {
+  const cutoff = Date.now() - config.get('JOB_TTL_MS');
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}, CLEANUP_INTERVAL_MS);
+cleanupTimer.unref();
+
+module.exports = {
+  runJob,
+  getJob,
+  isFinished,
+  serializeJob,
+  subscribe
+};
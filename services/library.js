@@ -0,0 +1,106 @@
+const posts = require('./posts');
+
+/**
+ * Media library: every image and video in a workspace's posts
+ *
+ * Built from the posts themselves, so it needs no index of its own. Each item
+ * links to the current file and, when it differs, the original upload and the
+ * enhanced version before edits. Items can be searched by caption, post
+ * title and file name, and filtered by tag, the date they were added and kind.
+ */
+
+const KINDS = ['image', 'video'];
+const DEFAULT_LIMIT = 60;
+const MAX_LIMIT = 200;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// "2024-05-01" or a full ISO date; `to` dates without a time include that whole day
+function parseDate(value, name, endOfDay = false) {
+  if (!value) return null;
+
+  const text = String(value);
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(date.getTime())) throw validationError(`${name} must be a date`);
+  return date.toISOString();
+}
+
+function parseCount(value, name, fallback, max) {
+  if (value === undefined || value === '') return fallback;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) throw validationError(`${name} must be a whole number`);
+  return Math.min(count, max);
+}
+
+function toItem(workspaceId, post, media) {
+  const caption = post.captions[post.captions.length - 1];
+  const fileUrl = file => file ? posts.getFileUrl(workspaceId, post.id, file.fileId) : null;
+
+  return {
+    id: media.id,
+    postId: post.id,
+    postTitle: post.title,
+    name: media.name,
+    mimeType: media.mimeType,
+    kind: media.mimeType.startsWith('video/') ? 'video' : 'image',
+    size: media.size,
+    addedAt: media.addedAt || post.createdAt,
+    url: fileUrl(media),
+    originalUrl: fileUrl(media.original),
+    enhancedUrl: media.enhanced ? fileUrl(media.enhancedBase || media) : null,
+    enhanced: Boolean(media.enhanced),
+    preset: media.preset,
+    edited: (media.edits || []).length > 0,
+    caption: caption ? caption.text : '',
+    tags: post.tags || [],
+    approval: posts.getApproval(post).state,
+    createdBy: post.createdBy || null
+  };
+}
+
+/**
+ * Search a workspace's media
+ *
+ * @param {string} workspaceId
+ * @param {Object} query - { q, tag, from, to, kind, limit, offset } as sent in the query string
+ * @returns {Promise<Object>} { items, total, tags } - tags with how many items carry each
+ */
+async function searchMedia(workspaceId, query = {}) {
+  const text = String(query.q || '').trim().toLowerCase();
+  const tag = String(query.tag || '').trim().replace(/^#/, '').toLowerCase();
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to', true);
+  const kind = query.kind || null;
+  if (kind && !KINDS.includes(kind)) throw validationError(`kind must be one of: ${KINDS.join(', ')}`);
+  const limit = parseCount(query.limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = parseCount(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER);
+
+  const all = (await posts.readPosts(workspaceId))
+    .flatMap(post => post.media.map(media => toItem(workspaceId, post, media)));
+
+  const tagCounts = new Map();
+  all.forEach(item => item.tags.forEach(name => tagCounts.set(name, (tagCounts.get(name) || 0) + 1)));
+
+  const matches = all
+    .filter(item => !text || [item.caption, item.postTitle, item.name].some(value => value.toLowerCase().includes(text)))
+    .filter(item => !tag || item.tags.includes(tag))
+    .filter(item => (!from || item.addedAt >= from) && (!to || item.addedAt <= to))
+    .filter(item => !kind || item.kind === kind)
+    .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+
+  return {
+    items: matches.slice(offset, offset + limit),
+    total: matches.length,
+    tags: [...tagCounts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  };
+}
+
+module.exports = {
+  KINDS,
+  searchMedia
+};
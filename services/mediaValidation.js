@@ -0,0 +1,697 @@
+const logger = require('../logger');
+const config = require('./config');
+const { loadCanvas, createUprightCanvas } = require('./canvas');
+
+/**
+ * Content-based validation and normalization of uploaded media
+ *
+ * Never trusts the client-supplied mimetype or file name:
+ *   - detects the real format from the file signature (magic bytes)
+ *   - rejects files carrying active content (HTML, scripts, PHP) in their
+ *     text and metadata chunks, and drops data appended after the end of the
+ *     image (ZIP/PDF polyglots); compressed pixel and video data is not
+ *     scanned, as random bytes match the pattern every few megabytes
+ *   - rejects images whose dimensions exceed MAX_IMAGE_DIMENSION
+ *   - strips EXIF/GPS, XMP and comment metadata (keeping only the JPEG
+ *     orientation): JPEG, PNG, WebP and GIF are rewritten without it; in
+ *     HEIC, AVIF, MP4 and MOV it is overwritten in place, since moving any
+ *     bytes would break the offsets into the media data. WebM is left as is.
+ *   - downscales images larger than MAX_IMAGE_LENGTH when canvas is available
+ *
+ * The limits are read on every call, so they can be changed without a restart.
+ */
+
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', kind: 'image' },
+  png: { mimeType: 'image/png', extension: 'png', kind: 'image' },
+  webp: { mimeType: 'image/webp', extension: 'webp', kind: 'image' },
+  gif: { mimeType: 'image/gif', extension: 'gif', kind: 'image' },
+  heic: { mimeType: 'image/heic', extension: 'heic', kind: 'image' },
+  avif: { mimeType: 'image/avif', extension: 'avif', kind: 'image' },
+  mp4: { mimeType: 'video/mp4', extension: 'mp4', kind: 'video' },
+  mov: { mimeType: 'video/quicktime', extension: 'mov', kind: 'video' },
+  webm: { mimeType: 'video/webm', extension: 'webm', kind: 'video' }
+};
+
+// Formats the enhancement providers can process
+const ENHANCEABLE_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Markers of active content that have no business inside an image or video
+const ACTIVE_CONTENT_PATTERN = /<script|<\?php|<html|<iframe|<svg|javascript:/i;
+
+function validationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Identify the real format of a file from its leading bytes
+function detectFormat(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+
+  // ISO base media files (HEIC, AVIF, MP4, MOV) share the ftyp box; the brand tells them apart
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'heic';
+    if (['avif', 'avis'].includes(brand)) return 'avif';
+    if (brand === 'qt  ') return 'mov';
+    return 'mp4';
+  }
+
+  return null;
+}
+
+// Read image dimensions from the file header; null when the header is
+// missing or cut short
+function readDimensions(format, buffer) {
+  switch (format) {
+    case 'png':
+      if (buffer.length < 24) return null;
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    case 'gif':
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    case 'webp': {
+      if (buffer.length < 30) return null;
+      const chunk = buffer.toString('latin1', 12, 16);
+      if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+      }
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+      }
+      return null;
+    }
+    case 'jpeg': {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// JPEG application (EXIF, XMP, ICC, ...) and comment segments
+function jpegMetadata(buffer) {
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xDA) break; // Start of scan, only image data follows
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if ((marker >= 0xE0 && marker <= 0xEF) || marker === 0xFE) {
+      segments.push(buffer.subarray(offset + 4, end));
+    }
+    offset = end;
+  }
+  return segments;
+}
+
+// PNG text and EXIF chunks
+function pngMetadata(buffer) {
+  const segments = [];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (['tEXt', 'zTXt', 'iTXt', 'eXIf'].includes(type)) {
+      segments.push(buffer.subarray(offset + 8, offset + 8 + length));
+    }
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  return segments;
+}
+
+// WebP EXIF and XMP chunks
+function webpMetadata(buffer) {
+  const segments = [];
+  const riffEnd = Math.min(buffer.length, buffer.readUInt32LE(4) + 8);
+  let offset = 12;
+
+  while (offset + 8 <= riffEnd) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (type === 'EXIF' || type === 'XMP ') {
+      segments.push(buffer.subarray(offset + 8, offset + 8 + size));
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return segments;
+}
+
+// The extension and image blocks of a GIF after its header and global color
+// table (headerEnd), up to the trailer. Extension data is split into
+// sub-blocks, which are joined so a match cannot hide across them.
+function readGifBlocks(buffer) {
+  const blocks = [];
+  const colorTableSize = flags => (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+  const readSubBlocks = start => {
+    const parts = [];
+    let position = start;
+    while (position < buffer.length && buffer[position] !== 0) {
+      parts.push(buffer.subarray(position + 1, position + 1 + buffer[position]));
+      position += buffer[position] + 1;
+    }
+    return { parts, end: position + 1 };
+  };
+
+  const headerEnd = 13 + colorTableSize(buffer[10]);
+  let offset = headerEnd;
+  while (offset + 1 < buffer.length) {
+    if (buffer[offset] === 0x21) {
+      const { parts, end } = readSubBlocks(offset + 2);
+      blocks.push({ label: buffer[offset + 1], start: offset, end, data: Buffer.concat(parts) });
+      offset = end;
+    } else if (buffer[offset] === 0x2C) {
+      // Image descriptor, optional local color table, LZW code size, then image data
+      const { end } = readSubBlocks(offset + 11 + colorTableSize(buffer[offset + 9]));
+      blocks.push({ label: null, start: offset, end, data: null });
+      offset = end;
+    } else {
+      break; // Trailer
+    }
+  }
+  return { headerEnd, blocks };
+}
+
+// GIF comment, plain text and application extensions
+function gifMetadata(buffer) {
+  return readGifBlocks(buffer).blocks
+    .filter(block => [0x01, 0xFE, 0xFF].includes(block.label))
+    .map(block => block.data);
+}
+
+// Boxes of an ISO base media file (HEIC, AVIF, MP4, MOV) between start and
+// end. A box cut short by the end of the file is clipped to it.
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset; // Box runs to the end of its parent
+    }
+    if (size < header) break;
+
+    boxes.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      start: offset,
+      dataStart: offset + header,
+      end: Math.min(offset + size, end)
+    });
+    offset += size;
+  }
+  return boxes;
+}
+
+// Every top-level box of an ISO base media file except mdat, which holds the
+// encoded frames
+function isoMetadata(buffer) {
+  return readBoxes(buffer)
+    .filter(box => box.type !== 'mdat')
+    .map(box => buffer.subarray(box.dataStart, box.end));
+}
+
+// The parts of a file that carry text or metadata rather than compressed
+// image or video data. Parsing stops at the first thing that does not fit
+// the format; what follows is dropped by stripMetadata for JPEG, PNG, WebP
+// and GIF. WebM is not parsed.
+function metadataSegments(format, buffer) {
+  switch (format) {
+    case 'jpeg': return jpegMetadata(buffer);
+    case 'png': return pngMetadata(buffer);
+    case 'webp': return webpMetadata(buffer);
+    case 'gif': return gifMetadata(buffer);
+    case 'heic':
+    case 'avif':
+    case 'mp4':
+    case 'mov': return isoMetadata(buffer);
+    default: return [];
+  }
+}
+
+// Read the EXIF orientation tag (1-8) from an APP1 segment payload
+function readExifOrientation(segment) {
+  if (segment.toString('latin1', 0, 6) !== 'Exif\0\0') return null;
+
+  const tiff = segment.subarray(6);
+  if (tiff.length < 8) return null;
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const read16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const read32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifdOffset = read32(4);
+  if (ifdOffset + 2 > tiff.length) return null;
+  const entries = read16(ifdOffset);
+
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (read16(entry) === 0x0112) {
+      const orientation = read16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+  return null;
+}
+
+// Minimal APP1 segment that only carries the orientation tag
+function buildOrientationSegment(orientation) {
+  const payload = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+  payload.write('Exif\0\0', 0, 'latin1');
+  payload.write('MM', 6, 'latin1');
+  payload.writeUInt16BE(0x002A, 8);
+  payload.writeUInt32BE(8, 10);        // IFD0 offset
+  payload.writeUInt16BE(1, 14);        // One entry
+  payload.writeUInt16BE(0x0112, 16);   // Orientation
+  payload.writeUInt16BE(3, 18);        // SHORT
+  payload.writeUInt32BE(1, 20);        // Count
+  payload.writeUInt16BE(orientation, 24);
+  payload.writeUInt32BE(0, 28);        // No next IFD
+
+  const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+// Drop EXIF/XMP (APP1), Photoshop/IPTC (APP13) and comment segments, plus
+// anything appended after the end-of-image marker
+function stripJpeg(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let orientation = null;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      throw validationError('Corrupt JPEG file');
+    }
+    const marker = buffer[offset + 1];
+
+    // Start of scan: copy the image data up to the first end-of-image marker.
+    // Entropy-coded data never contains a bare FF D9, so this is the real end.
+    if (marker === 0xDA) {
+      const end = buffer.indexOf(Buffer.from([0xFF, 0xD9]), offset);
+      if (end === -1) {
+        throw validationError('Corrupt JPEG file (missing end of image)');
+      }
+      parts.push(buffer.subarray(offset, end + 2));
+      break;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segment = buffer.subarray(offset, offset + 2 + length);
+
+    if (marker === 0xE1) {
+      orientation = orientation || readExifOrientation(segment.subarray(4));
+    } else if (marker !== 0xED && marker !== 0xFE) {
+      parts.push(segment);
+    }
+    offset += 2 + length;
+  }
+
+  // Re-insert orientation right after SOI so photos keep displaying upright
+  if (orientation && orientation !== 1) {
+    parts.splice(1, 0, buildOrientationSegment(orientation));
+  }
+
+  return { buffer: Buffer.concat(parts), orientation: orientation || 1 };
+}
+
+// Drop textual and EXIF chunks, plus anything appended after IEND
+function stripPng(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunkEnd = offset + 12 + length;
+
+    if (!['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'].includes(type)) {
+      parts.push(buffer.subarray(offset, chunkEnd));
+    }
+    offset = chunkEnd;
+
+    if (type === 'IEND') break;
+  }
+
+  return { buffer: Buffer.concat(parts), orientation: 1 };
+}
+
+// Drop EXIF and XMP chunks from a WebP container
+function stripWebp(buffer) {
+  const chunks = [];
+  let offset = 12;
+  const riffEnd = Math.min(buffer.length, buffer.readUInt32LE(4) + 8);
+
+  while (offset + 8 <= riffEnd) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const chunkEnd = offset + 8 + size + (size % 2);
+
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      chunks.push(Buffer.from(buffer.subarray(offset, chunkEnd)));
+    }
+    offset = chunkEnd;
+  }
+
+  // Clear the EXIF (0x08) and XMP (0x04) flags in the extended header
+  const extended = chunks.find(chunk => chunk.toString('latin1', 0, 4) === 'VP8X');
+  if (extended) {
+    extended[8] &= ~0x0C;
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return { buffer: Buffer.concat([header, body]), orientation: 1 };
+}
+
+// Application extensions that affect how a GIF is shown: looping and the
+// color profile. The rest (XMP, editor data) is dropped.
+const GIF_KEPT_APPLICATIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0', 'ICCRGBG1012'];
+
+// Drop comment and other application extensions, plus anything appended
+// after the trailer
+function stripGif(buffer) {
+  const { headerEnd, blocks } = readGifBlocks(buffer);
+  const parts = [buffer.subarray(0, headerEnd)];
+
+  for (const block of blocks) {
+    const isMetadata = block.label === 0xFE ||
+      (block.label === 0xFF && !GIF_KEPT_APPLICATIONS.includes(block.data.toString('latin1', 0, 11)));
+    if (!isMetadata) {
+      parts.push(buffer.subarray(block.start, block.end));
+    }
+  }
+  parts.push(Buffer.from([0x3B]));
+
+  return { buffer: Buffer.concat(parts), orientation: 1 };
+}
+
+// UUID of the box Adobe XMP is stored in
+const XMP_UUID = 'be7acfcb97a942e89c71999491e3afac';
+
+function isXmpBox(buffer, box) {
+  return box.type === 'uuid' && buffer.toString('hex', box.dataStart, box.dataStart + 16) === XMP_UUID;
+}
+
+// Turn a box into a free box of the same size, so no offsets move
+function blankBox(buffer, box) {
+  buffer.write('free', box.start + 4, 'latin1');
+  buffer.fill(0, box.dataStart, box.end);
+}
+
+// Ids of the Exif and XMP items listed in a HEIC/AVIF iinf box
+function metadataItemIds(buffer, iinf) {
+  const ids = new Set();
+  const entriesStart = iinf.dataStart + 4 + (buffer[iinf.dataStart] === 0 ? 2 : 4);
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+    const data = buffer.subarray(infe.dataStart, infe.end);
+    const version = data[0];
+    // Item types only exist from version 2 on
+    if (infe.type !== 'infe' || version < 2 || data.length < 12) continue;
+
+    const idSize = version === 2 ? 2 : 4;
+    const id = data.readUIntBE(4, idSize);
+    const typeStart = 4 + idSize + 2;
+    const type = data.toString('latin1', typeStart, typeStart + 4);
+
+    if (type === 'Exif') {
+      ids.add(id);
+    } else if (type === 'mime') {
+      // item_name, then content_type, both null-terminated
+      const nameEnd = data.indexOf(0, typeStart + 4);
+      const contentTypeEnd = nameEnd === -1 ? -1 : data.indexOf(0, nameEnd + 1);
+      if (contentTypeEnd !== -1 && data.toString('latin1', nameEnd + 1, contentTypeEnd) === 'application/rdf+xml') {
+        ids.add(id);
+      }
+    }
+  }
+  return ids;
+}
+
+// Where the data of each item in a HEIC/AVIF iloc box lives:
+// [{ itemId, constructionMethod, offset, length }]
+function readItemLocations(buffer, iloc) {
+  const data = buffer.subarray(iloc.dataStart, iloc.end);
+  const version = data[0];
+  const offsetSize = data[4] >> 4;
+  const lengthSize = data[4] & 0x0F;
+  const baseOffsetSize = data[5] >> 4;
+  const indexSize = version === 1 || version === 2 ? data[5] & 0x0F : 0;
+  let position = 6;
+
+  // Offset, length and index fields are 0, 4 or 8 bytes (0: absent)
+  const read = size => {
+    let value;
+    if (size === 0) value = 0;
+    else if (size === 2) value = data.readUInt16BE(position);
+    else if (size === 4) value = data.readUInt32BE(position);
+    else if (size === 8) value = Number(data.readBigUInt64BE(position));
+    else throw validationError('Corrupt image file (invalid item locations)');
+    position += size;
+    return value;
+  };
+  const read16 = () => read(2);
+  const read32 = () => read(4);
+
+  const locations = [];
+  try {
+    const itemCount = version < 2 ? read16() : read32();
+    for (let i = 0; i < itemCount; i++) {
+      const itemId = version < 2 ? read16() : read32();
+      const constructionMethod = version === 1 || version === 2 ? read16() & 0x0F : 0;
+      read16(); // data_reference_index
+      const baseOffset = read(baseOffsetSize);
+      const extentCount = read16();
+      for (let j = 0; j < extentCount; j++) {
+        if (indexSize > 0) read(indexSize);
+        const offset = read(offsetSize);
+        const length = read(lengthSize);
+        locations.push({ itemId, constructionMethod, offset: baseOffset + offset, length });
+      }
+    }
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw validationError('Corrupt image file (invalid item locations)');
+  }
+  return locations;
+}
+
+// Overwrite the Exif and XMP items of a HEIC/AVIF meta box with zeros
+function blankMetadataItems(buffer, meta) {
+  const children = readBoxes(buffer, meta.dataStart + 4, meta.end); // meta is a full box
+  const iinf = children.find(box => box.type === 'iinf');
+  const iloc = children.find(box => box.type === 'iloc');
+  const idat = children.find(box => box.type === 'idat');
+  if (!iinf || !iloc) return;
+
+  const ids = metadataItemIds(buffer, iinf);
+  if (ids.size === 0) return;
+
+  for (const location of readItemLocations(buffer, iloc)) {
+    if (!ids.has(location.itemId) || location.length === 0) continue;
+
+    // Construction method 0 points into the file, 1 into the idat box
+    const base = location.constructionMethod === 0 ? 0 : location.constructionMethod === 1 && idat ? idat.dataStart : null;
+    if (base === null) continue;
+    const start = Math.min(base + location.offset, buffer.length);
+    buffer.fill(0, start, Math.min(start + location.length, buffer.length));
+  }
+}
+
+// Blank the Exif and XMP items and XMP boxes of a HEIC or AVIF image
+function stripIsoImage(buffer) {
+  const output = Buffer.from(buffer);
+  for (const box of readBoxes(output)) {
+    if (box.type === 'meta') {
+      blankMetadataItems(output, box);
+    } else if (isXmpBox(output, box)) {
+      blankBox(output, box);
+    }
+  }
+  return { buffer: output, orientation: 1 };
+}
+
+// Blank the user data and metadata boxes (location, device, XMP) of an MP4 or
+// MOV video, at the top level and in the movie, its tracks and their media
+function stripIsoVideo(buffer) {
+  const output = Buffer.from(buffer);
+  const blankIn = (start, end) => {
+    for (const box of readBoxes(output, start, end)) {
+      if (['udta', 'meta'].includes(box.type) || isXmpBox(output, box)) {
+        blankBox(output, box);
+      } else if (['moov', 'trak', 'mdia'].includes(box.type)) {
+        blankIn(box.dataStart, box.end);
+      }
+    }
+  };
+  blankIn(0, output.length);
+  return { buffer: output, orientation: 1 };
+}
+
+function stripMetadata(format, buffer) {
+  switch (format) {
+    case 'jpeg': return stripJpeg(buffer);
+    case 'png': return stripPng(buffer);
+    case 'webp': return stripWebp(buffer);
+    case 'gif': return stripGif(buffer);
+    case 'heic':
+    case 'avif': return stripIsoImage(buffer);
+    case 'mp4':
+    case 'mov': return stripIsoVideo(buffer);
+    default: return { buffer, orientation: 1 };
+  }
+}
+
+// Redraw an oversized image at MAX_IMAGE_LENGTH, applying the EXIF orientation
+// since the re-encoded output carries no metadata at all
+async function downscale(format, buffer, dimensions, orientation, maxLength) {
+  const canvasLib = loadCanvas();
+  if (!canvasLib) {
+    logger.warn(`⚠️ Image is ${dimensions.width}x${dimensions.height} but canvas is unavailable, forwarding without downscaling`);
+    return null;
+  }
+
+  const image = await canvasLib.loadImage(buffer);
+  const ratio = maxLength / Math.max(image.width, image.height);
+  const width = Math.max(1, Math.round(image.width * ratio));
+  const height = Math.max(1, Math.round(image.height * ratio));
+
+  const canvas = createUprightCanvas(image, orientation, width, height);
+
+  // PNG keeps transparency, everything else becomes JPEG
+  const outputFormat = format === 'png' ? 'png' : 'jpeg';
+  const output = outputFormat === 'png'
+    ? canvas.toBuffer('image/png')
+    : canvas.toBuffer('image/jpeg', { quality: 0.92 });
+
+  return {
+    buffer: output,
+    format: outputFormat,
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+/**
+ * Validate an uploaded file and normalize it for forwarding
+ *
+ * @param {Buffer} buffer - raw file contents
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedFormats] - detected formats to accept (default: enhanceable images)
+ * @param {number} [options.maxLength] - longest side to downscale images to
+ * @returns {Promise<Object>} { buffer, format, mimeType, extension, kind, width, height, orientation, resized }
+ */
+async function validateMedia(buffer, { allowedFormats = ENHANCEABLE_FORMATS, maxLength = config.get('MAX_IMAGE_LENGTH') } = {}) {
+  if (!buffer || buffer.length === 0) {
+    throw validationError('The uploaded file is empty');
+  }
+
+  const maxFileSize = config.get('MAX_FILE_SIZE');
+  if (buffer.length > maxFileSize) {
+    throw validationError(`File is too large. Maximum size is ${Math.round(maxFileSize / 1024 / 1024)}MB`, 413);
+  }
+
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw validationError('Unrecognized file format. Only image and video files are allowed!', 415);
+  }
+  if (!allowedFormats.includes(format)) {
+    throw validationError(`Unsupported file format "${FORMATS[format].mimeType}". Supported formats: ${allowedFormats.map(name => FORMATS[name].mimeType).join(', ')}`, 415);
+  }
+
+  // latin1 maps bytes 1:1 so the pattern can be searched in binary data
+  if (metadataSegments(format, buffer).some(segment => ACTIVE_CONTENT_PATTERN.test(segment.toString('latin1')))) {
+    logger.warn(`⚠️ Rejected ${format} upload containing active content`);
+    throw validationError('File contains embedded content that is not allowed');
+  }
+
+  const result = {
+    ...FORMATS[format],
+    format,
+    buffer,
+    width: null,
+    height: null,
+    orientation: 1, // EXIF orientation still to be applied when drawing
+    resized: false
+  };
+
+  if (FORMATS[format].kind !== 'image') {
+    result.buffer = stripMetadata(format, buffer).buffer;
+    return result;
+  }
+
+  const dimensions = readDimensions(format, buffer);
+  if (['jpeg', 'png', 'webp', 'gif'].includes(format) && !dimensions) {
+    throw validationError('Could not read image dimensions, the file may be corrupt');
+  }
+
+  const maxDimension = config.get('MAX_IMAGE_DIMENSION');
+  if (dimensions) {
+    if (dimensions.width > maxDimension || dimensions.height > maxDimension) {
+      throw validationError(`Image is too large (${dimensions.width}x${dimensions.height}). Maximum is ${maxDimension}px per side`, 413);
+    }
+    result.width = dimensions.width;
+    result.height = dimensions.height;
+  }
+
+  const stripped = stripMetadata(format, buffer);
+  result.buffer = stripped.buffer;
+  result.orientation = stripped.orientation;
+
+  if (dimensions && Math.max(dimensions.width, dimensions.height) > maxLength) {
+    const downscaled = await downscale(format, stripped.buffer, dimensions, stripped.orientation, maxLength);
+    if (downscaled) {
+      logger.info(`Downscaled ${dimensions.width}x${dimensions.height} image to ${downscaled.width}x${downscaled.height}`);
+      Object.assign(result, FORMATS[downscaled.format], {
+        format: downscaled.format,
+        buffer: downscaled.buffer,
+        width: downscaled.width,
+        height: downscaled.height,
+        orientation: 1,
+        resized: true
+      });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  validateMedia
+};
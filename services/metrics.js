@@ -0,0 +1,138 @@
+const config = require('./config');
+
+/**
+ * In-process metrics in the Prometheus text format, served at /metrics
+ *
+ * Counters and histograms are defined up front and updated with label sets,
+ * e.g. inc('http_requests_total', { route: '/api/enhance-image', status: 200 }).
+ * Gauges whose value is only known when scraped (circuit states, memory)
+ * are registered as collectors.
+ */
+
+const HTTP_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const UPSTREAM_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const metrics = new Map();
+const collectors = [];
+
+function define(name, type, help, buckets) {
+  metrics.set(name, { name, type, help, buckets, series: new Map() });
+}
+
+define('http_requests_total', 'counter', 'HTTP requests by method, route and status');
+define('http_request_errors_total', 'counter', 'HTTP requests answered with a 5xx status, by method and route');
+define('http_request_duration_seconds', 'histogram', 'HTTP request latency by method and route', HTTP_BUCKETS);
+define('http_request_size_bytes_total', 'counter', 'HTTP request body bytes by method and route');
+define('http_response_size_bytes_total', 'counter', 'HTTP response body bytes by method and route');
+define('upstream_request_duration_seconds', 'histogram', 'Upstream API call latency by provider and outcome (ok or an upstream error code)', UPSTREAM_BUCKETS);
+define('result_cache_requests_total', 'counter', 'Result cache lookups by cache and result (hit, coalesced, miss, bypass)');
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function getSeries(name, labels, create) {
+  const metric = metrics.get(name);
+  if (!metric) throw new Error(`Unknown metric "${name}"`);
+
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...create(metric) });
+  return metric.series.get(key);
+}
+
+// Add to a counter
+function inc(name, labels = {}, value = 1) {
+  getSeries(name, labels, () => ({ value: 0 })).value += value;
+}
+
+// Record a histogram observation, e.g. a duration in seconds
+function observe(name, labels, value) {
+  const series = getSeries(name, labels, metric => ({
+    counts: metric.buckets.map(() => 0),
+    sum: 0,
+    count: 0
+  }));
+
+  const { buckets } = metrics.get(name);
+  buckets.forEach((bound, index) => {
+    if (value <= bound) series.counts[index] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+/**
+ * Register a gauge computed at scrape time
+ *
+ * @param {string} name - metric name
+ * @param {string} help - description
+ * @param {Function} collect - returns [{ labels, value }]
+ */
+function registerGauge(name, help, collect) {
+  collectors.push({ name, help, collect });
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+// All metrics in the Prometheus text exposition format
+function render() {
+  const lines = [];
+
+  metrics.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+    metric.series.forEach(series => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        return;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+  });
+
+  collectors.forEach(collector => {
+    lines.push(`# HELP ${collector.name} ${collector.help}`, `# TYPE ${collector.name} gauge`);
+    collector.collect().forEach(sample => {
+      lines.push(`${collector.name}${formatLabels(sample.labels || {})} ${sample.value}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+registerGauge('process_resident_memory_bytes', 'Resident memory of the server process', () => [
+  { value: process.memoryUsage().rss }
+]);
+registerGauge('process_uptime_seconds', 'Seconds since the server process started', () => [
+  { value: Math.round(process.uptime()) }
+]);
+
+// Express handler for GET /metrics; needs "Authorization: Bearer <METRICS_TOKEN>" when it is set
+function handler(req, res) {
+  const token = config.get('METRICS_TOKEN');
+  if (token && req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ status: 'error', message: 'Invalid metrics token' });
+  }
+
+  res.type('text/plain; version=0.0.4');
+  res.send(render());
+}
+
+module.exports = {
+  inc,
+  observe,
+  registerGauge,
+  render,
+  handler
+};
@@ -0,0 +1,41 @@
+const accounts = require('./accounts');
+const auth = require('./auth');
+
+/**
+ * Who a background job or batch belongs to
+ *
+ * Jobs and batches are only visible to whoever started them. A request can
+ * identify itself twice: as the signed-in account (session cookie) and as an
+ * API client (key, session token, or anonymous:<ip> when keys are optional).
+ * Everything a request identifies as is recorded when work starts; a later
+ * request matching any of it is the owner. The app sends both when starting
+ * work, but EventSource streams only carry the cookie.
+ */
+
+/**
+ * Identities of the caller, e.g. ['user:<id>', 'client:<keyId>']
+ *
+ * @param {Object} req - Express request; req.user and req.apiClient are used when set
+ * @returns {Promise<string[]>}
+ */
+async function identify(req) {
+  const identities = [];
+
+  const user = req.user || await accounts.authenticate(req);
+  if (user) identities.push(`user:${user.id}`);
+
+  // Missing or invalid credentials just mean no client identity here
+  const client = req.apiClient || await auth.authenticate(req).catch(() => null);
+  if (client) identities.push(`client:${client.id}`);
+
+  return identities;
+}
+
+function isOwner(owners, identities) {
+  return identities.some(identity => owners.includes(identity));
+}
+
+module.exports = {
+  identify,
+  isOwner
+};
@@ -0,0 +1,544 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { getWorkspaceDir, ensureDir, readJson, writeJson } = require('./dataStore');
+const mediaValidation = require('./mediaValidation');
+
+/**
+ * File-based store for post drafts and history
+ *
+ * Posts belong to a workspace; each lives in its own directory under
+ * DATA_DIR/workspaces/<workspaceId>/posts:
+ *   <postId>/post.json   - metadata, tags, approval, media list and caption versions
+ *   <postId>/files/<id>  - media files (current, original and enhanced versions)
+ *
+ * Edited images keep their edit stack (crop, rotate, filters, ...) next to
+ * the original, and the enhanced version when they were enhanced too, so the
+ * edits can still be undone after reopening the post.
+ *
+ * Media entries sent by the client reference their files either by an
+ * existing fileId (unchanged since the last save) or by the name of an
+ * uploaded multipart field, so autosaves only upload what changed. Uploads
+ * are validated like any other media and stored with their detected type.
+ *
+ * Approval: an editor submits a post for review and another editor (or an
+ * owner) approves it or asks for changes. Changing the media or caption of a
+ * submitted or approved post sends it back to not_submitted. In workspaces
+ * that require approval, only approved posts can be published or scheduled,
+ * from their stored media and caption.
+ *   not_submitted -> pending -> approved | changes_requested
+ */
+
+const POST_STATUSES = ['draft', 'complete'];
+const APPROVAL_ACTIONS = {
+  submit: { from: ['not_submitted', 'changes_requested'], to: 'pending' },
+  withdraw: { from: ['pending', 'approved'], to: 'not_submitted' },
+  approve: { from: ['pending'], to: 'approved' },
+  request_changes: { from: ['pending', 'approved'], to: 'changes_requested' }
+};
+const EDIT_TYPES = ['crop', 'rotate', 'flip', 'adjust', 'filter', 'reset'];
+const MAX_EDITS = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_APPROVAL_HISTORY = 50;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Changes to a post are chained per post, so concurrent saves and reviews
+// don't overwrite each other or prune files another save just stored
+const postUpdates = new Map();
+
+function validationError(message, statusCode = 400, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+function notFoundError() {
+  const error = new Error('Post not found');
+  error.statusCode = 404;
+  return error;
+}
+
+function postDir(workspaceId, id) {
+  if (!ID_PATTERN.test(id)) throw notFoundError();
+  return getWorkspaceDir(workspaceId, 'posts', id);
+}
+
+function postFile(workspaceId, id) {
+  return path.join(postDir(workspaceId, id), 'post.json');
+}
+
+function filesDir(workspaceId, id) {
+  return path.join(postDir(workspaceId, id), 'files');
+}
+
+// URL of a stored media file, for thumbnails and the media library
+function getFileUrl(workspaceId, postId, fileId) {
+  return `/api/workspaces/${workspaceId}/posts/${postId}/files/${fileId}`;
+}
+
+// Validate an uploaded temp file and store the normalized copy in the post's
+// file directory (the route removes the temp file afterwards)
+async function storeUpload(workspaceId, id, uploadedFile) {
+  const media = await mediaValidation.validateMedia(await fs.promises.readFile(uploadedFile.path), {
+    allowedFormats: Object.keys(mediaValidation.FORMATS)
+  });
+
+  const fileId = crypto.randomUUID();
+  await fs.promises.writeFile(path.join(filesDir(workspaceId, id), fileId), media.buffer);
+  return { fileId, mimeType: media.mimeType, size: media.buffer.length };
+}
+
+// Resolve a file reference from the client into a stored file entry
+async function resolveFileRef(workspaceId, id, ref, uploadsByField, existingFiles) {
+  if (!ref) return null;
+
+  if (ref.upload) {
+    const uploadedFile = uploadsByField[ref.upload];
+    if (!uploadedFile) {
+      throw validationError(`No uploaded file for field "${ref.upload}"`);
+    }
+    const stored = await storeUpload(workspaceId, id, uploadedFile);
+    return {
+      fileId: stored.fileId,
+      name: ref.name || uploadedFile.originalname,
+      mimeType: stored.mimeType,
+      size: stored.size
+    };
+  }
+
+  if (ref.fileId) {
+    const existing = existingFiles.get(ref.fileId);
+    if (!existing) {
+      throw validationError(`Unknown file "${ref.fileId}" for this post`);
+    }
+    return { ...existing, name: ref.name || existing.name };
+  }
+
+  throw validationError('Each media file needs either a fileId or an upload field');
+}
+
+// Edit stacks are replayed by the client; only their shape is checked here
+function validateEdits(edits) {
+  if (edits === undefined || edits === null) return [];
+  if (!Array.isArray(edits) || edits.length > MAX_EDITS) {
+    throw validationError(`edits must be an array of at most ${MAX_EDITS} operations`);
+  }
+  edits.forEach(edit => {
+    if (!edit || !EDIT_TYPES.includes(edit.type)) {
+      throw validationError(`Each edit needs a type of: ${EDIT_TYPES.join(', ')}`);
+    }
+  });
+  return edits;
+}
+
+// "#Beach", "beach" and " #beach " all become "beach"; duplicates are dropped
+function normalizeTags(value) {
+  if (!Array.isArray(value)) throw validationError('tags must be an array');
+
+  const tags = [...new Set(value
+    .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+    .filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw validationError(`A post can have at most ${MAX_TAGS} tags`);
+
+  const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) throw validationError(`Tags can be at most ${MAX_TAG_LENGTH} characters ("${tooLong.slice(0, 20)}...")`);
+  return tags;
+}
+
+// Posts saved before approvals existed have never been submitted
+function getApproval(post) {
+  return post.approval || { state: 'not_submitted', history: [] };
+}
+
+// What a reviewer signs off on: the media files and the caption
+function getContentSignature(post) {
+  const caption = post.captions[post.captions.length - 1];
+  return JSON.stringify([post.media.map(item => item.fileId), caption ? caption.text : '']);
+}
+
+// Every file referenced by a post, keyed by fileId
+function collectFiles(post) {
+  const files = new Map();
+  (post?.media || []).forEach(item => {
+    [item, item.original, item.enhancedBase].filter(Boolean).forEach(file => {
+      files.set(file.fileId, {
+        fileId: file.fileId,
+        name: file.name,
+        mimeType: file.mimeType,
+        size: file.size
+      });
+    });
+  });
+  return files;
+}
+
+// Run a read-change-write of a post after the ones already queued for it
+function queuePostUpdate(workspaceId, id, task) {
+  const key = `${workspaceId}/${id}`;
+  const result = (postUpdates.get(key) || Promise.resolve()).then(task);
+  const settled = result.catch(() => {});
+  postUpdates.set(key, settled);
+  settled.then(() => {
+    if (postUpdates.get(key) === settled) postUpdates.delete(key);
+  });
+  return result;
+}
+
+// Delete stored files no longer referenced by the post
+async function pruneFiles(workspaceId, id, post) {
+  const referenced = collectFiles(post);
+  const stored = await fs.promises.readdir(filesDir(workspaceId, id)).catch(() => []);
+
+  await Promise.all(stored
+    .filter(fileId => !referenced.has(fileId))
+    .map(fileId => fs.promises.unlink(path.join(filesDir(workspaceId, id), fileId)).catch(error => {
+      logger.error(`Error deleting unused post file ${fileId}:`, error);
+    })));
+}
+
+function summarizePost(workspaceId, post) {
+  const latestCaption = post.captions[post.captions.length - 1];
+  const thumbnail = post.media.find(item => item.mimeType.startsWith('image/'));
+
+  return {
+    id: post.id,
+    title: post.title,
+    status: post.status,
+    approval: getApproval(post).state,
+    tags: post.tags || [],
+    createdBy: post.createdBy || null,
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt,
+    mediaCount: post.media.length,
+    caption: latestCaption ? latestCaption.text : '',
+    captionVersions: post.captions.length,
+    thumbnailUrl: thumbnail ? getFileUrl(workspaceId, post.id, thumbnail.fileId) : null
+  };
+}
+
+// Apply a save request (create or update) to a post and write it to disk
+async function applyChanges(workspaceId, post, data, uploadedFiles) {
+  const signature = getContentSignature(post);
+  const uploadsByField = {};
+  (uploadedFiles || []).forEach(file => {
+    uploadsByField[file.fieldname] = file;
+  });
+
+  if (data.status !== undefined) {
+    if (!POST_STATUSES.includes(data.status)) {
+      throw validationError(`status must be one of: ${POST_STATUSES.join(', ')}`);
+    }
+    post.status = data.status;
+  }
+
+  if (data.title !== undefined) {
+    post.title = String(data.title).slice(0, 200);
+  }
+
+  if (data.tags !== undefined) {
+    post.tags = normalizeTags(data.tags);
+  }
+
+  // Brand kit watermark for exports: on by default with the default kit,
+  // or a chosen kit, or switched off for this post
+  if (data.watermark !== undefined) {
+    const watermark = data.watermark || {};
+    post.watermark = {
+      enabled: watermark.enabled !== false,
+      brandKitId: watermark.brandKitId ? String(watermark.brandKitId) : null
+    };
+  }
+
+  if (data.media !== undefined) {
+    if (!Array.isArray(data.media)) {
+      throw validationError('media must be an array');
+    }
+
+    await ensureDir(filesDir(workspaceId, post.id));
+    const existingFiles = collectFiles(post);
+    const existingItems = new Map(post.media.map(item => [item.id, item]));
+    const media = [];
+
+    for (const item of data.media) {
+      const edits = validateEdits(item.edits);
+      const current = await resolveFileRef(workspaceId, post.id, item, uploadsByField, existingFiles);
+      const original = await resolveFileRef(workspaceId, post.id, item.original, uploadsByField, existingFiles);
+      const enhancedBase = await resolveFileRef(workspaceId, post.id, item.enhancedBase, uploadsByField, existingFiles);
+
+      // The library sorts and filters media by when it was first added; an
+      // item keeps its original file when it is enhanced or edited
+      const sourceFileId = (original || current).fileId;
+      const existing = existingItems.get(item.id) ||
+        post.media.find(candidate => (candidate.original || candidate).fileId === sourceFileId);
+
+      media.push({
+        id: existing ? existing.id : crypto.randomUUID(),
+        addedAt: existing?.addedAt || new Date().toISOString(),
+        ...current,
+        enhanced: Boolean(item.enhanced),
+        preset: item.preset || null,
+        original,
+        enhancedBase,
+        edits
+      });
+    }
+
+    post.media = media;
+  }
+
+  // Keep every distinct caption as a new version
+  if (typeof data.caption === 'string') {
+    const latest = post.captions[post.captions.length - 1];
+    if (!latest || latest.text !== data.caption) {
+      post.captions.push({
+        text: data.caption,
+        source: data.captionSource === 'generated' ? 'generated' : 'edited',
+        createdAt: new Date().toISOString()
+      });
+    }
+  }
+
+  // Reviewers signed off on the content, not on whatever it becomes later
+  const approval = getApproval(post);
+  if (['pending', 'approved'].includes(approval.state) && getContentSignature(post) !== signature) {
+    post.approval = { ...approval, state: 'not_submitted' };
+    logger.info(`Post ${post.id} changed after it was submitted, approval reset`);
+  }
+
+  post.updatedAt = new Date().toISOString();
+  await writeJson(postFile(workspaceId, post.id), post);
+  await pruneFiles(workspaceId, post.id, post);
+
+  return post;
+}
+
+// Every post of a workspace, most recently updated first
+async function readPosts(workspaceId) {
+  const ids = await fs.promises.readdir(getWorkspaceDir(workspaceId, 'posts')).catch(() => []);
+
+  const posts = await Promise.all(ids
+    .filter(id => ID_PATTERN.test(id))
+    .map(id => readJson(postFile(workspaceId, id))));
+
+  return posts
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function listPosts(workspaceId) {
+  return (await readPosts(workspaceId)).map(post => summarizePost(workspaceId, post));
+}
+
+async function getPost(workspaceId, id) {
+  const post = await readJson(postFile(workspaceId, id));
+  if (!post) throw notFoundError();
+  return post;
+}
+
+/**
+ * Create a post
+ *
+ * @param {string} workspaceId
+ * @param {Object} user - the author, { id, username }
+ * @param {Object} data - post fields, as for updatePost()
+ * @param {Object[]} uploadedFiles - multer files referenced by the media
+ */
+async function createPost(workspaceId, user, data, uploadedFiles) {
+  const now = new Date().toISOString();
+  const post = {
+    id: crypto.randomUUID(),
+    title: '',
+    status: 'draft',
+    tags: [],
+    createdBy: { id: user.id, username: user.username },
+    approval: { state: 'not_submitted', history: [] },
+    createdAt: now,
+    updatedAt: now,
+    media: [],
+    captions: [],
+    watermark: { enabled: true, brandKitId: null }
+  };
+
+  await ensureDir(postDir(workspaceId, post.id));
+  const saved = await applyChanges(workspaceId, post, data, uploadedFiles);
+  logger.info(`Created post ${post.id} in workspace ${workspaceId}`);
+  return saved;
+}
+
+function updatePost(workspaceId, id, data, uploadedFiles) {
+  return queuePostUpdate(workspaceId, id, async () => {
+    const post = await getPost(workspaceId, id);
+    return applyChanges(workspaceId, post, data, uploadedFiles);
+  });
+}
+
+// Queued like an update of the source, so a save can't prune files mid-copy
+function duplicatePost(workspaceId, id, user) {
+  return queuePostUpdate(workspaceId, id, async () => {
+    const source = await getPost(workspaceId, id);
+    const now = new Date().toISOString();
+    const copy = {
+      ...source,
+      id: crypto.randomUUID(),
+      title: source.title ? `${source.title} (copy)` : '',
+      status: 'draft',
+      createdBy: { id: user.id, username: user.username },
+      approval: { state: 'not_submitted', history: [] },
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // File ids are only unique within a post, so they can be copied as-is
+    await ensureDir(filesDir(workspaceId, copy.id));
+    const files = await fs.promises.readdir(filesDir(workspaceId, id)).catch(() => []);
+    await Promise.all(files.map(fileId => fs.promises.copyFile(
+      path.join(filesDir(workspaceId, id), fileId),
+      path.join(filesDir(workspaceId, copy.id), fileId)
+    )));
+
+    await writeJson(postFile(workspaceId, copy.id), copy);
+    logger.info(`Duplicated post ${id} as ${copy.id}`);
+    return copy;
+  });
+}
+
+function deletePost(workspaceId, id) {
+  return queuePostUpdate(workspaceId, id, async () => {
+    await getPost(workspaceId, id);
+    await fs.promises.rm(postDir(workspaceId, id), { recursive: true, force: true });
+    logger.info(`Deleted post ${id}`);
+  });
+}
+
+/**
+ * Move a post through the approval states
+ *
+ * @param {string} workspaceId
+ * @param {string} id - post id
+ * @param {Object} user - the member acting, { id, username }
+ * @param {Object} data - { action: submit | withdraw | approve | request_changes, note }
+ */
+async function reviewPost(workspaceId, id, user, { action, note } = {}) {
+  const transition = APPROVAL_ACTIONS[action];
+  if (!transition) {
+    throw validationError(`action must be one of: ${Object.keys(APPROVAL_ACTIONS).join(', ')}`);
+  }
+
+  return queuePostUpdate(workspaceId, id, async () => {
+    const post = await getPost(workspaceId, id);
+    const approval = getApproval(post);
+    if (!transition.from.includes(approval.state)) {
+      throw validationError(`A post that is ${approval.state.replace('_', ' ')} can't be sent to ${transition.to.replace('_', ' ')}`, 409);
+    }
+    if (action === 'submit' && post.media.length === 0) {
+      throw validationError('Add media to the post before submitting it');
+    }
+    // Signing off means a second pair of eyes
+    if (action === 'approve' && approval.submittedBy?.id === user.id) {
+      throw validationError('Posts need to be approved by someone other than who submitted them', 403, 'approval_self');
+    }
+
+    const now = new Date().toISOString();
+    const by = { id: user.id, username: user.username };
+    const entry = { action, by, at: now, note: note ? String(note).trim().slice(0, 500) : null };
+
+    post.approval = {
+      ...approval,
+      state: transition.to,
+      ...(action === 'submit' ? { submittedBy: by, submittedAt: now } : {}),
+      ...(['approve', 'request_changes'].includes(action) ? { reviewedBy: by, reviewedAt: now, note: entry.note } : {}),
+      history: [...(approval.history || []), entry].slice(-MAX_APPROVAL_HISTORY)
+    };
+    post.updatedAt = now;
+
+    await writeJson(postFile(workspaceId, id), post);
+    logger.info(`Post ${id} ${transition.to.replace('_', ' ')} by ${user.username}`);
+    return post;
+  });
+}
+
+function approvalRequiredError(message) {
+  return validationError(message, 409, 'approval_required');
+}
+
+/**
+ * Content a post may be published or scheduled with from its workspace
+ *
+ * Workspaces that require approval only let approved posts out, and only as
+ * they were approved: the post's stored media and latest caption, whatever
+ * the request carried. Without the setting this returns null and the request
+ * content is used.
+ *
+ * @param {Object} workspace
+ * @param {string} postId - the post being published, if any
+ * @returns {Promise<Object|null>} { postId, caption, signature, files } - files
+ *   shaped like multer's ({ path, originalname, mimetype }), in post order
+ */
+async function getApprovedContent(workspace, postId) {
+  if (!workspace.requireApproval) return null;
+
+  if (!postId) {
+    throw approvalRequiredError('This workspace requires approval. Save the post and have it approved first.');
+  }
+  const post = await getPost(workspace.id, String(postId));
+  if (getApproval(post).state !== 'approved') {
+    throw approvalRequiredError('This post needs to be approved before it can be published or scheduled');
+  }
+
+  const caption = post.captions[post.captions.length - 1];
+  return {
+    postId: post.id,
+    caption: caption ? caption.text : '',
+    signature: getContentSignature(post),
+    files: post.media.map(item => ({
+      path: path.join(filesDir(workspace.id, post.id), item.fileId),
+      originalname: item.name,
+      mimetype: item.mimeType
+    }))
+  };
+}
+
+// Check, when a scheduled post runs, that the content it was scheduled with
+// (see getApprovedContent) is still the approved version of its post
+async function checkStillApproved(workspace, postId, signature) {
+  if (!workspace.requireApproval) return;
+
+  const post = postId && signature ? await getPost(workspace.id, String(postId)).catch(() => null) : null;
+  if (!post || getApproval(post).state !== 'approved' || getContentSignature(post) !== signature) {
+    throw approvalRequiredError('This post is no longer approved as scheduled. Have it approved and schedule it again.');
+  }
+}
+
+// Locate a stored media file for download. inline is only set for the image
+// and video types uploads are validated against; anything else (files saved
+// before validation) must be served as a download.
+async function getPostFile(workspaceId, id, fileId) {
+  const post = await getPost(workspaceId, id);
+  const file = collectFiles(post).get(fileId);
+  if (!file) throw notFoundError();
+
+  return {
+    ...file,
+    inline: Object.values(mediaValidation.FORMATS).some(format => format.mimeType === file.mimeType),
+    path: path.join(filesDir(workspaceId, id), fileId)
+  };
+}
+
+module.exports = {
+  getFileUrl,
+  getApproval,
+  readPosts,
+  listPosts,
+  getPost,
+  createPost,
+  updatePost,
+  duplicatePost,
+  deletePost,
+  reviewPost,
+  getApprovedContent,
+  checkStillApproved,
+  getPostFile
+};
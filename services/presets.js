@@ -0,0 +1,116 @@
+const fs = require('fs');
+const logger = require('../logger');
+const config = require('./config');
+
+/**
+ * Enhancement presets
+ *
+ * Presets are named bundles of provider parameters, defined in a JSON config
+ * file (config/presets.json by default, or ENHANCE_PRESETS_FILE). Each preset
+ * holds one section per provider name; a provider without a section in a
+ * preset cannot run that preset.
+ */
+
+let cache = null;
+
+function getPresetsFile() {
+  return config.get('ENHANCE_PRESETS_FILE');
+}
+
+function loadPresets() {
+  if (cache) return cache;
+
+  const file = getPresetsFile();
+  const presetsConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!presetsConfig.presets || typeof presetsConfig.presets !== 'object') {
+    throw new Error(`Presets file ${file} must contain a "presets" object`);
+  }
+  if (presetsConfig.default && !presetsConfig.presets[presetsConfig.default]) {
+    throw new Error(`Default preset "${presetsConfig.default}" is not defined in ${file}`);
+  }
+
+  logger.info(`Loaded ${Object.keys(presetsConfig.presets).length} enhancement presets from ${file}`);
+  cache = presetsConfig;
+  return cache;
+}
+
+// Re-read the config file, keeping the current presets if it is broken
+function reloadPresets() {
+  const previous = cache;
+  cache = null;
+  try {
+    return loadPresets();
+  } catch (error) {
+    cache = previous;
+    throw error;
+  }
+}
+
+function getDefaultPresetName() {
+  const presetsConfig = loadPresets();
+  return presetsConfig.default || Object.keys(presetsConfig.presets)[0];
+}
+
+function listPresets() {
+  const presetsConfig = loadPresets();
+  const defaultName = getDefaultPresetName();
+
+  return Object.entries(presetsConfig.presets).map(([name, preset]) => ({
+    name,
+    label: preset.label || name,
+    description: preset.description || '',
+    providers: Object.keys(preset).filter(key => !['label', 'description'].includes(key)),
+    default: name === defaultName
+  }));
+}
+
+// Merge overrides into preset parameters; nested objects are merged one
+// level deep so e.g. { face_enhance_parameters: { level: 0.5 } } keeps the
+// preset's other face enhance settings
+function mergeParameters(base, overrides) {
+  const merged = { ...base };
+
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const current = merged[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        current && typeof current === 'object' && !Array.isArray(current)) {
+      merged[key] = { ...current, ...value };
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+// Resolve the parameters a provider should use for a preset plus per-request overrides
+function resolveParameters(providerName, presetName, overrides) {
+  const presetsConfig = loadPresets();
+  const name = presetName || getDefaultPresetName();
+  const preset = presetsConfig.presets[name];
+
+  if (!preset) {
+    const error = new Error(`Unknown enhancement preset "${name}". Available presets: ${Object.keys(presetsConfig.presets).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!preset[providerName]) {
+    const error = new Error(`Preset "${name}" is not supported by the "${providerName}" provider`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    preset: name,
+    parameters: mergeParameters(preset[providerName], overrides)
+  };
+}
+
+module.exports = {
+  listPresets,
+  reloadPresets,
+  resolveParameters,
+  getDefaultPresetName
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../logger');
+const connectors = require('../providers/publishing');
+const mediaValidation = require('./mediaValidation');
+const { getWorkspaceDir, readJson, writeJson } = require('./dataStore');
+
+/**
+ * Publishing posts through the connectors in providers/publishing
+ *
+ * Checks a post against the connector's capabilities (media count and kinds,
+ * caption length, hashtags, scheduling) before anything is sent, then
+ * records every attempt, successful or not, in the workspace's
+ * publishing/history.json so the app can show what was published where.
+ */
+
+const MAX_HISTORY = 500;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const HASHTAG_PATTERN = /^[\p{L}\p{N}_]{1,100}$/u;
+
+function validationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function historyFile(workspaceId) {
+  return getWorkspaceDir(workspaceId, 'publishing', 'history.json');
+}
+
+// "#Tag", "tag" and " #tag " all become "#tag"; duplicates are dropped
+function normalizeHashtags(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw validationError('hashtags must be an array');
+
+  const tags = value.map(tag => String(tag).trim().replace(/^#/, ''));
+  const invalid = tags.find(tag => !HASHTAG_PATTERN.test(tag));
+  if (invalid !== undefined) throw validationError(`"${invalid}" is not a valid hashtag`);
+
+  return [...new Set(tags.map(tag => `#${tag}`))];
+}
+
+// Caption with the hashtags it doesn't already contain appended
+function composeText(caption, hashtags) {
+  const present = new Set((caption.match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.toLowerCase()));
+  const missing = hashtags.filter(tag => !present.has(tag.toLowerCase()));
+
+  if (missing.length === 0) return caption;
+  return caption ? `${caption}\n\n${missing.join(' ')}` : missing.join(' ');
+}
+
+function normalizeScheduledAt(value, connector) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw validationError('scheduledAt must be an ISO date');
+  if (date.getTime() <= Date.now()) throw validationError('scheduledAt must be in the future');
+  if (date.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_MS) throw validationError('scheduledAt can be at most a year ahead');
+  if (!connector.capabilities.scheduling) throw validationError(`${connector.label} does not support scheduled posts`);
+
+  return date.toISOString();
+}
+
+// Validate uploaded files against the formats the connector accepts
+async function collectMedia(files, connector) {
+  const { mediaKinds, maxMedia } = connector.capabilities;
+
+  if (files.length === 0) throw validationError('A post needs at least one media file');
+  if (files.length > maxMedia) throw validationError(`${connector.label} accepts at most ${maxMedia} media files per post`);
+
+  const allowedFormats = Object.keys(mediaValidation.FORMATS)
+    .filter(format => mediaKinds.includes(mediaValidation.FORMATS[format].kind));
+
+  const media = [];
+  for (const file of files) {
+    const buffer = await fs.promises.readFile(file.path);
+    media.push(await mediaValidation.validateMedia(buffer, { allowedFormats }));
+  }
+  return media;
+}
+
+// History updates are chained so concurrent publishes don't overwrite each other
+let historyUpdate = Promise.resolve();
+
+function recordPublication(workspaceId, entry) {
+  historyUpdate = historyUpdate.then(async () => {
+    const history = await readJson(historyFile(workspaceId), []);
+    history.unshift(entry);
+    await writeJson(historyFile(workspaceId), history.slice(0, MAX_HISTORY));
+  }).catch(error => logger.error('Error recording publication:', error));
+  return historyUpdate;
+}
+
+/**
+ * Publish a post through a connector
+ *
+ * @param {string} workspaceId - workspace whose history records the attempt
+ * @param {string} connectorName - e.g. "mock"
+ * @param {Object} post - { caption, hashtags, scheduledAt, postId }
+ * @param {Object[]} files - multer files, in post order
+ * @param {Object} user - member publishing, { id, username }; null for the scheduler
+ * @returns {Promise<Object>} the history entry: { id, connector, status, remoteId, url, ... }
+ */
+async function publish(workspaceId, connectorName, post, files, user = null) {
+  const connector = connectors.getConnector(connectorName);
+
+  const status = connector.getStatus();
+  if (!status.configured) {
+    throw Object.assign(validationError(`${connector.label} is not set up: ${status.message}`, 409), {
+      code: 'connector_not_configured'
+    });
+  }
+
+  const caption = String(post.caption || '').trim();
+  const hashtags = normalizeHashtags(post.hashtags);
+  const { maxCaptionLength, maxHashtags } = connector.capabilities;
+  if (hashtags.length > maxHashtags) {
+    throw validationError(`${connector.label} allows at most ${maxHashtags} hashtags`);
+  }
+
+  const text = composeText(caption, hashtags);
+  if (text.length > maxCaptionLength) {
+    throw validationError(`Caption is ${text.length} characters; ${connector.label} allows ${maxCaptionLength}`);
+  }
+
+  const scheduledAt = normalizeScheduledAt(post.scheduledAt, connector);
+  const media = await collectMedia(files, connector);
+
+  const entry = {
+    id: crypto.randomUUID(),
+    connector: connector.name,
+    account: status.account,
+    postId: post.postId ? String(post.postId) : null,
+    mediaCount: media.length,
+    publishedBy: user ? { id: user.id, username: user.username } : null,
+    text,
+    scheduledAt,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    const result = await connector.publish({ media, caption, hashtags, text, scheduledAt });
+    Object.assign(entry, { status: result.status, remoteId: result.id, url: result.url || null });
+    logger.info(`📤 ${result.status === 'scheduled' ? 'Scheduled' : 'Published'} post on ${connector.name} (${result.id})`);
+    return entry;
+  } catch (error) {
+    Object.assign(entry, { status: 'failed', error: { message: error.message, code: error.code || null } });
+    throw error;
+  } finally {
+    await recordPublication(workspaceId, entry);
+  }
+}
+
+// Most recent publications first, optionally only those of one post
+async function listPublications(workspaceId, { postId } = {}) {
+  const history = await readJson(historyFile(workspaceId), []);
+  return postId ? history.filter(entry => entry.postId === postId) : history;
+}
+
+module.exports = {
+  publish,
+  listPublications
+};
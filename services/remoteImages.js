@@ -0,0 +1,122 @@
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const logger = require('../logger');
+const config = require('./config');
+const mediaValidation = require('./mediaValidation');
+
+/**
+ * Downloads of client-supplied image URLs
+ *
+ * The server fetches these itself (local enhancement), so a URL must not be
+ * able to reach the machine or its network: only http(s) URLs are allowed,
+ * every address the host resolves to must be public, and redirects are not
+ * followed. The address is checked in the lookup the request actually
+ * connects with, so DNS cannot change in between. Downloads are capped at
+ * MAX_FILE_SIZE and go through the same validation as uploads.
+ */
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+// Loopback, private, link-local, carrier-grade NAT and other non-public ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function urlError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !blockedAddresses.check(address, 'ipv4');
+  if (family !== 6) return false;
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) reach the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  return !blockedAddresses.check(address, 'ipv6');
+}
+
+// dns.lookup replacement for the request: resolves the host and refuses to
+// connect when any of its addresses is not public
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(urlError(`Image URL host "${hostname}" resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function parseImageUrl(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (error) {
+    throw urlError('imageUrl must be a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw urlError('imageUrl must be an http or https URL');
+  }
+
+  // Literal addresses never go through the lookup
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw urlError('imageUrl must not point to a private address');
+  }
+  return url;
+}
+
+/**
+ * Download and validate an image from a client-supplied URL
+ *
+ * @param {string} imageUrl
+ * @returns {Promise<Object>} validated media, see mediaValidation.validateMedia
+ */
+async function fetchImage(imageUrl) {
+  const url = parseImageUrl(imageUrl);
+  const maxFileSize = config.get('MAX_FILE_SIZE');
+
+  let response;
+  try {
+    response = await axios.get(url.href, {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT_MS,
+      maxContentLength: maxFileSize,
+      maxRedirects: 0,
+      lookup: publicLookup
+    });
+  } catch (error) {
+    // Blocked addresses fail inside the lookup and arrive wrapped by axios
+    const cause = error.cause || error;
+    if (cause.statusCode) throw cause;
+
+    logger.warn(`⚠️ Could not download image from ${url.host}: ${error.message}`);
+    if (error.message.includes('maxContentLength')) {
+      const tooLarge = urlError(`Image at imageUrl is too large. Maximum size is ${Math.round(maxFileSize / 1024 / 1024)}MB`);
+      tooLarge.statusCode = 413;
+      throw tooLarge;
+    }
+    throw urlError('Could not download the image at imageUrl');
+  }
+
+  return mediaValidation.validateMedia(Buffer.from(response.data));
+}
+
+module.exports = {
+  fetchImage
+};
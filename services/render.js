@@ -0,0 +1,474 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const config = require('./config');
+const { loadCanvas, createUprightCanvas } = require('./canvas');
+
+/**
+ * Server-side rendering of captioned cards and collages
+ *
+ * Composes the post media and caption into shareable images with
+ * node-canvas, so every platform gets the same output. Layout templates
+ * define the output size; any number of images is arranged in a grid.
+ * A brand kit (see services/brandKits.js) can be stamped on every page as a
+ * watermark.
+ */
+
+const TEMPLATES = {
+  card: { label: 'Captioned card', width: 1080, height: null, layout: 'card', maxCaptionLines: 8 },
+  square: { label: 'Square (1:1)', width: 1080, height: 1080, layout: 'grid', maxCaptionLines: 4 },
+  portrait: { label: 'Portrait (4:5)', width: 1080, height: 1350, layout: 'grid', maxCaptionLines: 5 },
+  story: { label: 'Story (9:16)', width: 1080, height: 1920, layout: 'story', maxCaptionLines: 6 },
+  carousel: { label: 'Carousel slides (1:1)', width: 1080, height: 1080, layout: 'carousel', maxCaptionLines: 4 },
+  original: { label: 'Original images (watermark only)', width: null, height: null, layout: 'original', maxCaptionLines: 0 }
+};
+
+const DEFAULT_TEMPLATE = 'square';
+const BUILT_IN_FONTS = ['sans-serif', 'serif', 'monospace'];
+const FORMATS = { png: 'image/png', jpeg: 'image/jpeg' };
+const MAX_IMAGES = 20;
+
+// Longest side of pages rendered at the images' own size
+const MAX_ORIGINAL_LENGTH = 2160;
+
+const DEFAULT_COLORS = {
+  background: '#FFFFFF',
+  text: '#333333',
+  accent: '#E9756B',
+  divider: '#E5E7EB'
+};
+const DEFAULT_BRAND_LABEL = 'ImaKOL';
+
+// Fonts dropped into FONTS_DIR (.ttf/.otf) are registered under their file name
+let customFonts = null;
+
+function renderError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function requireCanvas() {
+  const canvasLib = loadCanvas();
+  if (!canvasLib) {
+    throw renderError('Server-side rendering needs the canvas package, which is not available on this server', 500);
+  }
+  return canvasLib;
+}
+
+function loadCustomFonts() {
+  if (customFonts) return customFonts;
+  customFonts = [];
+
+  const canvasLib = loadCanvas();
+  const fontsDir = config.get('FONTS_DIR');
+  if (!canvasLib || !fs.existsSync(fontsDir)) return customFonts;
+
+  fs.readdirSync(fontsDir)
+    .filter(name => /\.(ttf|otf)$/i.test(name))
+    .forEach(name => {
+      const family = path.basename(name, path.extname(name));
+      try {
+        canvasLib.registerFont(path.join(fontsDir, name), { family });
+        customFonts.push(family);
+      } catch (error) {
+        logger.warn(`⚠️ Could not register font ${name}: ${error.message}`);
+      }
+    });
+
+  if (customFonts.length > 0) {
+    logger.info(`Registered ${customFonts.length} custom font(s) from ${fontsDir}`);
+  }
+  return customFonts;
+}
+
+function listFonts() {
+  return [...BUILT_IN_FONTS, ...loadCustomFonts()];
+}
+
+function pickColor(name, value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_COLORS[name];
+  if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+    throw renderError(`colors.${name} must be a hex color such as #E9756B`);
+  }
+  return value;
+}
+
+/**
+ * Validate render options from a request body and fill in defaults
+ *
+ * @param {Object} body - { template, caption, font, fontSize, colors, brandLabel, format, quality }
+ * @returns {Object} normalized options
+ */
+function normalizeRenderOptions(body = {}) {
+  const template = body.template || DEFAULT_TEMPLATE;
+  if (!TEMPLATES[template]) {
+    throw renderError(`Unknown template "${template}". Available: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+
+  const font = body.font || 'sans-serif';
+  if (!listFonts().includes(font)) {
+    throw renderError(`Unknown font "${font}". Available: ${listFonts().join(', ')}`);
+  }
+
+  const fontSize = body.fontSize === undefined ? null : Number(body.fontSize);
+  if (fontSize !== null && (!Number.isFinite(fontSize) || fontSize < 12 || fontSize > 120)) {
+    throw renderError('fontSize must be between 12 and 120');
+  }
+
+  const format = body.format === 'jpg' ? 'jpeg' : (body.format || 'png');
+  if (!FORMATS[format]) {
+    throw renderError(`Unknown format "${body.format}". Available: png, jpeg`);
+  }
+
+  const quality = body.quality === undefined ? 0.9 : Number(body.quality);
+  if (!Number.isFinite(quality) || quality <= 0 || quality > 1) {
+    throw renderError('quality must be between 0 and 1');
+  }
+
+  // Brand kit to watermark with: an id, "default" (the default kit, if any) or none
+  const brandKit = body.brandKit === undefined ? 'default' : body.brandKit;
+  if (brandKit !== null && brandKit !== false && typeof brandKit !== 'string') {
+    throw renderError('brandKit must be a brand kit id, "default" or null');
+  }
+
+  const colors = body.colors || {};
+  return {
+    template,
+    caption: body.caption ? String(body.caption).trim() : '',
+    font,
+    fontSize,
+    colors: {
+      background: pickColor('background', colors.background),
+      text: pickColor('text', colors.text),
+      accent: pickColor('accent', colors.accent),
+      divider: pickColor('divider', colors.divider)
+    },
+    brandLabel: body.brandLabel === undefined ? DEFAULT_BRAND_LABEL : String(body.brandLabel).slice(0, 60),
+    format,
+    quality,
+    brandKit: brandKit && brandKit !== 'none' ? brandKit : null
+  };
+}
+
+// Split text into lines that fit maxWidth, keeping explicit line breaks and
+// ending with an ellipsis when it runs past maxLines
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+  }
+
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+    last = last.slice(0, -1);
+  }
+  kept[maxLines - 1] = `${last.trimEnd()}…`;
+  return kept;
+}
+
+// Typography derived from the output width so every template scales the same way
+function getMetrics(template, options) {
+  const fontSize = options.fontSize || Math.round(template.width / 36);
+  return {
+    fontSize,
+    lineHeight: Math.round(fontSize * 1.35),
+    padding: Math.round(template.width * 0.04),
+    gap: Math.round(template.width * 0.008)
+  };
+}
+
+// Measure the caption band (brand label, divider and wrapped caption)
+function layoutCaption(ctx, template, options, metrics) {
+  if (!options.caption && !options.brandLabel) return null;
+
+  ctx.font = `${metrics.fontSize}px "${options.font}"`;
+  const lines = options.caption
+    ? wrapText(ctx, options.caption, template.width - metrics.padding * 2, template.maxCaptionLines)
+    : [];
+
+  const brandHeight = options.brandLabel ? metrics.lineHeight + metrics.padding / 2 : 0;
+  return {
+    lines,
+    height: Math.round(metrics.padding * 2 + brandHeight + lines.length * metrics.lineHeight)
+  };
+}
+
+function drawCaption(ctx, band, top, template, options, metrics) {
+  let y = top + metrics.padding;
+
+  if (options.brandLabel) {
+    ctx.fillStyle = options.colors.accent;
+    ctx.font = `bold ${metrics.fontSize}px "${options.font}"`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(options.brandLabel, metrics.padding, y);
+    y += metrics.lineHeight;
+
+    if (band.lines.length > 0) {
+      ctx.strokeStyle = options.colors.divider;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(metrics.padding, y + metrics.padding / 4);
+      ctx.lineTo(template.width - metrics.padding, y + metrics.padding / 4);
+      ctx.stroke();
+      y += metrics.padding / 2;
+    }
+  }
+
+  ctx.fillStyle = options.colors.text;
+  ctx.font = `${metrics.fontSize}px "${options.font}"`;
+  ctx.textBaseline = 'top';
+  band.lines.forEach(line => {
+    ctx.fillText(line, metrics.padding, y);
+    y += metrics.lineHeight;
+  });
+}
+
+// Draw an image scaled to cover the box, cropping the overflow around the center
+function drawCover(ctx, source, x, y, width, height) {
+  const scale = Math.max(width / source.width, height / source.height);
+  const sourceWidth = width / scale;
+  const sourceHeight = height / scale;
+  ctx.drawImage(
+    source,
+    (source.width - sourceWidth) / 2, (source.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+    x, y, width, height
+  );
+}
+
+// Arrange any number of images in rows, widening the cells of a shorter last row
+function drawGrid(ctx, sources, x, y, width, height, gap) {
+  const columns = sources.length <= 1 ? 1 : Math.max(2, Math.ceil(Math.sqrt(sources.length)));
+  const rows = Math.ceil(sources.length / columns);
+  const rowHeight = (height - gap * (rows - 1)) / rows;
+
+  for (let row = 0; row < rows; row++) {
+    const rowSources = sources.slice(row * columns, (row + 1) * columns);
+    const cellWidth = (width - gap * (rowSources.length - 1)) / rowSources.length;
+
+    rowSources.forEach((source, column) => {
+      drawCover(
+        ctx,
+        source,
+        Math.round(x + column * (cellWidth + gap)),
+        Math.round(y + row * (rowHeight + gap)),
+        Math.round(cellWidth),
+        Math.round(rowHeight)
+      );
+    });
+  }
+}
+
+function encode(canvas, options) {
+  return options.format === 'jpeg'
+    ? canvas.toBuffer('image/jpeg', { quality: options.quality })
+    : canvas.toBuffer('image/png');
+}
+
+function createPage(canvasLib, width, height, options) {
+  const canvas = canvasLib.createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = options.colors.background;
+  ctx.fillRect(0, 0, width, height);
+  return { canvas, ctx };
+}
+
+// Measuring text needs a context; a 1x1 canvas is enough
+function measureCaption(canvasLib, template, options, metrics) {
+  const ctx = canvasLib.createCanvas(1, 1).getContext('2d');
+  return layoutCaption(ctx, template, options, metrics);
+}
+
+// Each layout returns its pages as { canvas, area }, where area is the part
+// covered by images (the watermark stays inside it, clear of the caption)
+const layouts = {
+  // Images on top at their natural aspect (a square grid for several), caption band below
+  card(canvasLib, sources, template, options, metrics) {
+    const band = measureCaption(canvasLib, template, options, metrics);
+    const aspect = sources.length === 1 ? sources[0].height / sources[0].width : 1;
+    const imageHeight = Math.round(template.width * Math.min(1.25, Math.max(0.5, aspect)));
+
+    const { canvas, ctx } = createPage(canvasLib, template.width, imageHeight + (band ? band.height : 0), options);
+    drawGrid(ctx, sources, 0, 0, template.width, imageHeight, metrics.gap);
+    if (band) drawCaption(ctx, band, imageHeight, template, options, metrics);
+    return [{ canvas, area: { x: 0, y: 0, width: template.width, height: imageHeight } }];
+  },
+
+  // Fixed-size page: image grid fills what the caption band leaves
+  grid(canvasLib, sources, template, options, metrics) {
+    const band = measureCaption(canvasLib, template, options, metrics);
+    const imageHeight = template.height - (band ? band.height : 0);
+
+    const { canvas, ctx } = createPage(canvasLib, template.width, template.height, options);
+    drawGrid(ctx, sources, 0, 0, template.width, imageHeight, metrics.gap);
+    if (band) drawCaption(ctx, band, imageHeight, template, options, metrics);
+    return [{ canvas, area: { x: 0, y: 0, width: template.width, height: imageHeight } }];
+  },
+
+  // Full-bleed images with the caption on a panel clear of the story UI at the bottom
+  story(canvasLib, sources, template, options, metrics) {
+    const band = measureCaption(canvasLib, template, options, metrics);
+    const { canvas, ctx } = createPage(canvasLib, template.width, template.height, options);
+    drawGrid(ctx, sources, 0, 0, template.width, template.height, metrics.gap);
+
+    // Keep the watermark out of the story UI at the top and bottom as well
+    const safeTop = Math.round(template.height * 0.1);
+    let safeBottom = Math.round(template.height * 0.85);
+
+    if (band) {
+      const top = safeBottom - band.height;
+      ctx.globalAlpha = 0.88;
+      ctx.fillStyle = options.colors.background;
+      ctx.fillRect(0, top, template.width, band.height);
+      ctx.globalAlpha = 1;
+      drawCaption(ctx, band, top, template, options, metrics);
+      safeBottom = top;
+    }
+    return [{ canvas, area: { x: 0, y: safeTop, width: template.width, height: safeBottom - safeTop } }];
+  },
+
+  // One slide per image; the first slide carries the caption band
+  carousel(canvasLib, sources, template, options, metrics) {
+    return sources.map((source, index) => {
+      const band = index === 0 ? measureCaption(canvasLib, template, options, metrics) : null;
+      const imageHeight = template.height - (band ? band.height : 0);
+
+      const { canvas, ctx } = createPage(canvasLib, template.width, template.height, options);
+      drawCover(ctx, source, 0, 0, template.width, imageHeight);
+      if (band) drawCaption(ctx, band, imageHeight, template, options, metrics);
+      return { canvas, area: { x: 0, y: 0, width: template.width, height: imageHeight } };
+    });
+  },
+
+  // Each image on its own page at its own size (capped), for watermarked exports
+  original(canvasLib, sources, template, options) {
+    return sources.map(source => {
+      const ratio = Math.min(1, MAX_ORIGINAL_LENGTH / Math.max(source.width, source.height));
+      const width = Math.max(1, Math.round(source.width * ratio));
+      const height = Math.max(1, Math.round(source.height * ratio));
+
+      const { canvas, ctx } = createPage(canvasLib, width, height, options);
+      ctx.drawImage(source, 0, 0, width, height);
+      return { canvas, area: { x: 0, y: 0, width, height } };
+    });
+  }
+};
+
+// Stamp the brand kit logo and handle in the kit's corner of the area
+function drawWatermark(ctx, area, watermark, options) {
+  const { kit, logo } = watermark;
+  const base = Math.min(area.width, area.height);
+  const margin = Math.round(base * 0.03);
+  const fontSize = Math.max(14, Math.round(base * 0.035));
+  const padding = kit.colors.background ? Math.round(fontSize * 0.4) : 0;
+
+  const logoWidth = logo ? Math.round(base * kit.logoScale) : 0;
+  const logoHeight = logo ? Math.round(logoWidth * logo.height / logo.width) : 0;
+
+  ctx.font = `bold ${fontSize}px "${options.font}"`;
+  const handleWidth = kit.handle ? Math.ceil(ctx.measureText(kit.handle).width) : 0;
+  const spacing = logo && kit.handle ? Math.round(fontSize * 0.5) : 0;
+
+  const width = Math.min(area.width - margin * 2, padding * 2 + logoWidth + spacing + handleWidth);
+  const height = padding * 2 + Math.max(logoHeight, kit.handle ? Math.round(fontSize * 1.3) : 0);
+  const x = area.x + (kit.corner.endsWith('left') ? margin : area.width - margin - width);
+  const y = area.y + (kit.corner.startsWith('top') ? margin : area.height - margin - height);
+
+  ctx.save();
+  ctx.globalAlpha = kit.opacity;
+  if (kit.colors.background) {
+    ctx.fillStyle = kit.colors.background;
+    ctx.fillRect(x, y, width, height);
+  }
+  if (logo) {
+    ctx.drawImage(logo, x + padding, y + (height - logoHeight) / 2, logoWidth, logoHeight);
+  }
+  if (kit.handle) {
+    ctx.fillStyle = kit.colors.text;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(kit.handle, x + padding + logoWidth + spacing, y + height / 2, width - padding * 2 - logoWidth - spacing);
+  }
+  ctx.restore();
+}
+
+// Decode an image and turn it upright
+async function loadUpright(canvasLib, buffer, orientation) {
+  const image = await canvasLib.loadImage(buffer);
+  return orientation && orientation !== 1
+    ? createUprightCanvas(image, orientation, image.width, image.height)
+    : image;
+}
+
+/**
+ * Render a template with the given images and caption
+ *
+ * @param {Object[]} images - { buffer, orientation } for each image, in order
+ * @param {Object} options - from normalizeRenderOptions
+ * @param {Object} [watermark] - { kit, logo } from brandKits.resolveWatermark
+ * @returns {Promise<Object>} { mimeType, width, height, slides: [Buffer] }
+ */
+async function render(images, options, watermark = null) {
+  const canvasLib = requireCanvas();
+  loadCustomFonts();
+
+  if (images.length === 0) {
+    throw renderError('At least one image is required');
+  }
+  if (images.length > MAX_IMAGES) {
+    throw renderError(`At most ${MAX_IMAGES} images can be rendered at once`);
+  }
+
+  const sources = await Promise.all(images.map(({ buffer, orientation }) => loadUpright(canvasLib, buffer, orientation)));
+
+  const template = TEMPLATES[options.template];
+  const metrics = template.width ? getMetrics(template, options) : null;
+  const pages = layouts[template.layout](canvasLib, sources, template, options, metrics);
+
+  if (watermark) {
+    const logo = watermark.logo
+      ? await loadUpright(canvasLib, watermark.logo, watermark.kit.logo.orientation)
+      : null;
+    pages.forEach(page => drawWatermark(page.canvas.getContext('2d'), page.area, { kit: watermark.kit, logo }, options));
+  }
+
+  logger.info(`Rendered ${pages.length} ${options.template} page(s) from ${images.length} image(s)${watermark ? ` with brand kit ${watermark.kit.id}` : ''}`);
+  return {
+    mimeType: FORMATS[options.format],
+    width: pages[0].canvas.width,
+    height: pages[0].canvas.height,
+    slides: pages.map(page => encode(page.canvas, options))
+  };
+}
+
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    label: template.label,
+    width: template.width,
+    height: template.height,
+    multipleOutputs: template.layout === 'carousel' || template.layout === 'original',
+    default: name === DEFAULT_TEMPLATE
+  }));
+}
+
+module.exports = {
+  MAX_IMAGES,
+  normalizeRenderOptions,
+  render,
+  listTemplates,
+  listFonts
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const metrics = require('./metrics');
+
+/**
+ * Per-request context: correlation IDs, access logs and HTTP metrics
+ *
+ * Every request gets an id, taken from a well-formed incoming X-Request-Id
+ * header (e.g. from a proxy) or generated, and returned in the X-Request-Id
+ * response header. The id is kept in async local storage for the lifetime
+ * of the request, including background jobs it starts, and logger.js adds
+ * it to every log line written on its behalf.
+ */
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Ids in mount paths, e.g. the workspace in /api/workspaces/<id>/posts
+const ID_SEGMENT = /\/[0-9a-f]{8}-[0-9a-f-]{27}(?=\/|$)/gi;
+
+const storage = new AsyncLocalStorage();
+
+function getRequestId() {
+  return storage.getStore()?.requestId || null;
+}
+
+// Low-cardinality route label: the matched route pattern rather than the URL
+function routeLabel(req, res) {
+  // Parameters of mount paths arrive resolved in baseUrl
+  if (req.route) return `${req.baseUrl.replace(ID_SEGMENT, '/:id')}${req.route.path}`;
+  return res.statusCode === 404 ? 'not_found' : 'static';
+}
+
+/**
+ * Express middleware, mounted first: assigns the request id, counts response
+ * bytes (res.locals.bytesOut) and writes the access log and metrics once the
+ * response is done
+ *
+ * @param {Object} logger - winston logger (passed in as logger.js depends on this module)
+ */
+function middleware(logger) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    res.locals.bytesOut = 0;
+
+    const count = chunk => {
+      if (chunk && typeof chunk !== 'function') {
+        res.locals.bytesOut += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(String(chunk));
+      }
+    };
+    const write = res.write;
+    const end = res.end;
+    res.write = function(chunk, ...args) {
+      count(chunk);
+      return write.call(this, chunk, ...args);
+    };
+    res.end = function(chunk, ...args) {
+      count(chunk);
+      return end.call(this, chunk, ...args);
+    };
+
+    // "close" also fires when the client disconnects before the response is done
+    let logged = false;
+    const done = () => {
+      if (logged) return;
+      logged = true;
+
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const route = routeLabel(req, res);
+      const bytesIn = parseInt(req.headers['content-length'], 10) || 0;
+      const labels = { method: req.method, route };
+
+      metrics.inc('http_requests_total', { ...labels, status: res.statusCode });
+      metrics.observe('http_request_duration_seconds', labels, durationMs / 1000);
+      metrics.inc('http_request_size_bytes_total', labels, bytesIn);
+      metrics.inc('http_response_size_bytes_total', labels, res.locals.bytesOut);
+      if (res.statusCode >= 500) metrics.inc('http_request_errors_total', labels);
+
+      // API calls are logged at info, static assets only at debug
+      const level = req.originalUrl.startsWith('/api/') ? 'info' : 'debug';
+      storage.run({ requestId }, () => {
+        logger.log(level, `↔️ ${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode} ${Math.round(durationMs)}ms`, {
+          access: true,
+          route,
+          status: res.statusCode,
+          durationMs: Math.round(durationMs),
+          bytesIn,
+          bytesOut: res.locals.bytesOut,
+          aborted: !res.writableFinished
+        });
+      });
+    };
+    res.on('finish', done);
+    res.on('close', done);
+
+    storage.run({ requestId }, next);
+  };
+}
+
+// Body parsers and multer call next() from stream events, outside the
+// request's async context; bind it so later log lines keep the request id
+function bindToRequest(handler) {
+  return (req, res, next) => handler(req, res, AsyncResource.bind(next));
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  getRequestId,
+  middleware,
+  bindToRequest
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const config = require('./config');
+const metrics = require('./metrics');
+const { getDataDir, ensureDir, writeJson } = require('./dataStore');
+
+/**
+ * Content-addressed cache for paid upstream results (enhancements, captions)
+ *
+ * Entries are keyed on a hash of the request content, e.g. the image bytes
+ * plus the enhancement parameters, so the same photo enhanced the same way
+ * is only paid for once. Identical requests arriving while the first one is
+ * still running share its upstream call instead of starting their own.
+ *
+ * Backends (RESULT_CACHE): "disk" (default) stores one JSON file per entry
+ * under DATA_DIR/cache/<name>, "memory" keeps entries in the process and
+ * "off" disables caching (requests are still coalesced). Entries expire
+ * after RESULT_CACHE_TTL_MS and the least recently used ones are evicted
+ * once a cache grows past RESULT_CACHE_MAX_BYTES.
+ */
+
+const BACKEND = config.get('RESULT_CACHE');
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Hash request content into a cache key
+ *
+ * @param {...*} parts - Buffers are hashed as bytes, anything else as JSON
+ * @returns {string} hex sha256
+ */
+function hashKey(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => {
+    hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+function isAbort(error) {
+  return error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async read(key) {
+      return entries.get(key) || null;
+    },
+    async write(key, entry) {
+      entries.set(key, entry);
+    },
+    async remove(key) {
+      entries.delete(key);
+    },
+    async list() {
+      return [...entries.entries()].map(([key, entry]) => ({ key, size: entry.size, usedAt: entry.usedAt }));
+    }
+  };
+}
+
+function createDiskStore(name) {
+  const dir = getDataDir('cache', name);
+  const file = key => path.join(dir, `${key}.json`);
+
+  return {
+    async read(key) {
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(file(key), 'utf8'));
+        // Track use through the file time so eviction survives restarts
+        const now = new Date();
+        await fs.promises.utimes(file(key), now, now).catch(() => {});
+        return entry;
+      } catch (error) {
+        if (error.code !== 'ENOENT') logger.warn(`⚠️ Dropping unreadable cache entry ${name}/${key}: ${error.message}`);
+        return null;
+      }
+    },
+    async write(key, entry) {
+      await ensureDir(dir);
+      await writeJson(file(key), entry);
+    },
+    async remove(key) {
+      await fs.promises.rm(file(key), { force: true });
+    },
+    async list() {
+      const names = await fs.promises.readdir(dir).catch(() => []);
+      const entries = await Promise.all(names
+        .filter(fileName => KEY_PATTERN.test(path.basename(fileName, '.json')))
+        .map(async fileName => {
+          try {
+            const stats = await fs.promises.stat(path.join(dir, fileName));
+            return { key: path.basename(fileName, '.json'), size: stats.size, usedAt: stats.mtimeMs };
+          } catch (error) {
+            return null; // Removed while listing
+          }
+        }));
+      return entries.filter(Boolean);
+    }
+  };
+}
+
+/**
+ * Create a named result cache
+ *
+ * @param {string} name - cache name, also its directory for the disk backend
+ * @returns {Object} { getOrCompute(key, compute, { bypass }) -> { value, cached } }
+ */
+function createCache(name) {
+  const enabled = BACKEND !== 'off';
+  const store = BACKEND === 'memory' ? createMemoryStore() : createDiskStore(name);
+  const inFlight = new Map();
+
+  async function read(key) {
+    if (!enabled) return null;
+    const entry = await store.read(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt < Date.now()) {
+      await store.remove(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  // Drop least recently used entries until the cache fits in RESULT_CACHE_MAX_BYTES
+  async function evict() {
+    const maxBytes = config.get('RESULT_CACHE_MAX_BYTES');
+    const entries = await store.list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= maxBytes) return;
+
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await store.remove(entry.key);
+      total -= entry.size;
+    }
+    logger.info(`🧹 Evicted ${name} cache entries down to ${total} bytes`);
+  }
+
+  async function write(key, value) {
+    if (!enabled) return;
+    const now = Date.now();
+    const size = Buffer.byteLength(JSON.stringify(value));
+
+    await store.write(key, { value, size, createdAt: now, usedAt: now, expiresAt: now + config.get('RESULT_CACHE_TTL_MS') });
+    await evict();
+  }
+
+  /**
+   * Return the cached value for a key, or run compute() once for all
+   * concurrent callers and cache its result
+   *
+   * @param {string} key - from hashKey()
+   * @param {Function} compute - async function producing the value
+   * @param {Object} options - { bypass: true } skips the lookup but still refreshes the entry
+   * @returns {Promise<Object>} { value, cached }, cached meaning no upstream call was made for this caller
+   */
+  async function getOrCompute(key, compute, { bypass = false } = {}) {
+    const count = result => metrics.inc('result_cache_requests_total', { cache: name, result });
+
+    if (!bypass) {
+      const cachedValue = await read(key).catch(error => {
+        logger.error(`Error reading ${name} cache:`, error);
+        return null;
+      });
+      if (cachedValue !== null) {
+        logger.info(`♻️ Served ${name} result from cache`);
+        count('hit');
+        return { value: cachedValue, cached: true };
+      }
+
+      if (inFlight.has(key)) {
+        try {
+          const value = await inFlight.get(key);
+          logger.info(`♻️ Shared an in-flight ${name} request`);
+          count('coalesced');
+          return { value, cached: true };
+        } catch (error) {
+          // The first caller gave up (e.g. closed its stream); do the work ourselves
+          if (!isAbort(error)) throw error;
+        }
+      }
+    }
+
+    count(bypass ? 'bypass' : 'miss');
+    const promise = compute();
+    inFlight.set(key, promise);
+    try {
+      const value = await promise;
+      await write(key, value).catch(error => logger.error(`Error writing ${name} cache:`, error));
+      return { value, cached: false };
+    } finally {
+      if (inFlight.get(key) === promise) inFlight.delete(key);
+    }
+  }
+
+  return { getOrCompute };
+}
+
+// Whether the client asked to skip cached results ("cache": false or Cache-Control: no-cache)
+function isBypassRequested(req) {
+  const flag = req.body?.cache ?? req.query.cache;
+  return flag === false || flag === 'false' || flag === '0' || /no-cache/i.test(req.get('cache-control') || '');
+}
+
+module.exports = {
+  hashKey,
+  createCache,
+  isBypassRequested
+};
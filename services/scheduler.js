@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const config = require('./config');
+const connectors = require('../providers/publishing');
+const publishing = require('./publishing');
+const mediaValidation = require('./mediaValidation');
+const posts = require('./posts');
+const { getWorkspace, listWorkspaceIds } = require('./workspaces');
+const { getDataDir, getWorkspaceDir, ensureDir, readJson, writeJson } = require('./dataStore');
+
+/**
+ * Scheduled posting queue
+ *
+ * A finished post (media plus caption) is scheduled for a date and time and
+ * a target: "export", which writes it to EXPORT_DIR (default DATA_DIR/exports)
+ * for another tool to pick up, or the name of a publishing connector. Each
+ * workspace has its own queue; an entry lives in its own directory under
+ * DATA_DIR/workspaces/<workspaceId>/schedule:
+ *   <entryId>/entry.json - caption, target, run time and status
+ *   <entryId>/<n>.<ext>  - the media, in post order
+ *
+ * The scheduler checks for due entries every SCHEDULER_INTERVAL_MS. As the
+ * queue is on disk it survives restarts; entries that came due while the
+ * server was down run on the first check, across all workspaces. Platform errors worth retrying
+ * (rate limits, outages, timeouts) are retried up to SCHEDULE_MAX_ATTEMPTS
+ * times, SCHEDULE_RETRY_DELAY_MS apart.
+ *
+ * In workspaces that require approval, entries are made from an approved
+ * post and remember which version was approved; when they run, that version
+ * must still be the approved one, or the entry fails.
+ *
+ * Statuses: scheduled -> running -> done | failed; cancelled by the user.
+ */
+
+const MAX_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_MEDIA = 20;
+const MAX_CAPTION_LENGTH = 5000;
+
+const EXPORT_TARGET = 'export';
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const RETRYABLE_CODES = ['upstream_timeout', 'upstream_rate_limited', 'upstream_unavailable'];
+
+let isChecking = false;
+
+function validationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function notFoundError() {
+  return validationError('Scheduled post not found', 404);
+}
+
+function entryDir(workspaceId, id) {
+  if (!ID_PATTERN.test(id)) throw notFoundError();
+  return getWorkspaceDir(workspaceId, 'schedule', id);
+}
+
+function entryFile(workspaceId, id) {
+  return path.join(entryDir(workspaceId, id), 'entry.json');
+}
+
+function getExportDir(...segments) {
+  const exportDir = config.get('EXPORT_DIR');
+  return exportDir ? path.join(exportDir, ...segments) : getDataDir('exports', ...segments);
+}
+
+function validateRunAt(value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) throw validationError('runAt must be an ISO date');
+  if (date.getTime() <= Date.now()) throw validationError('runAt must be in the future');
+  if (date.getTime() > Date.now() + MAX_AHEAD_MS) throw validationError('runAt can be at most a year ahead');
+  return date.toISOString();
+}
+
+function validateTarget(value) {
+  const target = String(value || EXPORT_TARGET);
+  if (target === EXPORT_TARGET) return target;
+
+  try {
+    connectors.getConnector(target);
+  } catch (error) {
+    throw validationError(error.message);
+  }
+  return target;
+}
+
+// Entry as returned by the API, with URLs for its media
+function describeEntry({ approvedSignature, ...entry }) {
+  return {
+    ...entry,
+    media: entry.media.map((item, index) => ({
+      ...item,
+      url: `/api/workspaces/${entry.workspaceId}/schedule/${entry.id}/media/${index}`
+    }))
+  };
+}
+
+// Entries take their workspace from where they are stored
+async function getEntry(workspaceId, id) {
+  const entry = await readJson(entryFile(workspaceId, id));
+  if (!entry) throw notFoundError();
+  return { ...entry, workspaceId };
+}
+
+async function saveEntry(entry) {
+  entry.updatedAt = new Date().toISOString();
+  await writeJson(entryFile(entry.workspaceId, entry.id), entry);
+  return entry;
+}
+
+async function readEntries(workspaceId) {
+  const ids = await fs.promises.readdir(getWorkspaceDir(workspaceId, 'schedule')).catch(() => []);
+  const entries = await Promise.all(ids
+    .filter(id => ID_PATTERN.test(id))
+    .map(id => getEntry(workspaceId, id).catch(error => {
+      logger.warn(`⚠️ Skipping unreadable scheduled post ${id}: ${error.message}`);
+      return null;
+    })));
+  return entries.filter(Boolean).sort((a, b) => a.runAt.localeCompare(b.runAt));
+}
+
+// Entries of every workspace, for the scheduler
+async function readAllEntries() {
+  const entries = [];
+  for (const workspaceId of await listWorkspaceIds()) {
+    entries.push(...await readEntries(workspaceId));
+  }
+  return entries.sort((a, b) => a.runAt.localeCompare(b.runAt));
+}
+
+/**
+ * List a workspace's scheduled posts by run time
+ *
+ * @param {string} workspaceId
+ * @param {Object} filters - { from, to } ISO dates bounding runAt, { status }
+ */
+async function listEntries(workspaceId, { from, to, status } = {}) {
+  const entries = await readEntries(workspaceId);
+  return entries
+    .filter(entry => (!from || entry.runAt >= from) && (!to || entry.runAt < to) && (!status || entry.status === status))
+    .map(describeEntry);
+}
+
+/**
+ * Schedule a post
+ *
+ * @param {string} workspaceId
+ * @param {Object} user - member scheduling it, { id, username }
+ * @param {Object} data - { caption, hashtags, runAt, target, postId }
+ * @param {Object[]} files - multer files, in post order
+ * @param {Object} [approval] - { approvedSignature } when the content is an
+ *   approved post's (see posts.getApprovedContent)
+ */
+async function createEntry(workspaceId, user, data, files, { approvedSignature = null } = {}) {
+  const runAt = validateRunAt(data.runAt);
+  const target = validateTarget(data.target);
+  const caption = String(data.caption || '').trim();
+  if (caption.length > MAX_CAPTION_LENGTH) {
+    throw validationError(`Caption must be at most ${MAX_CAPTION_LENGTH} characters`);
+  }
+  if (data.hashtags !== undefined && !Array.isArray(data.hashtags)) {
+    throw validationError('hashtags must be an array');
+  }
+  if (files.length === 0) throw validationError('A scheduled post needs at least one media file');
+  if (files.length > MAX_MEDIA) throw validationError(`A scheduled post can have at most ${MAX_MEDIA} media files`);
+
+  // Validate everything before anything is written
+  const media = [];
+  for (const file of files) {
+    const buffer = await fs.promises.readFile(file.path);
+    media.push(await mediaValidation.validateMedia(buffer, { allowedFormats: Object.keys(mediaValidation.FORMATS) }));
+  }
+
+  const id = crypto.randomUUID();
+  const dir = await ensureDir(entryDir(workspaceId, id));
+  const stored = [];
+  for (const [index, item] of media.entries()) {
+    const name = `${index + 1}.${item.extension}`;
+    await fs.promises.writeFile(path.join(dir, name), item.buffer);
+    stored.push({ name, mimeType: item.mimeType, kind: item.kind, size: item.buffer.length });
+  }
+
+  const now = new Date().toISOString();
+  const entry = await saveEntry({
+    id,
+    workspaceId,
+    createdBy: { id: user.id, username: user.username },
+    postId: data.postId ? String(data.postId) : null,
+    approvedSignature,
+    caption,
+    hashtags: (data.hashtags || []).map(tag => String(tag)),
+    target,
+    runAt,
+    status: 'scheduled',
+    attempts: 0,
+    lastError: null,
+    result: null,
+    media: stored,
+    createdAt: now
+  });
+
+  logger.info(`🗓️ Scheduled post ${id} for ${runAt} (${target})`);
+  return describeEntry(entry);
+}
+
+// Move a scheduled (or failed) post to a new time
+async function rescheduleEntry(workspaceId, id, data) {
+  const entry = await getEntry(workspaceId, id);
+  if (!['scheduled', 'failed'].includes(entry.status)) {
+    throw validationError(`A ${entry.status} post can't be rescheduled`, 409);
+  }
+
+  entry.runAt = validateRunAt(data.runAt);
+  if (data.target !== undefined) entry.target = validateTarget(data.target);
+  Object.assign(entry, { status: 'scheduled', attempts: 0, lastError: null });
+
+  await saveEntry(entry);
+  logger.info(`🗓️ Rescheduled post ${id} for ${entry.runAt}`);
+  return describeEntry(entry);
+}
+
+// Cancelled entries are kept for the calendar, their media is removed
+async function cancelEntry(workspaceId, id) {
+  const entry = await getEntry(workspaceId, id);
+  if (entry.status === 'cancelled') return describeEntry(entry);
+  if (entry.status === 'running') throw validationError('This post is being published right now', 409);
+  if (entry.status === 'done') throw validationError('This post has already been published', 409);
+
+  await Promise.all(entry.media.map(item => fs.promises.rm(path.join(entryDir(workspaceId, id), item.name), { force: true })));
+  Object.assign(entry, { status: 'cancelled', media: [] });
+  await saveEntry(entry);
+  logger.info(`🗓️ Cancelled scheduled post ${id}`);
+  return describeEntry(entry);
+}
+
+async function getEntryMedia(workspaceId, id, index) {
+  const entry = await getEntry(workspaceId, id);
+  const item = entry.media[parseInt(index, 10)];
+  if (!item) throw notFoundError();
+  return { path: path.join(entryDir(workspaceId, id), item.name), mimeType: item.mimeType };
+}
+
+// Export hook: copy the post to the export directory with its caption
+async function exportEntry(entry) {
+  const dir = await ensureDir(getExportDir(`${entry.runAt.slice(0, 10)}-${entry.id}`));
+  for (const item of entry.media) {
+    await fs.promises.copyFile(path.join(entryDir(entry.workspaceId, entry.id), item.name), path.join(dir, item.name));
+  }
+  await fs.promises.writeFile(path.join(dir, 'caption.txt'), entry.caption);
+  await writeJson(path.join(dir, 'post.json'), entry);
+  return { status: 'exported', directory: dir };
+}
+
+// Publish hook: send the post through its connector straight away
+async function publishEntry(entry) {
+  const files = entry.media.map(item => ({ path: path.join(entryDir(entry.workspaceId, entry.id), item.name) }));
+  const publication = await publishing.publish(entry.workspaceId, entry.target, {
+    caption: entry.caption,
+    hashtags: entry.hashtags,
+    postId: entry.postId
+  }, files, entry.createdBy);
+  return { status: publication.status, publicationId: publication.id, url: publication.url };
+}
+
+async function runEntry(entry) {
+  entry.status = 'running';
+  entry.attempts += 1;
+  await saveEntry(entry);
+
+  try {
+    // The post may have been edited, or approval turned on, since it was scheduled
+    await posts.checkStillApproved(await getWorkspace(entry.workspaceId), entry.postId, entry.approvedSignature);
+    entry.result = entry.target === EXPORT_TARGET ? await exportEntry(entry) : await publishEntry(entry);
+    Object.assign(entry, { status: 'done', lastError: null, completedAt: new Date().toISOString() });
+    logger.info(`✅ Scheduled post ${entry.id} ran (${entry.target})`);
+  } catch (error) {
+    entry.lastError = { message: error.message, code: error.code || null };
+
+    if (RETRYABLE_CODES.includes(error.code) && entry.attempts < config.get('SCHEDULE_MAX_ATTEMPTS')) {
+      const delay = Math.max(config.get('SCHEDULE_RETRY_DELAY_MS'), (error.retryAfter || 0) * 1000);
+      Object.assign(entry, { status: 'scheduled', runAt: new Date(Date.now() + delay).toISOString() });
+      logger.warn(`⚠️ Scheduled post ${entry.id} failed (${error.message}), retrying at ${entry.runAt}`);
+    } else {
+      entry.status = 'failed';
+      logger.error(`❌ Scheduled post ${entry.id} failed:`, error);
+    }
+  }
+
+  await saveEntry(entry);
+}
+
+// Run every entry that is due, one at a time
+async function runDueEntries() {
+  if (isChecking) return;
+  isChecking = true;
+
+  try {
+    const now = new Date().toISOString();
+    const due = (await readAllEntries()).filter(entry => entry.status === 'scheduled' && entry.runAt <= now);
+    for (const { workspaceId, id } of due) {
+      // Read it again: it may have been cancelled or rescheduled while an
+      // earlier entry was running
+      const entry = await getEntry(workspaceId, id).catch(() => null);
+      if (entry && entry.status === 'scheduled' && entry.runAt <= new Date().toISOString()) {
+        await runEntry(entry);
+      }
+    }
+  } finally {
+    isChecking = false;
+  }
+}
+
+// A post left running by a crash or restart may or may not have gone out;
+// mark it failed rather than risk publishing it twice
+async function recoverInterrupted() {
+  const running = (await readAllEntries()).filter(entry => entry.status === 'running');
+  for (const entry of running) {
+    Object.assign(entry, {
+      status: 'failed',
+      lastError: { message: 'Interrupted by a server restart. Check the target, then reschedule if needed.', code: 'interrupted' }
+    });
+    await saveEntry(entry);
+    logger.warn(`⚠️ Scheduled post ${entry.id} was interrupted by a restart`);
+  }
+}
+
+function startScheduler() {
+  const check = () => runDueEntries().catch(error => logger.error('Error running scheduled posts:', error));
+
+  recoverInterrupted()
+    .catch(error => logger.error('Error recovering scheduled posts:', error))
+    .then(check);
+
+  const timer = setInterval(check, config.get('SCHEDULER_INTERVAL_MS'));
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  EXPORT_TARGET,
+  listEntries,
+  createEntry,
+  rescheduleEntry,
+  cancelEntry,
+  getEntryMedia,
+  runDueEntries,
+  startScheduler
+};
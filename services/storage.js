@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const config = require('./config');
+
+/**
+ * Storage manager for temporary uploads
+ *
+ * Everything that lands in uploads/ is temporary: multipart uploads, base64
+ * images written for processing, etc. This module owns that directory:
+ *   - creates and releases temp files (callers release on every path)
+ *   - sweeps files older than UPLOAD_TTL_MS as a safety net for leaks
+ *   - caps total disk usage at UPLOAD_MAX_TOTAL_BYTES
+ *   - serves files only through signed, expiring URLs
+ */
+
+const uploadDir = config.get('UPLOAD_DIR');
+
+// Without a configured secret, signed URLs are only valid for this process
+const URL_SECRET = config.get('UPLOAD_URL_SECRET') || crypto.randomBytes(32).toString('hex');
+
+function ensureUploadDir() {
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+  }
+  return uploadDir;
+}
+
+function storageError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// List temp files with their size and age
+async function listUploads() {
+  const names = await fs.promises.readdir(uploadDir).catch(() => []);
+  const entries = await Promise.all(names.map(async name => {
+    const filePath = path.join(uploadDir, name);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return stats.isFile() ? { name, path: filePath, size: stats.size, mtimeMs: stats.mtimeMs } : null;
+    } catch (error) {
+      return null; // Deleted while we were listing
+    }
+  }));
+  return entries.filter(Boolean);
+}
+
+async function getUsage() {
+  const files = await listUploads();
+  return {
+    files: files.length,
+    bytes: files.reduce((total, file) => total + file.size, 0),
+    maxBytes: config.get('UPLOAD_MAX_TOTAL_BYTES')
+  };
+}
+
+// Delete temp files older than the TTL
+async function sweepExpired(ttlMs = config.get('UPLOAD_TTL_MS')) {
+  const cutoff = Date.now() - ttlMs;
+  const expired = (await listUploads()).filter(file => file.mtimeMs < cutoff);
+
+  await Promise.all(expired.map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+  if (expired.length > 0) {
+    logger.info(`🧹 Swept ${expired.length} expired upload(s)`);
+  }
+  return expired.length;
+}
+
+// Make sure there is room for `bytes` more data, sweeping expired files first
+async function ensureCapacity(bytes = 0) {
+  let usage = await getUsage();
+  if (usage.bytes + bytes <= usage.maxBytes) return;
+
+  await sweepExpired();
+  usage = await getUsage();
+  if (usage.bytes + bytes > usage.maxBytes) {
+    logger.warn(`⚠️ Upload storage full: ${usage.bytes} of ${usage.maxBytes} bytes used`);
+    throw storageError('Upload storage is full. Please try again later.', 507);
+  }
+}
+
+// Express middleware rejecting requests whose body would not fit in storage
+async function requireCapacity(req, res, next) {
+  try {
+    await ensureCapacity(parseInt(req.headers['content-length'], 10) || 0);
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+}
+
+function tempFileName(extension) {
+  return `temp-${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+}
+
+async function createTempFile(buffer, extension = 'bin') {
+  ensureUploadDir();
+  await ensureCapacity(buffer.length);
+
+  const filePath = path.join(uploadDir, tempFileName(extension));
+  await fs.promises.writeFile(filePath, buffer);
+  logger.info(`Created temporary file: ${filePath}`);
+  return filePath;
+}
+
+// Path for a temp file that another process (e.g. ffmpeg) will write;
+// released like any other temp file
+function createTempPath(extension = 'bin') {
+  ensureUploadDir();
+  return path.join(uploadDir, tempFileName(extension));
+}
+
+// Delete a temp file; safe to call more than once or with no path
+async function releaseTempFile(filePath) {
+  if (!filePath) return;
+
+  try {
+    await fs.promises.unlink(filePath);
+    logger.info(`Temporary file deleted: ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error deleting temporary file:', error);
+    }
+  }
+}
+
+function sign(name, expires) {
+  return crypto.createHmac('sha256', URL_SECRET).update(`${name}:${expires}`).digest('hex');
+}
+
+// Build an expiring URL for a temp file; the only way clients can download one
+function createSignedUrl(filePath, ttlMs = config.get('SIGNED_URL_TTL_MS')) {
+  const name = path.basename(filePath);
+  const expires = Date.now() + ttlMs;
+  return `/temp-uploads/${encodeURIComponent(name)}?expires=${expires}&signature=${sign(name, expires)}`;
+}
+
+// Express handler serving temp files only for valid, unexpired signatures
+function serveSignedUpload(req, res) {
+  const name = path.basename(req.params.name);
+  const expires = parseInt(req.query.expires, 10);
+  const signature = String(req.query.signature || '');
+  const expected = sign(name, expires);
+
+  const valid = expires > Date.now() &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (!valid) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Invalid or expired file link'
+    });
+  }
+
+  res.sendFile(path.join(uploadDir, name), err => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ status: 'error', message: 'File not found' });
+    }
+  });
+}
+
+// Run the TTL sweep periodically without keeping the process alive
+function startSweeper() {
+  ensureUploadDir();
+  sweepExpired().catch(error => logger.error('Error sweeping uploads:', error));
+
+  const timer = setInterval(() => {
+    sweepExpired().catch(error => logger.error('Error sweeping uploads:', error));
+  }, config.get('UPLOAD_SWEEP_INTERVAL_MS'));
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  uploadDir,
+  ensureUploadDir,
+  getUsage,
+  sweepExpired,
+  ensureCapacity,
+  requireCapacity,
+  createTempFile,
+  createTempPath,
+  releaseTempFile,
+  createSignedUrl,
+  serveSignedUpload,
+  startSweeper
+};
@@ -0,0 +1,54 @@
+const multer = require('multer');
+const path = require('path');
+const { ensureUploadDir } = require('./storage');
+const config = require('./config');
+const { bindToRequest } = require('./requestContext');
+
+/**
+ * Shared multer configuration for media uploads
+ */
+
+// Configure multer for handling file uploads
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, ensureUploadDir());
+  },
+  filename: function (req, file, cb) {
+    // Never use the client-supplied name on disk, only a sanitized extension
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const extension = path.extname(file.originalname).replace(/[^.a-zA-Z0-9]/g, '').slice(0, 10);
+    cb(null, uniqueSuffix + extension);
+  }
+});
+
+// Accept only images and videos. This only checks the client-supplied
+// mimetype; mediaValidation sniffs the actual bytes afterwards.
+function fileFilter(req, file, cb) {
+  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image and video files are allowed!'), false);
+  }
+}
+
+// Rebuilt when MAX_FILE_SIZE changes, so the limit can be reloaded
+let multerUpload = null;
+
+function getMulter() {
+  const fileSize = config.get('MAX_FILE_SIZE');
+  if (!multerUpload || multerUpload.fileSize !== fileSize) {
+    multerUpload = { fileSize, instance: multer({ storage, limits: { fileSize }, fileFilter }) };
+  }
+  return multerUpload.instance;
+}
+
+// Same interface as multer (upload.single('image'), ...) with the callbacks
+// kept in the request's context for logging
+const upload = {};
+['single', 'array', 'fields', 'any', 'none'].forEach(method => {
+  upload[method] = (...args) => bindToRequest((req, res, next) => getMulter()[method](...args)(req, res, next));
+});
+
+module.exports = {
+  upload
+};
@@ -0,0 +1,293 @@
+const axios = require('axios');
+const logger = require('../logger');
+const config = require('./config');
+const metrics = require('./metrics');
+
+/**
+ * Shared HTTP client for upstream APIs (Deep Image, caption providers)
+ *
+ * Every call goes through request(), which adds:
+ *   - an explicit timeout (UPSTREAM_TIMEOUT_MS unless the caller sets one)
+ *   - retries with exponential backoff and jitter on 429, 5xx and network
+ *     errors, honoring Retry-After (UPSTREAM_RETRIES, UPSTREAM_RETRY_BASE_MS,
+ *     UPSTREAM_RETRY_MAX_MS)
+ *   - a circuit breaker per provider: after UPSTREAM_BREAKER_THRESHOLD
+ *     failures in a row, calls fail fast for UPSTREAM_BREAKER_COOLDOWN_MS,
+ *     then a single trial call decides whether it closes again
+ *
+ * Failures are rethrown as normalized errors with a statusCode and a code
+ * the web app maps to friendly messages:
+ *   upstream_timeout (504), upstream_rate_limited (429),
+ *   upstream_unavailable (503), upstream_auth (502),
+ *   upstream_rejected (422), upstream_error (502)
+ * The original axios response is kept on error.response for details.
+ *
+ * The settings are read on every call, so they can be reloaded.
+ */
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const STATUS_CODES = {
+  upstream_timeout: 504,
+  upstream_rate_limited: 429,
+  upstream_unavailable: 503,
+  upstream_auth: 502,
+  upstream_rejected: 422,
+  upstream_error: 502
+};
+
+const circuits = new Map();
+
+/**
+ * Build a normalized upstream error
+ *
+ * @param {string} code - one of the upstream_* codes above
+ * @param {string} message - message safe to show to clients
+ * @param {Object} extra - { provider, retryAfter, response, cause }
+ */
+function upstreamError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = STATUS_CODES[code] || 502;
+  error.upstream = true;
+  Object.assign(error, extra);
+  return error;
+}
+
+function isTimeout(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+}
+
+function isAborted(error) {
+  return axios.isCancel(error) || error.code === 'ERR_CANCELED' || error.name === 'AbortError';
+}
+
+// Seconds (or an HTTP date) from a Retry-After header, in milliseconds
+function parseRetryAfter(response) {
+  const value = response?.headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Error bodies of streamed requests arrive as a stream too; read them so they can be reported
+async function readStreamedErrorBody(error) {
+  if (!error.response?.data || typeof error.response.data.pipe !== 'function') return;
+
+  let body = '';
+  for await (const chunk of error.response.data) body += chunk;
+  try {
+    error.response.data = JSON.parse(body);
+  } catch (parseError) {
+    error.response.data = body;
+  }
+}
+
+// Turn an axios failure into a normalized upstream error
+function normalizeError(error, provider) {
+  if (error.upstream) return error;
+
+  const status = error.response?.status;
+  const extra = { provider, response: error.response, cause: error };
+
+  if (isTimeout(error)) {
+    return upstreamError('upstream_timeout', `${provider} did not respond in time`, extra);
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(error.response);
+    return upstreamError('upstream_rate_limited', `${provider} is rate limiting requests`, {
+      ...extra,
+      retryAfter: retryAfter === null ? undefined : Math.ceil(retryAfter / 1000)
+    });
+  }
+  if (status === 401 || status === 403) {
+    return upstreamError('upstream_auth', `${provider} rejected the server's API key (${status})`, extra);
+  }
+  if (status >= 400 && status < 500) {
+    return upstreamError('upstream_rejected', `${provider} could not process the request (${status})`, extra);
+  }
+  if (status >= 500 || NETWORK_ERRORS.includes(error.code)) {
+    return upstreamError('upstream_unavailable', `${provider} is unavailable${status ? ` (${status})` : ''}`, extra);
+  }
+  return upstreamError('upstream_error', `${provider} request failed: ${error.message}`, extra);
+}
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return NETWORK_ERRORS.includes(error.code);
+}
+
+// Failures that say the provider itself is unhealthy, as opposed to a bad request
+function countsAsFailure(error) {
+  return isTimeout(error) || isRetryable(error);
+}
+
+function getCircuit(provider) {
+  if (!circuits.has(provider)) {
+    circuits.set(provider, { state: 'closed', failures: 0, openedAt: null, probing: false });
+  }
+  return circuits.get(provider);
+}
+
+// Fail fast while the circuit is open; let a single trial call through after the cooldown
+function enterCircuit(provider) {
+  const circuit = getCircuit(provider);
+
+  if (circuit.state === 'open') {
+    const remaining = circuit.openedAt + config.get('UPSTREAM_BREAKER_COOLDOWN_MS') - Date.now();
+    if (remaining > 0) {
+      throw upstreamError('upstream_unavailable', `${provider} is temporarily unavailable after repeated failures`, {
+        provider,
+        retryAfter: Math.ceil(remaining / 1000)
+      });
+    }
+    circuit.state = 'half-open';
+    circuit.probing = false;
+  }
+
+  if (circuit.state === 'half-open') {
+    if (circuit.probing) {
+      throw upstreamError('upstream_unavailable', `${provider} is recovering, please retry shortly`, {
+        provider,
+        retryAfter: 1
+      });
+    }
+    circuit.probing = true;
+  }
+}
+
+function recordSuccess(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.state !== 'closed') {
+    logger.info(`✅ Circuit for ${provider} closed again`);
+  }
+  Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, probing: false });
+}
+
+function recordFailure(provider) {
+  const circuit = getCircuit(provider);
+  circuit.failures += 1;
+  circuit.probing = false;
+
+  if (circuit.state === 'half-open' || circuit.failures >= config.get('UPSTREAM_BREAKER_THRESHOLD')) {
+    if (circuit.state !== 'open') {
+      logger.warn(`⚠️ Circuit for ${provider} opened after ${circuit.failures} failure(s), failing fast for ${config.get('UPSTREAM_BREAKER_COOLDOWN_MS')}ms`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+// Release a half-open trial that ended without saying anything about the provider
+function releaseProbe(provider) {
+  getCircuit(provider).probing = false;
+}
+
+function backoffDelay(attempt) {
+  const exponential = config.get('UPSTREAM_RETRY_BASE_MS') * 2 ** attempt;
+  return Math.min(config.get('UPSTREAM_RETRY_MAX_MS'), exponential / 2 + Math.random() * exponential / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason || new Error('Aborted'));
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Aborted'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Make an upstream HTTP request
+ *
+ * @param {string} provider - provider name, used for the circuit breaker and messages
+ * @param {Object} axiosConfig - axios request config (method, url, data, headers, ...)
+ * @param {Object} options - { retries, onRetry(attempt, delayMs, error) }
+ * @returns {Promise<Object>} the axios response
+ */
+async function request(provider, axiosConfig, { retries = config.get('UPSTREAM_RETRIES'), onRetry } = {}) {
+  const requestConfig = { timeout: config.get('UPSTREAM_TIMEOUT_MS'), ...axiosConfig };
+
+  for (let attempt = 0; ; attempt++) {
+    enterCircuit(provider);
+    const startedAt = Date.now();
+    const observe = outcome => metrics.observe(
+      'upstream_request_duration_seconds',
+      { provider, outcome },
+      (Date.now() - startedAt) / 1000
+    );
+
+    try {
+      const response = await axios.request(requestConfig);
+      observe('ok');
+      recordSuccess(provider);
+      return response;
+    } catch (error) {
+      if (isAborted(error)) {
+        observe('aborted');
+        releaseProbe(provider);
+        throw error;
+      }
+
+      if (requestConfig.responseType === 'stream') {
+        await readStreamedErrorBody(error).catch(() => {});
+      }
+
+      if (countsAsFailure(error)) {
+        recordFailure(provider);
+      } else {
+        releaseProbe(provider);
+      }
+
+      const normalized = normalizeError(error, provider);
+      observe(normalized.code);
+      if (attempt >= retries || !isRetryable(error)) throw normalized;
+
+      // Wait at least as long as the provider asked, unless that is longer than we are willing to
+      const retryAfter = parseRetryAfter(error.response);
+      if (retryAfter !== null && retryAfter > config.get('UPSTREAM_RETRY_MAX_MS')) throw normalized;
+      const delay = Math.max(backoffDelay(attempt), retryAfter || 0);
+
+      logger.warn(`⚠️ ${normalized.message}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 2} of ${retries + 1})`);
+      if (onRetry) onRetry(attempt + 1, delay, normalized);
+      await sleep(delay, axiosConfig.signal);
+    }
+  }
+}
+
+// Circuit state per provider, for health checks
+function getCircuitState(provider) {
+  const circuit = getCircuit(provider);
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    retryAfter: circuit.state === 'open'
+      ? Math.max(0, Math.ceil((circuit.openedAt + config.get('UPSTREAM_BREAKER_COOLDOWN_MS') - Date.now()) / 1000))
+      : null
+  };
+}
+
+metrics.registerGauge('upstream_circuit_open', 'Whether the circuit breaker for a provider is open (1) or half-open (0.5)', () =>
+  [...circuits.entries()].map(([provider, circuit]) => ({
+    labels: { provider },
+    value: circuit.state === 'open' ? 1 : circuit.state === 'half-open' ? 0.5 : 0
+  }))
+);
+
+module.exports = {
+  request,
+  upstreamError,
+  getCircuitState
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const config = require('./config');
+const { getDataDir, ensureDir } = require('./dataStore');
+
+/**
+ * Usage ledger for the paid endpoints
+ *
+ * Every admitted call is appended to DATA_DIR/usage/<YYYY-MM-DD>.jsonl (UTC
+ * days), one JSON line per entry:
+ *   { type: 'call', clientId, route, status, bytesIn, bytesOut, durationMs }
+ *   { type: 'upstream', clientId, route, kind, provider, cost }
+ *
+ * Upstream costs are looked up per provider in config/costs.json (or
+ * USAGE_COSTS_FILE). Today's totals per client are kept in memory, rebuilt
+ * from the ledger after a restart, and used to enforce daily quotas.
+ */
+
+const MAX_SUMMARY_DAYS = 92;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let costs = null;
+let todayKey = null;
+let todayTotals = null;
+let loadingToday = null;
+let writeQueue = Promise.resolve();
+
+function loadCosts() {
+  if (costs) return costs;
+
+  const file = config.get('USAGE_COSTS_FILE');
+
+  try {
+    costs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.warn(`⚠️ Could not read upstream costs from ${file}, costs are recorded as 0: ${error.message}`);
+    costs = {};
+  }
+  return costs;
+}
+
+// Drop the cached costs so the next lookup re-reads the costs file
+function reloadCosts() {
+  costs = null;
+  return loadCosts();
+}
+
+function getCurrency() {
+  return loadCosts().currency || 'USD';
+}
+
+// Price of one upstream call, e.g. getCost('enhancement', 'deep-image')
+function getCost(kind, provider) {
+  const cost = Number(loadCosts()[kind]?.[provider]);
+  return Number.isFinite(cost) ? cost : 0;
+}
+
+function dayOf(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function ledgerFile(day) {
+  return getDataDir('usage', `${day}.jsonl`);
+}
+
+async function readLedger(day) {
+  try {
+    const text = await fs.promises.readFile(ledgerFile(day), 'utf8');
+    return text.split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // Partially written line after a crash
+      }
+    }).filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function emptyTotals() {
+  return { requests: 0, bytes: 0, cost: 0 };
+}
+
+function addToTotals(totals, entry) {
+  if (!totals.has(entry.clientId)) totals.set(entry.clientId, emptyTotals());
+  const client = totals.get(entry.clientId);
+
+  if (entry.type === 'call') {
+    client.requests += 1;
+    client.bytes += (entry.bytesIn || 0) + (entry.bytesOut || 0);
+  } else if (entry.type === 'upstream') {
+    client.cost += entry.cost || 0;
+  }
+}
+
+// Today's totals per client, loaded from the ledger on first use each day
+async function getTodayTotals() {
+  const day = dayOf();
+  if (todayKey === day) return todayTotals;
+
+  if (!loadingToday || loadingToday.day !== day) {
+    const promise = readLedger(day).then(entries => {
+      const totals = new Map();
+      entries.forEach(entry => addToTotals(totals, entry));
+      todayKey = day;
+      todayTotals = totals;
+      return totals;
+    }).catch(error => {
+      loadingToday = null;
+      throw error;
+    });
+    loadingToday = { day, promise };
+  }
+  return loadingToday.promise;
+}
+
+async function record(entry) {
+  const fullEntry = { at: new Date().toISOString(), ...entry };
+  const day = fullEntry.at.slice(0, 10);
+
+  try {
+    addToTotals(await getTodayTotals(), fullEntry);
+  } catch (error) {
+    logger.error('Error loading usage totals:', error);
+  }
+
+  // Appends are queued so lines from concurrent requests never interleave
+  writeQueue = writeQueue
+    .then(async () => {
+      await ensureDir(getDataDir('usage'));
+      await fs.promises.appendFile(ledgerFile(day), `${JSON.stringify(fullEntry)}\n`);
+    })
+    .catch(error => logger.error('Error writing usage ledger:', error));
+  return writeQueue;
+}
+
+/**
+ * Check a client's daily quota before admitting a call
+ *
+ * @param {Object} client - authenticated client (see services/auth.js)
+ * @throws {Error} 429 with retryAfter (seconds) when a limit is used up
+ */
+async function checkQuota(client) {
+  const quota = client.quota || {};
+  const used = (await getTodayTotals()).get(client.id) || emptyTotals();
+
+  const exceeded = ['requests', 'bytes', 'cost'].find(name => quota[name] > 0 && used[name] >= quota[name]);
+  if (!exceeded) return;
+
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+
+  const error = new Error(`Daily ${exceeded} quota of ${quota[exceeded]} used up for this API key`);
+  error.statusCode = 429;
+  error.code = 'quota_exceeded';
+  error.retryAfter = Math.ceil((tomorrow.getTime() - Date.now()) / 1000);
+  throw error;
+}
+
+// Record a call once its response is done. Bytes written are counted by the
+// request context middleware (res.locals.bytesOut); "close" also fires when
+// a streaming client disconnects early.
+function meter(req, res, route) {
+  const startedAt = Date.now();
+  req.usageRoute = route;
+
+  let recorded = false;
+  const done = () => {
+    if (recorded) return;
+    recorded = true;
+    record({
+      type: 'call',
+      clientId: req.apiClient.id,
+      route,
+      status: res.statusCode,
+      bytesIn: parseInt(req.headers['content-length'], 10) || 0,
+      bytesOut: res.locals.bytesOut || 0,
+      durationMs: Date.now() - startedAt
+    });
+  };
+  res.on('finish', done);
+  res.on('close', done);
+}
+
+// Record a successful call to a paid upstream provider on behalf of a request
+function recordUpstream(req, kind, provider) {
+  if (!req.apiClient) return Promise.resolve();
+
+  return record({
+    type: 'upstream',
+    clientId: req.apiClient.id,
+    route: req.usageRoute || null,
+    kind,
+    provider,
+    cost: getCost(kind, provider)
+  });
+}
+
+function emptySummary(clientId) {
+  return {
+    clientId,
+    requests: 0,
+    errors: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+    upstreamCalls: 0,
+    cost: 0,
+    routes: {},
+    providers: {}
+  };
+}
+
+/**
+ * Usage per client over a range of UTC days (inclusive)
+ *
+ * @param {Object} range - { from, to } as YYYY-MM-DD, both default to today
+ * @returns {Promise<Object>} { from, to, currency, clients: [...] }
+ */
+async function summarize({ from, to } = {}) {
+  const today = dayOf();
+  from = from || to || today;
+  to = to || (from > today ? from : today);
+
+  const isDay = value => DAY_PATTERN.test(value) && !Number.isNaN(Date.parse(value)) && dayOf(new Date(value)) === value;
+  if (!isDay(from) || !isDay(to) || from > to) {
+    const error = new Error('from and to must be dates (YYYY-MM-DD) with from <= to');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const days = [];
+  for (let date = new Date(`${from}T00:00:00Z`); dayOf(date) <= to; date.setUTCDate(date.getUTCDate() + 1)) {
+    days.push(dayOf(date));
+    if (days.length > MAX_SUMMARY_DAYS) {
+      const error = new Error(`At most ${MAX_SUMMARY_DAYS} days can be summarized at once`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  // Make sure queued ledger lines are on disk before reading them back
+  await writeQueue;
+
+  const clients = new Map();
+  for (const day of days) {
+    (await readLedger(day)).forEach(entry => {
+      if (!clients.has(entry.clientId)) clients.set(entry.clientId, emptySummary(entry.clientId));
+      const summary = clients.get(entry.clientId);
+
+      if (entry.type === 'call') {
+        summary.requests += 1;
+        summary.errors += entry.status >= 400 ? 1 : 0;
+        summary.bytesIn += entry.bytesIn || 0;
+        summary.bytesOut += entry.bytesOut || 0;
+        summary.routes[entry.route] = (summary.routes[entry.route] || 0) + 1;
+      } else if (entry.type === 'upstream') {
+        const provider = summary.providers[entry.provider] || { calls: 0, cost: 0 };
+        provider.calls += 1;
+        provider.cost += entry.cost || 0;
+        summary.providers[entry.provider] = provider;
+        summary.upstreamCalls += 1;
+        summary.cost += entry.cost || 0;
+      }
+    });
+  }
+
+  return {
+    from,
+    to,
+    currency: getCurrency(),
+    clients: [...clients.values()].sort((a, b) => b.cost - a.cost || b.requests - a.requests)
+  };
+}
+
+module.exports = {
+  reloadCosts,
+  getCost,
+  checkQuota,
+  meter,
+  recordUpstream,
+  summarize
+};
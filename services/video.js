@@ -0,0 +1,508 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const config = require('./config');
+
+/**
+ * Video helpers backed by ffmpeg/ffprobe
+ *
+ * The binaries are found on the PATH unless FFMPEG_PATH / FFPROBE_PATH point
+ * at them. Every invocation is killed after FFMPEG_TIMEOUT_MS, except
+ * transcodes, which get VIDEO_TIMEOUT_MS.
+ *
+ * Transcoding turns whatever the browser recorded (often WebM) into H.264/AAC
+ * MP4 at a platform preset, optionally trimmed and with the caption burned in
+ * as a subtitle. Transcodes run one at a time: a single one already keeps a
+ * CPU core busy.
+ */
+
+const MAX_KEYFRAMES = 12;
+const FRAME_WIDTH = 768;
+const POSTER_WIDTH = 1080;
+
+// Shortest clip worth exporting, in seconds
+const MIN_CLIP_DURATION = 0.5;
+
+// Longest caption burned into a video; the rest is only in the post text
+const MAX_BURNED_CAPTION_LENGTH = 160;
+
+// Output sizes for the platforms we post to. "original" keeps the aspect
+// ratio and only caps the long side; maxDuration is the longest clip the
+// preset's placements accept, in seconds (null for no limit).
+const VIDEO_PRESETS = {
+  original: { label: 'Original size', width: null, height: null, maxLength: 1920, maxDuration: null },
+  vertical: { label: 'Vertical 9:16 (Reels, Stories, TikTok)', width: 1080, height: 1920, maxDuration: 180 },
+  square: { label: 'Square 1:1 (feed)', width: 1080, height: 1080, maxDuration: 60 },
+  portrait: { label: 'Portrait 4:5 (feed)', width: 1080, height: 1350, maxDuration: 60 },
+  landscape: { label: 'Landscape 16:9', width: 1920, height: 1080, maxDuration: 600 }
+};
+
+const DEFAULT_PRESET = 'original';
+const FIT_MODES = ['cover', 'contain'];
+
+// The transcode running now; the next one waits for it to settle
+let transcodeSlot = Promise.resolve();
+
+// Minimum scene score (0-1) for a frame to count as a scene change
+const SCENE_THRESHOLD = 0.3;
+
+function getFfmpegPath() {
+  return config.get('FFMPEG_PATH');
+}
+
+function getFfprobePath() {
+  return config.get('FFPROBE_PATH');
+}
+
+function videoError(message, statusCode = 500) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Run a binary and collect its output, failing on a non-zero exit or timeout.
+// onStdout sees each chunk as it arrives, e.g. to follow ffmpeg's progress.
+function runProcess(command, args, { timeoutMs, cwd, onStdout } = {}) {
+  timeoutMs = timeoutMs || config.get('FFMPEG_TIMEOUT_MS');
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+    let timedOut = false;
+    let spawnFailed = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => {
+      stdout.push(chunk);
+      if (onStdout) onStdout(chunk);
+    });
+    child.stderr.on('data', chunk => {
+      // Only the tail is useful for error messages; keep memory bounded
+      stderr = (stderr + chunk).slice(-64 * 1024);
+    });
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      spawnFailed = true;
+      if (error.code === 'ENOENT') {
+        reject(videoError(`${command} was not found. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH to process videos`));
+      } else {
+        reject(error);
+      }
+    });
+
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (spawnFailed) return;
+      if (timedOut) {
+        return reject(videoError(`${command} timed out after ${timeoutMs}ms`));
+      }
+      if (code !== 0) {
+        logger.error(`${command} exited with code ${code}:`, stderr.trim().split('\n').slice(-5).join('\n'));
+        return reject(videoError('Could not process the video, the file may be corrupt', 422));
+      }
+      resolve({ stdout: Buffer.concat(stdout), stderr });
+    });
+  });
+}
+
+// Rotation in degrees stored by phones that record upright video sideways
+function readRotation(stream) {
+  const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  return parseInt(sideData ? sideData.rotation : stream.tags?.rotate, 10) || 0;
+}
+
+/**
+ * Read the duration and displayed frame size of a video file
+ *
+ * ffmpeg applies the rotation metadata when decoding, so the size is
+ * reported the way the video is shown rather than the way it is stored.
+ *
+ * @param {string} filePath
+ * @returns {Promise<Object>} { duration, width, height }
+ */
+async function probeVideo(filePath) {
+  const { stdout } = await runProcess(getFfprobePath(), [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'format=duration:stream=width,height:stream_tags=rotate:stream_side_data=rotation',
+    '-of', 'json',
+    filePath
+  ]);
+
+  const info = JSON.parse(stdout.toString('utf8'));
+  const stream = (info.streams || [])[0];
+  if (!stream) {
+    throw videoError('The file does not contain a video stream', 422);
+  }
+
+  const sideways = Math.abs(readRotation(stream)) % 180 === 90;
+  return {
+    duration: parseFloat(info.format?.duration) || 0,
+    width: sideways ? stream.height : stream.width,
+    height: sideways ? stream.width : stream.height
+  };
+}
+
+// Timestamps where the picture changes significantly, in seconds
+async function detectSceneChanges(filePath) {
+  const { stderr } = await runProcess(getFfmpegPath(), [
+    '-hide_banner',
+    '-i', filePath,
+    '-an',
+    '-vf', `select='gt(scene,${SCENE_THRESHOLD})',showinfo`,
+    '-f', 'null',
+    '-'
+  ]);
+
+  return [...stderr.matchAll(/pts_time:\s*([\d.]+)/g)].map(match => parseFloat(match[1]));
+}
+
+// Grab a single frame as a JPEG, scaled down to width
+async function grabFrame(filePath, time, width = FRAME_WIDTH) {
+  const { stdout } = await runProcess(getFfmpegPath(), [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-ss', time.toFixed(3),
+    '-i', filePath,
+    '-frames:v', '1',
+    '-vf', `scale='min(${width},iw)':-2`,
+    '-f', 'image2pipe',
+    '-c:v', 'mjpeg',
+    '-q:v', '3',
+    'pipe:1'
+  ]);
+
+  if (stdout.length === 0) {
+    throw videoError(`Could not extract a frame at ${time.toFixed(1)}s`, 422);
+  }
+  return stdout;
+}
+
+// Evenly spaced timestamps, taken from the middle of each segment
+function evenTimestamps(duration, count) {
+  return Array.from({ length: count }, (value, index) => (duration * (index + 0.5)) / count);
+}
+
+// Pick up to `count` timestamps: the opening shot plus the scene changes,
+// thinned out evenly when there are too many and topped up with evenly
+// spaced frames when there are too few
+function pickTimestamps(duration, sceneChanges, count) {
+  // Frames closer together than this add little, whether cuts or grid slots
+  const minGap = duration / (count * 2);
+
+  let picked = [0];
+  for (const time of sceneChanges) {
+    if (time < duration && time - picked[picked.length - 1] >= minGap) {
+      picked.push(time);
+    }
+  }
+
+  if (picked.length > count) {
+    const step = picked.length / count;
+    picked = Array.from({ length: count }, (value, index) => picked[Math.floor(index * step)]);
+  }
+
+  // Fill in from the even grid, skipping slots too close to a picked frame
+  for (const time of evenTimestamps(duration, count)) {
+    if (picked.length >= count) break;
+    if (picked.every(existing => Math.abs(existing - time) >= minGap)) {
+      picked.push(time);
+    }
+  }
+
+  return picked.sort((a, b) => a - b);
+}
+
+/**
+ * Sample representative keyframes from a video
+ *
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {number} [options.count] - number of frames (default 6, max 12)
+ * @param {string} [options.mode] - 'scene' (scene changes, topped up evenly) or 'even'
+ * @returns {Promise<Object>} { duration, width, height, frames: [{ time, buffer, mimeType }] }
+ */
+async function extractKeyframes(filePath, { count = 6, mode = 'scene' } = {}) {
+  const frameCount = Math.max(1, Math.min(MAX_KEYFRAMES, count));
+  const info = await probeVideo(filePath);
+
+  let timestamps;
+  if (mode === 'scene' && info.duration > 0) {
+    const sceneChanges = await detectSceneChanges(filePath);
+    logger.debug(`Detected ${sceneChanges.length} scene change(s) in ${filePath}`);
+    timestamps = pickTimestamps(info.duration, sceneChanges, frameCount);
+  } else {
+    timestamps = info.duration > 0 ? evenTimestamps(info.duration, frameCount) : [0];
+  }
+
+  // One ffmpeg process at a time keeps memory and CPU use predictable
+  const frames = [];
+  for (const time of timestamps) {
+    frames.push({ time, buffer: await grabFrame(filePath, time), mimeType: 'image/jpeg' });
+  }
+
+  logger.info(`Extracted ${frames.length} keyframe(s) from ${info.duration.toFixed(1)}s video`);
+  return { ...info, frames };
+}
+
+// Presets for clients to choose from
+function listVideoPresets() {
+  return Object.entries(VIDEO_PRESETS).map(([name, preset]) => ({
+    name,
+    label: preset.label,
+    width: preset.width,
+    height: preset.height,
+    maxDuration: preset.maxDuration
+  }));
+}
+
+function even(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = Number(value);
+  if (!Number.isFinite(time) || time < 0) {
+    throw videoError(`${name} must be a number of seconds, 0 or more`, 400);
+  }
+  return time;
+}
+
+// Strip hashtags and keep the caption short enough to read on screen
+function prepareBurnedCaption(caption) {
+  const text = String(caption || '')
+    .replace(/(^|\s)#[\p{L}\p{N}_]+/gu, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (text.length <= MAX_BURNED_CAPTION_LENGTH) return text;
+
+  const cut = text.slice(0, MAX_BURNED_CAPTION_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_BURNED_CAPTION_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Work out the output of a transcode before any work is done
+ *
+ * Throws a 400 for an unknown preset or fit, a trim outside the video, a
+ * clip longer than the preset allows, or a caption to burn in that is empty.
+ * Browser recordings often don't store their duration; without an end time
+ * their clip duration is null and the output is cut at the preset's limit.
+ *
+ * @param {Object} info - probeVideo result for the source
+ * @param {Object} [options]
+ * @param {string} [options.preset] - key of VIDEO_PRESETS (default "original")
+ * @param {number} [options.start] - trim start in seconds (default 0)
+ * @param {number} [options.end] - trim end in seconds (default: end of video)
+ * @param {string} [options.fit] - "cover" crops to fill the frame, "contain" letterboxes
+ * @param {string} [options.caption] - post caption, for burnCaption
+ * @param {boolean} [options.burnCaption] - overlay the caption as a subtitle
+ * @returns {Object} { preset, start, duration, maxDuration, width, height, filter, caption }
+ */
+function resolveVideoSettings(info, { preset: presetName = DEFAULT_PRESET, start, end, fit = 'cover', caption, burnCaption = false } = {}) {
+  const preset = VIDEO_PRESETS[presetName];
+  if (!preset) {
+    throw videoError(`Unknown video preset "${presetName}". Available presets: ${Object.keys(VIDEO_PRESETS).join(', ')}`, 400);
+  }
+  if (!FIT_MODES.includes(fit)) {
+    throw videoError(`fit must be one of: ${FIT_MODES.join(', ')}`, 400);
+  }
+
+  const trimStart = parseTime(start, 'start') || 0;
+  const trimEnd = parseTime(end, 'end') ?? (info.duration || null);
+  if (info.duration > 0 && trimStart >= info.duration) {
+    throw videoError(`start must be before the end of the video (${info.duration.toFixed(1)}s)`, 400);
+  }
+
+  let duration = null;
+  if (trimEnd !== null) {
+    duration = (info.duration > 0 ? Math.min(trimEnd, info.duration) : trimEnd) - trimStart;
+    if (duration < MIN_CLIP_DURATION) {
+      throw videoError(`The trimmed clip must be at least ${MIN_CLIP_DURATION}s long`, 400);
+    }
+  }
+  if (duration && preset.maxDuration && duration > preset.maxDuration) {
+    throw videoError(`The "${presetName}" preset allows clips of up to ${preset.maxDuration}s; trim the video to fit`, 400);
+  }
+
+  const burnedCaption = burnCaption ? prepareBurnedCaption(caption) : '';
+  if (burnCaption && !burnedCaption) {
+    throw videoError('There is no caption to burn into the video', 400);
+  }
+
+  let width;
+  let height;
+  let filter;
+  if (!preset.width) {
+    const scale = Math.min(1, preset.maxLength / Math.max(info.width, info.height));
+    width = even(info.width * scale);
+    height = even(info.height * scale);
+    filter = `scale=${width}:${height},setsar=1`;
+  } else {
+    ({ width, height } = preset);
+    filter = fit === 'cover'
+      ? `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`
+      : `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`;
+  }
+
+  return {
+    preset: presetName,
+    start: trimStart,
+    duration,
+    maxDuration: preset.maxDuration,
+    width,
+    height,
+    filter,
+    caption: burnedCaption || null
+  };
+}
+
+// ASS timestamps are H:MM:SS.cc
+function formatAssTime(seconds) {
+  const centiseconds = Math.round(seconds * 100);
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor(centiseconds / 6000) % 60;
+  const secs = Math.floor(centiseconds / 100) % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centiseconds % 100).padStart(2, '0')}`;
+}
+
+// A subtitle file showing the caption for the whole clip in a dark box near
+// the bottom. ASS has no escaping: braces would start override tags and a
+// backslash a line break, so they are swapped for lookalikes.
+function buildCaptionSubtitles({ width, height, duration, maxDuration, caption }) {
+  // Clips of unknown length keep the caption up until they end
+  const end = duration || maxDuration || 24 * 60 * 60;
+  const fontSize = Math.round(Math.min(width, height) * 0.05);
+  const margin = Math.round(width * 0.06);
+  const text = caption.replace(/\\/g, '⧵').replace(/\{/g, '(').replace(/\}/g, ')');
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Caption,Arial,${fontSize},&H00FFFFFF,&H00FFFFFF,&H80000000,&H80000000,0,0,0,0,100,100,0,0,3,${Math.round(fontSize * 0.35)},0,2,${margin},${margin},${Math.round(height * 0.08)},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    `Dialogue: 0,${formatAssTime(0)},${formatAssTime(end)},Caption,,0,0,0,,${text}`,
+    ''
+  ].join('\n');
+}
+
+// Run transcodes one after the other
+function inTranscodeSlot(task) {
+  const run = transcodeSlot.then(task);
+  transcodeSlot = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Transcode a video to H.264/AAC MP4 with settings from resolveVideoSettings
+ *
+ * The output starts with its index (faststart) so it plays while loading.
+ * Waits for any transcode already running.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPath - written by ffmpeg; its directory is also where
+ *   the caption subtitle file is kept while burning it in
+ * @param {Object} settings - resolveVideoSettings result
+ * @param {Function} [onProgress] - (stage, percent) as the transcode advances
+ */
+function transcodeVideo(inputPath, outputPath, settings, onProgress = () => {}) {
+  return inTranscodeSlot(async () => {
+    const timeoutMs = config.get('VIDEO_TIMEOUT_MS');
+    const outputDir = path.dirname(path.resolve(outputPath));
+    let filter = settings.filter;
+    let subtitlePath = null;
+
+    // The subtitles filter has its own quoting rules for paths; running in
+    // the output directory lets it take a bare file name
+    if (settings.caption) {
+      subtitlePath = `${path.resolve(outputPath)}.ass`;
+      await fs.promises.writeFile(subtitlePath, buildCaptionSubtitles(settings));
+      filter += `,subtitles=${path.basename(subtitlePath)}`;
+    }
+
+    let progressBuffer = '';
+    const onStdout = chunk => {
+      progressBuffer += chunk.toString('utf8');
+      const lines = progressBuffer.split('\n');
+      progressBuffer = lines.pop();
+
+      for (const line of lines) {
+        const match = line.match(/^out_time_us=(\d+)/);
+        if (match && settings.duration) {
+          const ratio = Math.min(1, parseInt(match[1], 10) / 1e6 / settings.duration);
+          onProgress('transcoding', 10 + ratio * 80);
+        }
+      }
+    };
+
+    const clipDuration = settings.duration || settings.maxDuration;
+
+    onProgress('transcoding', 10);
+    try {
+      await runProcess(getFfmpegPath(), [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-y',
+        '-ss', settings.start.toFixed(3),
+        '-i', path.resolve(inputPath),
+        ...(clipDuration ? ['-t', clipDuration.toFixed(3)] : []),
+        '-map', '0:v:0',
+        '-map', '0:a:0?',
+        '-vf', filter,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', '23',
+        '-pix_fmt', 'yuv420p',
+        '-fpsmax', '30',
+        '-c:a', 'aac',
+        '-b:a', '128k',
+        '-ac', '2',
+        '-movflags', '+faststart',
+        '-progress', 'pipe:1',
+        '-nostats',
+        path.resolve(outputPath)
+      ], { timeoutMs, cwd: outputDir, onStdout });
+    } finally {
+      if (subtitlePath) {
+        await fs.promises.unlink(subtitlePath).catch(() => {});
+      }
+    }
+
+    logger.info(`🎬 Transcoded video to ${settings.width}x${settings.height} MP4 (${settings.preset})`);
+  });
+}
+
+// Poster image for a transcoded video: a frame from early in the clip
+function createPoster(filePath, duration) {
+  return grabFrame(filePath, Math.min(1, duration / 2), POSTER_WIDTH);
+}
+
+module.exports = {
+  MAX_KEYFRAMES,
+  VIDEO_PRESETS,
+  probeVideo,
+  extractKeyframes,
+  listVideoPresets,
+  resolveVideoSettings,
+  transcodeVideo,
+  createPoster
+};
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const accounts = require('./accounts');
+const { getDataDir, getWorkspaceDir, ensureDir, readJson, writeJson } = require('./dataStore');
+const { sendError } = require('../routes/errors');
+
+/**
+ * Workspaces: teams sharing posts, a media library and a schedule
+ *
+ * Each workspace has its own directory, DATA_DIR/workspaces/<id>:
+ *   workspace.json          - name, settings, members and their roles
+ *   posts/                  - posts and their media (services/posts.js)
+ *   schedule/               - scheduled posts (services/scheduler.js)
+ *   publishing/history.json - publication history (services/publishing.js)
+ *
+ * Roles, each allowed everything the ones before it are:
+ *   viewer - sees the posts, library, schedule and publication history
+ *   editor - creates and edits posts, reviews posts submitted for approval,
+ *            publishes and schedules them
+ *   owner  - renames the workspace, manages its members and decides whether
+ *            posts need approval before they go out
+ *
+ * Every account gets a personal workspace when it is created.
+ */
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const MAX_NAME_LENGTH = 80;
+
+// Workspace changes are chained so concurrent member updates don't overwrite each other
+let workspacesUpdate = Promise.resolve();
+
+function workspaceError(message, statusCode = 400, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+function notFoundError() {
+  return workspaceError('Workspace not found', 404);
+}
+
+function workspaceFile(id) {
+  if (!ID_PATTERN.test(String(id))) throw notFoundError();
+  return getWorkspaceDir(id, 'workspace.json');
+}
+
+async function getWorkspace(id) {
+  const workspace = await readJson(workspaceFile(id));
+  if (!workspace) throw notFoundError();
+  return workspace;
+}
+
+// Run a change against a workspace and save it
+function updateWorkspace(id, change) {
+  const result = workspacesUpdate.then(async () => {
+    const workspace = await getWorkspace(id);
+    await change(workspace);
+    workspace.updatedAt = new Date().toISOString();
+    await writeJson(workspaceFile(id), workspace);
+    return workspace;
+  });
+  workspacesUpdate = result.catch(() => {});
+  return result;
+}
+
+async function listWorkspaceIds() {
+  const ids = await fs.promises.readdir(getDataDir('workspaces')).catch(() => []);
+  return ids.filter(id => ID_PATTERN.test(id));
+}
+
+function normalizeName(value) {
+  const name = String(value || '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) throw workspaceError('A workspace needs a name');
+  return name;
+}
+
+function normalizeRole(value) {
+  if (!ROLES.includes(value)) throw workspaceError(`role must be one of: ${ROLES.join(', ')}`);
+  return value;
+}
+
+function getMembership(workspace, userId) {
+  return workspace.members.find(member => member.userId === userId) || null;
+}
+
+// Whether a member's role allows what the given role does
+function hasRole(membership, role) {
+  return Boolean(membership) && ROLES.indexOf(membership.role) >= ROLES.indexOf(role);
+}
+
+function ensureOwnerRemains(workspace) {
+  if (!workspace.members.some(member => member.role === 'owner')) {
+    throw workspaceError('A workspace needs at least one owner', 409);
+  }
+}
+
+// Workspace as listed for one of its members
+function summarizeWorkspace(workspace, userId) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    role: getMembership(workspace, userId)?.role || null,
+    requireApproval: Boolean(workspace.requireApproval),
+    memberCount: workspace.members.length,
+    createdAt: workspace.createdAt
+  };
+}
+
+// Workspace with its members' usernames
+async function describeWorkspace(workspace, userId) {
+  const members = await Promise.all(workspace.members.map(async member => {
+    const user = await accounts.getUser(member.userId);
+    return { ...member, username: user ? user.username : null };
+  }));
+  return { ...summarizeWorkspace(workspace, userId), members };
+}
+
+async function listWorkspacesFor(userId) {
+  const workspaces = await Promise.all((await listWorkspaceIds()).map(id => readJson(workspaceFile(id)).catch(error => {
+    logger.warn(`⚠️ Skipping unreadable workspace ${id}: ${error.message}`);
+    return null;
+  })));
+
+  return workspaces
+    .filter(workspace => workspace && getMembership(workspace, userId))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(workspace => summarizeWorkspace(workspace, userId));
+}
+
+async function createWorkspace(user, { name } = {}) {
+  const now = new Date().toISOString();
+  const workspace = {
+    id: crypto.randomUUID(),
+    name: normalizeName(name),
+    requireApproval: false,
+    members: [{ userId: user.id, role: 'owner', addedAt: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await writeJson(workspaceFile(workspace.id), workspace);
+  logger.info(`👥 ${user.username} created workspace ${workspace.id} (${workspace.name})`);
+  return workspace;
+}
+
+// Posts, schedule, publication history and brand kits saved before there
+// were workspaces move into the first account's workspace
+async function adoptLegacyData(workspaceId) {
+  for (const segments of [['posts'], ['schedule'], ['publishing', 'history.json'], ['brand-kits']]) {
+    const target = getWorkspaceDir(workspaceId, ...segments);
+    try {
+      await ensureDir(path.dirname(target));
+      await fs.promises.rename(getDataDir(...segments), target);
+      logger.info(`👥 Moved the existing ${segments.join('/')} into workspace ${workspaceId}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error moving the existing ${segments.join('/')} into workspace ${workspaceId}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Set up the workspace every new account starts with
+ *
+ * @param {Object} user - the new account
+ * @param {Object} options - { adoptLegacyData } for the first account on a server
+ */
+async function createPersonalWorkspace(user, options = {}) {
+  const workspace = await createWorkspace(user, { name: `${user.username}'s workspace` });
+  if (options.adoptLegacyData) await adoptLegacyData(workspace.id);
+  return workspace;
+}
+
+// Rename a workspace or change whether posts need approval
+function updateSettings(id, data = {}) {
+  return updateWorkspace(id, workspace => {
+    if (data.name !== undefined) workspace.name = normalizeName(data.name);
+    if (data.requireApproval !== undefined) workspace.requireApproval = data.requireApproval === true;
+  });
+}
+
+async function addMember(id, { username, role = 'viewer' } = {}) {
+  const memberRole = normalizeRole(role);
+  const user = await accounts.findByUsername(username);
+  if (!user) throw workspaceError(`There is no account named "${username}"`, 404);
+
+  const workspace = await updateWorkspace(id, current => {
+    if (getMembership(current, user.id)) {
+      throw workspaceError(`${user.username} is already a member`, 409);
+    }
+    current.members.push({ userId: user.id, role: memberRole, addedAt: new Date().toISOString() });
+  });
+  logger.info(`👥 Added ${user.username} to workspace ${id} as ${memberRole}`);
+  return workspace;
+}
+
+async function updateMember(id, userId, { role } = {}) {
+  const memberRole = normalizeRole(role);
+  return updateWorkspace(id, workspace => {
+    const member = getMembership(workspace, userId);
+    if (!member) throw workspaceError('Member not found', 404);
+    member.role = memberRole;
+    ensureOwnerRemains(workspace);
+  });
+}
+
+async function removeMember(id, userId) {
+  const workspace = await updateWorkspace(id, current => {
+    if (!getMembership(current, userId)) throw workspaceError('Member not found', 404);
+    current.members = current.members.filter(member => member.userId !== userId);
+    ensureOwnerRemains(current);
+  });
+  logger.info(`👥 Removed member ${userId} from workspace ${id}`);
+  return workspace;
+}
+
+// Express middleware for /api/workspaces/:workspaceId routes: loads the
+// workspace and the caller's membership (req.workspace, req.membership).
+// Workspaces the caller isn't a member of answer 404, as if they didn't exist.
+async function loadWorkspace(req, res, next) {
+  try {
+    const workspace = await getWorkspace(req.params.workspaceId);
+    const membership = getMembership(workspace, req.user.id);
+    if (!membership) throw notFoundError();
+
+    req.workspace = workspace;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to load workspace');
+  }
+}
+
+// Express middleware for the routes from before workspaces (/api/posts,
+// /api/publish, ...): they act on the caller's default workspace, the oldest
+// one they own, or else the oldest one they are a member of
+async function loadDefaultWorkspace(req, res, next) {
+  try {
+    const [summary] = (await listWorkspacesFor(req.user.id))
+      .sort((a, b) => (a.role === 'owner' ? 0 : 1) - (b.role === 'owner' ? 0 : 1) || a.createdAt.localeCompare(b.createdAt));
+    if (!summary) throw workspaceError('You are not a member of any workspace', 404);
+
+    req.workspace = await getWorkspace(summary.id);
+    req.membership = getMembership(req.workspace, req.user.id);
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to load workspace');
+  }
+}
+
+// Express middleware allowing members with at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.membership, role)) return next();
+    res.status(403).json({
+      status: 'error',
+      message: `This needs the ${role} role in this workspace`,
+      code: 'role_required'
+    });
+  };
+}
+
+module.exports = {
+  ROLES,
+  listWorkspaceIds,
+  getWorkspace,
+  hasRole,
+  summarizeWorkspace,
+  describeWorkspace,
+  listWorkspacesFor,
+  createWorkspace,
+  createPersonalWorkspace,
+  updateSettings,
+  addMember,
+  updateMember,
+  removeMember,
+  loadWorkspace,
+  loadDefaultWorkspace,
+  requireRole
+};
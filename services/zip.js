@@ -0,0 +1,106 @@
+const fs = require('fs');
+const { once } = require('events');
+
+/**
+ * Minimal ZIP writer for downloads of several files at once
+ *
+ * Files are stored without compression: the archives hold images that are
+ * already compressed, so deflating them would cost CPU for nothing. Entries
+ * are read and written one at a time, so only one file is in memory.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+async function write(stream, buffer) {
+  if (!stream.write(buffer)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Write a ZIP archive to a writable stream (e.g. an Express response)
+ *
+ * @param {Writable} stream - destination; not ended by this function
+ * @param {Object[]} files - { name, path } in archive order; names must be unique
+ */
+async function writeZip(stream, files) {
+  const { time, date } = dosDateTime(new Date());
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const data = await fs.promises.readFile(file.path);
+    const name = Buffer.from(file.name, 'utf8');
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0); // Local file header signature
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(0, 8); // Stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014B50, 0); // Central directory header signature
+    entry.writeUInt16LE(20, 4); // Version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(0, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42); // Offset of the local header
+    central.push(entry, name);
+
+    await write(stream, header);
+    await write(stream, name);
+    await write(stream, data);
+    offset += header.length + name.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0); // End of central directory signature
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  await write(stream, directory);
+  await write(stream, end);
+}
+
+module.exports = {
+  writeZip
+};
@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./support/harness');
+const config = require('../services/config');
+
+const SETTINGS_FILE = process.env.CONFIG_FILE;
+
+// Set environment variables for one load() and restore them afterwards
+function withEnv(values, fn) {
+  const previous = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    config.load();
+  }
+}
+
+describe('configuration', () => {
+  it('lists every invalid value at once', () => {
+    withEnv({ PORT: 'abc', MAX_FILE_SIZE: '-1', ENHANCEMENT_PROVIDER: 'magic' }, () => {
+      assert.throws(() => config.load(), error => {
+        assert.match(error.message, /^Invalid configuration/);
+        assert.deepEqual(error.problems.map(problem => problem.split(' ')[0]).sort(), ['ENHANCEMENT_PROVIDER', 'MAX_FILE_SIZE', 'PORT']);
+        assert.equal(error.statusCode, 400);
+        return true;
+      });
+    });
+  });
+
+  it('treats placeholder keys as unset, with a warning', () => {
+    withEnv({ DEEP_IMAGE_API_KEY: 'your-deep-image-api-key-here' }, () => {
+      config.load();
+      assert.equal(config.get('DEEP_IMAGE_API_KEY'), null);
+      assert.ok(config.getWarnings().some(warning => warning.includes('DEEP_IMAGE_API_KEY')));
+    });
+  });
+
+  it('lets the environment override the settings file', () => {
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify({ BATCH_MAX_IMAGES: 10, BATCH_CONCURRENCY: 2 }));
+    try {
+      withEnv({ BATCH_MAX_IMAGES: '20' }, () => {
+        config.load();
+        assert.equal(config.get('BATCH_MAX_IMAGES'), 20);
+        assert.equal(config.get('BATCH_CONCURRENCY'), 2);
+      });
+    } finally {
+      fs.rmSync(SETTINGS_FILE);
+      config.load();
+    }
+  });
+
+  it('only documents known settings in .env.example', () => {
+    // The caption providers declare their own settings
+    require('../providers/caption').getChain();
+
+    const example = fs.readFileSync(path.join(__dirname, '..', '.env.example'), 'utf8');
+    const names = [...example.matchAll(/^#?\s*([A-Z][A-Z0-9_]+)\s*=/gm)].map(match => match[1]);
+
+    assert.ok(names.length > 0);
+    assert.deepEqual(names.filter(name => name !== 'CONFIG_FILE' && !config.has(name)), []);
+  });
+});
+
+describe('admin settings API', () => {
+  const ADMIN_TOKEN = 'test-admin-token';
+  let app;
+
+  before(async () => {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+    fs.rmSync(SETTINGS_FILE, { force: true });
+  });
+
+  function admin(method, requestPath, body) {
+    return app.request(`/api/admin${requestPath}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${ADMIN_TOKEN}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  function findSetting(result, name) {
+    return result.settings.find(setting => setting.name === name);
+  }
+
+  it('requires the admin token', async () => {
+    const response = await app.request('/api/admin/settings');
+    assert.equal(response.status, 401);
+  });
+
+  it('never returns secret values', async () => {
+    const response = await admin('GET', '/settings');
+    const text = await response.text();
+    const { result } = JSON.parse(text);
+
+    assert.equal(response.status, 200);
+    assert.ok(!text.includes('test-grok-key'));
+    assert.ok(!text.includes(ADMIN_TOKEN));
+
+    const grokKey = findSetting(result, 'GROK_API_KEY');
+    assert.equal(grokKey.secret, true);
+    assert.equal(grokKey.isSet, true);
+    assert.equal(grokKey.value, null);
+    assert.equal(grokKey.editable, false);
+
+    assert.ok(result.captionProviders.some(provider => provider.name === 'grok'));
+    assert.ok(result.presets.length > 0);
+  });
+
+  it('refuses secrets, settings set in the environment and restart-only settings', async () => {
+    const response = await admin('PUT', '/settings', {
+      settings: { GROK_API_KEY: 'stolen', ENHANCEMENT_PROVIDER: 'local', PORT: 4000 }
+    });
+    const data = await response.json();
+
+    assert.equal(response.status, 400);
+    ['GROK_API_KEY', 'ENHANCEMENT_PROVIDER', 'PORT'].forEach(name => assert.match(data.message, new RegExp(name)));
+    assert.equal(fs.existsSync(SETTINGS_FILE), false);
+  });
+
+  it('rejects invalid values', async () => {
+    const response = await admin('PUT', '/settings', { settings: { MAX_FILE_SIZE: 'lots' } });
+    const data = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.match(data.message, /MAX_FILE_SIZE must be a whole number/);
+  });
+
+  it('applies allowed origins without a restart', async () => {
+    const fromOrigin = origin => app.request('/api/caption-options', { headers: { Origin: origin } });
+
+    assert.equal((await fromOrigin('https://other.example')).status, 200);
+
+    const response = await admin('PUT', '/settings', { settings: { ALLOWED_ORIGINS: 'https://app.example' } });
+    const { result } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(result.reload.changed, ['ALLOWED_ORIGINS']);
+    assert.deepEqual(findSetting(result, 'ALLOWED_ORIGINS').source, 'file');
+    assert.deepEqual(JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8')), { ALLOWED_ORIGINS: ['https://app.example'] });
+
+    const allowed = await fromOrigin('https://app.example');
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example');
+    assert.notEqual((await fromOrigin('https://other.example')).status, 200);
+
+    // null restores the default
+    await admin('PUT', '/settings', { settings: { ALLOWED_ORIGINS: null } });
+    assert.equal((await fromOrigin('https://other.example')).status, 200);
+    assert.deepEqual(JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8')), {});
+  });
+
+  it('reloads a hand-edited settings file and reports restart-only changes', async () => {
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify({ BATCH_MAX_IMAGES: 5, BATCH_CONCURRENCY: 8 }));
+
+    const response = await admin('POST', '/settings/reload');
+    const { result } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(result.reload.changed, ['BATCH_MAX_IMAGES']);
+    assert.deepEqual(result.reload.restartRequired, ['BATCH_CONCURRENCY']);
+    assert.equal(config.get('BATCH_MAX_IMAGES'), 5);
+    assert.equal(config.get('BATCH_CONCURRENCY'), 3);
+
+    fs.writeFileSync(SETTINGS_FILE, '{}');
+    await admin('POST', '/settings/reload');
+  });
+
+  it('keeps the current settings when the file is broken', async () => {
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify({ BATCH_MAX_IMAGES: 5 }));
+    await admin('POST', '/settings/reload');
+    fs.writeFileSync(SETTINGS_FILE, '{not json');
+
+    const response = await admin('POST', '/settings/reload');
+    const data = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.match(data.message, /Could not read the settings file/);
+    assert.equal(config.get('BATCH_MAX_IMAGES'), 5);
+
+    fs.writeFileSync(SETTINGS_FILE, '{}');
+    await admin('POST', '/settings/reload');
+  });
+});
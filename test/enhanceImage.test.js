@@ -0,0 +1,268 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, json, waitForTempFiles, waitForJob } = require('./support/harness');
+const { ENHANCED_IMAGE, sendJson, startDeepImageStub } = require('./support/stubs');
+const { createPng, addPngChunk } = require('./support/images');
+
+const IMAGE = createPng(8, 8);
+
+describe('POST /api/enhance-image', () => {
+  let app;
+  let deepImage;
+
+  before(async () => {
+    deepImage = await startDeepImageStub();
+    process.env.DEEP_IMAGE_API_URL = deepImage.url;
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+    await deepImage.close();
+  });
+
+  beforeEach(() => deepImage.reset());
+
+  // The process call Deep Image received (the stub also sees the result download)
+  function processRequests() {
+    return deepImage.requests.filter(request => request.path === '/rest_api/process_result');
+  }
+
+  async function assertNoTempFiles() {
+    assert.deepEqual(await waitForTempFiles(), []);
+  }
+
+  describe('base64 images', () => {
+    it('enhances the image and returns the result as base64', async () => {
+      const response = await app.request('/api/enhance-image', json({ image_base64: IMAGE.toString('base64') }));
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.status, 'success');
+      assert.equal(data.result.provider, 'deep-image');
+      assert.equal(data.result.cached, false);
+      assert.deepEqual(Buffer.from(data.result.image_base64, 'base64'), ENHANCED_IMAGE);
+
+      const [upstream] = processRequests();
+      assert.equal(upstream.headers['x-api-key'], 'test-deep-image-key');
+      assert.equal(upstream.body.url, `base64,${IMAGE.toString('base64')}`);
+      await assertNoTempFiles();
+    });
+
+    it('accepts data URLs', async () => {
+      const response = await app.request('/api/enhance-image', json({ image_base64: `data:image/png;base64,${IMAGE.toString('base64')}` }));
+
+      assert.equal(response.status, 200);
+      assert.equal(processRequests()[0].body.url, `base64,${IMAGE.toString('base64')}`);
+    });
+
+    it('sends the preset parameters', async () => {
+      const response = await app.request('/api/enhance-image', json({
+        image_base64: IMAGE.toString('base64'),
+        preset: 'upscale-only',
+        overrides: { width: 2048 }
+      }));
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.result.preset, 'upscale-only');
+      assert.deepEqual(processRequests()[0].body, {
+        width: 2048,
+        output_format: 'jpg',
+        url: `base64,${IMAGE.toString('base64')}`
+      });
+    });
+
+    it('rejects data that is not an image without calling Deep Image', async () => {
+      const response = await app.request('/api/enhance-image', json({ image_base64: Buffer.from('<html>not an image</html>').toString('base64') }));
+      const data = await response.json();
+
+      assert.equal(response.status, 415);
+      assert.equal(data.status, 'error');
+      assert.equal(processRequests().length, 0);
+      await assertNoTempFiles();
+    });
+
+    it('rejects an unknown preset', async () => {
+      const response = await app.request('/api/enhance-image', json({ image_base64: IMAGE.toString('base64'), preset: 'no-such-preset' }));
+
+      assert.equal(response.status, 400);
+      assert.equal(processRequests().length, 0);
+      await assertNoTempFiles();
+    });
+
+    it('rejects local overrides outside their limits', async () => {
+      const response = await app.request('/api/enhance-image', json({
+        image_base64: IMAGE.toString('base64'),
+        provider: 'local',
+        overrides: { scale: 4, maxLength: 1000000 }
+      }));
+      const data = await response.json();
+
+      assert.equal(response.status, 400);
+      assert.match(data.error, /maxLength must be between 1 and 8192/);
+      await assertNoTempFiles();
+    });
+
+    it('runs as a background job when asked to', async () => {
+      const response = await app.request('/api/enhance-image', json({ image_base64: IMAGE.toString('base64'), async: true }));
+      const data = await response.json();
+
+      assert.equal(response.status, 202);
+      assert.equal(data.result.status_url, `/api/jobs/${data.result.job_id}`);
+
+      const job = await waitForJob(app, data.result.job_id);
+      assert.equal(job.status, 'completed');
+      assert.deepEqual(Buffer.from(job.result.image_base64, 'base64'), ENHANCED_IMAGE);
+      await assertNoTempFiles();
+
+      // Only whoever started the job can look it up
+      const other = await app.request(data.result.status_url, { headers: { 'X-API-Key': 'not-a-key' } });
+      assert.equal(other.status, 404);
+    });
+  });
+
+  describe('image URLs', () => {
+    it('passes the URL straight to Deep Image', async () => {
+      const imageUrl = 'https://images.example.com/photo.jpg';
+      const response = await app.request('/api/enhance-image', json({ imageUrl }));
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(Buffer.from(data.result.image_base64, 'base64'), ENHANCED_IMAGE);
+      assert.equal(processRequests()[0].body.url, imageUrl);
+    });
+  });
+
+  describe('multipart uploads', () => {
+    function upload(buffer, type = 'image/png') {
+      const form = new FormData();
+      form.append('image', new Blob([buffer], { type }), 'photo.png');
+      return app.request('/api/enhance-image', { method: 'POST', body: form });
+    }
+
+    it('enhances an uploaded image', async () => {
+      const response = await upload(IMAGE);
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(Buffer.from(data.result.image_base64, 'base64'), ENHANCED_IMAGE);
+      assert.equal(processRequests()[0].body.url, `base64,${IMAGE.toString('base64')}`);
+      await assertNoTempFiles();
+    });
+
+    it('checks the content, not the declared type', async () => {
+      const response = await upload(Buffer.from('plain text pretending to be a PNG'), 'image/png');
+
+      assert.equal(response.status, 415);
+      assert.equal(processRequests().length, 0);
+      await assertNoTempFiles();
+    });
+
+    it('rejects markup in text chunks but not in image data', async () => {
+      const scripted = await upload(addPngChunk(IMAGE, 'tEXt', 'Comment\0<script>alert(1)</script>'));
+      assert.equal(scripted.status, 400);
+      assert.match((await scripted.json()).error, /embedded content/);
+
+      const response = await upload(addPngChunk(IMAGE, 'IDAT', '<svg'));
+      assert.equal(response.status, 200);
+      await assertNoTempFiles();
+    });
+
+    it('rejects a truncated header with a 400', async () => {
+      const response = await upload(IMAGE.subarray(0, 20));
+
+      assert.equal(response.status, 400);
+      assert.match((await response.json()).error, /image dimensions/);
+      await assertNoTempFiles();
+    });
+
+    it('rejects files that are not images or videos', async () => {
+      const response = await upload(Buffer.from('just text'), 'text/plain');
+
+      assert.equal(response.status, 400);
+      await assertNoTempFiles();
+    });
+
+    it('asks for an image when none is given', async () => {
+      const response = await app.request('/api/enhance-image', { method: 'POST', body: new FormData() });
+      const data = await response.json();
+
+      assert.equal(response.status, 400);
+      assert.match(data.message, /imageUrl, image_base64, or upload a file/);
+    });
+  });
+
+  describe('upstream errors', () => {
+    async function enhanceWithFailure(handler) {
+      deepImage.handler = handler;
+      const response = await app.request('/api/enhance-image', json({ image_base64: IMAGE.toString('base64') }));
+      return { response, data: await response.json() };
+    }
+
+    it('maps a rejected API key to upstream_auth', async () => {
+      const { response, data } = await enhanceWithFailure((request, res) => sendJson(res, 401, { error: 'Invalid API key' }));
+
+      assert.equal(response.status, 502);
+      assert.equal(data.code, 'upstream_auth');
+      assert.equal(processRequests().length, 1);
+      await assertNoTempFiles();
+    });
+
+    it('maps rate limiting to upstream_rate_limited with Retry-After', async () => {
+      const { response, data } = await enhanceWithFailure((request, res) => sendJson(res, 429, { error: 'Slow down' }, { 'Retry-After': '1' }));
+
+      assert.equal(response.status, 429);
+      assert.equal(data.code, 'upstream_rate_limited');
+      assert.equal(response.headers.get('retry-after'), '1');
+      // Not retried: the wait asked for is longer than UPSTREAM_RETRY_MAX_MS
+      assert.equal(processRequests().length, 1);
+      await assertNoTempFiles();
+    });
+
+    it('maps server errors to upstream_unavailable after retrying', async () => {
+      const { response, data } = await enhanceWithFailure((request, res) => sendJson(res, 500, { error: 'Internal error' }));
+
+      assert.equal(response.status, 503);
+      assert.equal(data.code, 'upstream_unavailable');
+      assert.deepEqual(data.details, { error: 'Internal error' });
+      assert.equal(processRequests().length, 2);
+    });
+
+    it('maps a bad request to upstream_rejected', async () => {
+      const { response, data } = await enhanceWithFailure((request, res) => sendJson(res, 400, { error: 'Bad image' }));
+
+      assert.equal(response.status, 422);
+      assert.equal(data.code, 'upstream_rejected');
+      assert.equal(processRequests().length, 1);
+    });
+
+    it('maps a slow reply to upstream_timeout', async () => {
+      const { response, data } = await enhanceWithFailure((request, res) => {
+        setTimeout(() => sendJson(res, 200, {}), 1500);
+      });
+
+      assert.equal(response.status, 504);
+      assert.equal(data.code, 'upstream_timeout');
+      await assertNoTempFiles();
+    });
+
+    it('fails when the reply has no result URL', async () => {
+      const { response, data } = await enhanceWithFailure((request, res) => sendJson(res, 200, { status: 'complete' }));
+
+      assert.equal(response.status, 502);
+      assert.equal(data.code, 'upstream_error');
+    });
+
+    it('reports upstream failures of background jobs on the job', async () => {
+      deepImage.handler = (request, res) => sendJson(res, 401, { error: 'Invalid API key' });
+      const response = await app.request('/api/enhance-image', json({ image_base64: IMAGE.toString('base64'), async: true }));
+      const { result } = await response.json();
+
+      const job = await waitForJob(app, result.job_id);
+      assert.equal(job.status, 'failed');
+      assert.equal(job.error.code, 'upstream_auth');
+      await assertNoTempFiles();
+    });
+  });
+});
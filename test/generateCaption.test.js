@@ -0,0 +1,210 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, json, waitForTempFiles } = require('./support/harness');
+const { DEFAULT_CAPTION, sendJson, startGrokStub } = require('./support/stubs');
+const { createPng } = require('./support/images');
+
+const IMAGE = createPng(8, 8);
+const MEDIA_ITEM = { type: 'image/png', data: `data:image/png;base64,${IMAGE.toString('base64')}` };
+
+// Parse a server-sent event stream into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+describe('POST /api/generate-caption', () => {
+  let app;
+  let grok;
+
+  before(async () => {
+    grok = await startGrokStub();
+    process.env.GROK_BASE_URL = `${grok.url}/v1`;
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+    await grok.close();
+  });
+
+  beforeEach(() => grok.reset());
+
+  function caption(body) {
+    return app.request('/api/generate-caption', json(body));
+  }
+
+  describe('base64 media items', () => {
+    it('captions the images with Grok', async () => {
+      const response = await caption({ mediaItems: [MEDIA_ITEM] });
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.status, 'success');
+      assert.equal(data.result.caption, DEFAULT_CAPTION);
+      assert.deepEqual(data.result.captions, [DEFAULT_CAPTION]);
+      assert.equal(data.result.provider, 'grok');
+      assert.equal(data.result.cached, false);
+
+      const [upstream] = grok.requests;
+      assert.equal(upstream.headers.authorization, 'Bearer test-grok-key');
+      assert.equal(upstream.body.model, 'grok-2-vision-latest');
+
+      const content = upstream.body.messages[0].content;
+      assert.equal(content[0].type, 'text');
+      const image = content.find(part => part.type === 'image_url');
+      assert.equal(image.image_url.url, `data:image/png;base64,${IMAGE.toString('base64')}`);
+    });
+
+    it('applies the caption options to the prompt', async () => {
+      const response = await caption({ mediaItems: [MEDIA_ITEM], platform: 'linkedin', tone: 'professional', language: 'Español' });
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.result.options.platform, 'linkedin');
+      assert.match(grok.requests[0].body.messages[0].content[0].text, /Español/);
+    });
+
+    it('asks for media when there is none', async () => {
+      const response = await caption({ mediaItems: [] });
+      const data = await response.json();
+
+      assert.equal(response.status, 400);
+      assert.match(data.message, /mediaItems/);
+      assert.equal(grok.requests.length, 0);
+    });
+
+    it('rejects unknown options', async () => {
+      const response = await caption({ mediaItems: [MEDIA_ITEM], tone: 'sarcastic-ish' });
+
+      assert.equal(response.status, 400);
+      assert.equal(grok.requests.length, 0);
+    });
+
+    it('rejects media that is not an image or video', async () => {
+      const response = await caption({ mediaItems: [{ data: Buffer.from('not media at all, just text').toString('base64') }] });
+
+      assert.equal(response.status, 415);
+      assert.equal(grok.requests.length, 0);
+    });
+  });
+
+  describe('multipart uploads', () => {
+    function upload(files, options) {
+      const form = new FormData();
+      files.forEach(({ buffer, type, name }) => form.append('media', new Blob([buffer], { type }), name));
+      if (options) form.append('options', options);
+      return app.request('/api/generate-caption', { method: 'POST', body: form });
+    }
+
+    it('captions uploaded files and releases them', async () => {
+      const response = await upload([{ buffer: IMAGE, type: 'image/png', name: 'photo.png' }], JSON.stringify({ hashtags: 2 }));
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.result.caption, DEFAULT_CAPTION);
+      assert.equal(data.result.options.hashtags, 2);
+      assert.deepEqual(await waitForTempFiles(), []);
+    });
+
+    it('rejects invalid options JSON and releases the files', async () => {
+      const response = await upload([{ buffer: IMAGE, type: 'image/png', name: 'photo.png' }], '{not json');
+
+      assert.equal(response.status, 400);
+      assert.equal(grok.requests.length, 0);
+      assert.deepEqual(await waitForTempFiles(), []);
+    });
+
+    it('releases the files when validation fails', async () => {
+      const response = await upload([
+        { buffer: IMAGE, type: 'image/png', name: 'photo.png' },
+        { buffer: Buffer.from('plain text pretending to be a PNG'), type: 'image/png', name: 'fake.png' }
+      ]);
+
+      assert.equal(response.status, 415);
+      assert.deepEqual(await waitForTempFiles(), []);
+    });
+  });
+
+  describe('streaming', () => {
+    it('relays tokens as server-sent events', async () => {
+      const response = await caption({ mediaItems: [MEDIA_ITEM], stream: true });
+      const events = parseEvents(await response.text());
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/event-stream/);
+      assert.equal(grok.requests[0].body.stream, true);
+
+      const tokens = events.filter(event => event.event === 'token').map(event => event.data.text);
+      assert.ok(tokens.length >= 2);
+      assert.equal(tokens.join(''), JSON.stringify({ captions: [DEFAULT_CAPTION] }));
+
+      const complete = events[events.length - 1];
+      assert.equal(complete.event, 'complete');
+      assert.equal(complete.data.caption, DEFAULT_CAPTION);
+    });
+
+    it('answers with a JSON error when the provider fails before the first token', async () => {
+      grok.handler = (request, res) => sendJson(res, 401, { error: 'Invalid API key' });
+      const response = await caption({ mediaItems: [MEDIA_ITEM], stream: true });
+      const data = await response.json();
+
+      assert.equal(response.status, 502);
+      assert.equal(data.code, 'upstream_auth');
+    });
+  });
+
+  describe('upstream errors', () => {
+    async function captionWithFailure(handler) {
+      grok.handler = handler;
+      const response = await caption({ mediaItems: [MEDIA_ITEM] });
+      return { response, data: await response.json() };
+    }
+
+    it('maps a rejected API key to upstream_auth', async () => {
+      const { response, data } = await captionWithFailure((request, res) => sendJson(res, 401, { error: 'Invalid API key' }));
+
+      assert.equal(response.status, 502);
+      assert.equal(data.code, 'upstream_auth');
+      assert.equal(grok.requests.length, 1);
+    });
+
+    it('retries rate limiting, then maps it to upstream_rate_limited', async () => {
+      const { response, data } = await captionWithFailure((request, res) => sendJson(res, 429, { error: 'Slow down' }));
+
+      assert.equal(response.status, 429);
+      assert.equal(data.code, 'upstream_rate_limited');
+      assert.equal(grok.requests.length, 2);
+    });
+
+    it('recovers when a retry succeeds', async () => {
+      grok.handler = (request, res, stub) => {
+        if (stub.requests.length === 1) return sendJson(res, 503, { error: 'Overloaded' });
+        stub.reset();
+        stub.handler(request, res, stub);
+      };
+      const response = await caption({ mediaItems: [MEDIA_ITEM] });
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.result.caption, DEFAULT_CAPTION);
+    });
+
+    it('maps server errors to upstream_unavailable', async () => {
+      const { response, data } = await captionWithFailure((request, res) => sendJson(res, 500, { error: 'Internal error' }));
+
+      assert.equal(response.status, 503);
+      assert.equal(data.code, 'upstream_unavailable');
+    });
+
+    it('fails on a reply without a caption', async () => {
+      const { response, data } = await captionWithFailure((request, res) => sendJson(res, 200, { choices: [] }));
+
+      assert.equal(response.status, 502);
+      assert.equal(data.code, 'upstream_error');
+    });
+  });
+});
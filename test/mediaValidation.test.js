@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/harness');
+const { FORMATS, validateMedia } = require('../services/mediaValidation');
+const { createGif, gifExtension, isoBox } = require('./support/images');
+
+const ALL_FORMATS = Object.keys(FORMATS);
+const GPS = 'GPSLatitude 51.5007 GPSLongitude -0.1246';
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><exif:GPSLatitude>51,30.04N</exif:GPSLatitude></x:xmpmeta>';
+const XMP_UUID = Buffer.from('be7acfcb97a942e89c71999491e3afac', 'hex');
+
+function fullBox(version, ...contents) {
+  return Buffer.concat([Buffer.from([version, 0, 0, 0]), ...contents.map(content => Buffer.from(content))]);
+}
+
+function uint(size, value) {
+  const buffer = Buffer.alloc(size);
+  buffer.writeUIntBE(value, 0, size);
+  return buffer;
+}
+
+// A HEIC whose only item is Exif data stored in mdat
+function createHeic(exif) {
+  const build = exifOffset => {
+    const ftyp = isoBox('ftyp', 'heic', uint(4, 0), 'mif1heic');
+    const meta = isoBox('meta', fullBox(0,
+      isoBox('hdlr', fullBox(0, uint(4, 0), 'pict', Buffer.alloc(12), '\0')),
+      isoBox('iinf', fullBox(0, uint(2, 1), isoBox('infe', fullBox(2, uint(2, 1), uint(2, 0), 'Exif', '\0')))),
+      isoBox('iloc', fullBox(0, Buffer.from([0x44, 0x00]), uint(2, 1), uint(2, 1), uint(2, 0), uint(2, 1), uint(4, exifOffset), uint(4, exif.length)))
+    ));
+    return Buffer.concat([ftyp, meta, isoBox('mdat', exif)]);
+  };
+  const withoutOffset = build(0);
+  return build(withoutOffset.length - exif.length);
+}
+
+describe('metadata stripping', () => {
+  it('drops GIF comments and XMP but keeps looping', async () => {
+    const loop = gifExtension(0xFF, Buffer.concat([Buffer.from('NETSCAPE2.0'), Buffer.from([3, 1, 0, 0])]));
+    const gif = createGif([loop, gifExtension(0xFE, GPS), gifExtension(0xFF, `XMP DataXMP${XMP}`)]);
+
+    const media = await validateMedia(gif, { allowedFormats: ALL_FORMATS });
+    const text = media.buffer.toString('latin1');
+
+    assert.equal(media.format, 'gif');
+    assert.deepEqual([media.width, media.height], [1, 1]);
+    assert.doesNotMatch(text, /GPSLatitude/);
+    assert.match(text, /NETSCAPE2\.0/);
+    assert.deepEqual(media.buffer, createGif([loop]));
+  });
+
+  it('blanks the Exif item of a HEIC without moving anything', async () => {
+    const exif = Buffer.from(`\0\0\0\0Exif\0\0MM${GPS}`, 'latin1');
+    const heic = createHeic(exif);
+
+    const media = await validateMedia(heic, { allowedFormats: ALL_FORMATS });
+
+    assert.equal(media.format, 'heic');
+    assert.equal(media.buffer.length, heic.length);
+    assert.doesNotMatch(media.buffer.toString('latin1'), /GPSLatitude/);
+    assert.deepEqual(media.buffer.subarray(0, heic.length - exif.length), heic.subarray(0, heic.length - exif.length));
+  });
+
+  it('blanks the user data, metadata and XMP boxes of a video', async () => {
+    const frames = Buffer.alloc(64, 7);
+    const video = Buffer.concat([
+      isoBox('ftyp', 'isom', uint(4, 0), 'isommp41'),
+      isoBox('moov',
+        isoBox('mvhd', fullBox(0, Buffer.alloc(96))),
+        isoBox('trak', isoBox('tkhd', fullBox(0, Buffer.alloc(80))), isoBox('udta', isoBox('©xyz', '+51.5007-000.1246/'))),
+        isoBox('udta', isoBox('©xyz', '+51.5007-000.1246/')),
+        isoBox('meta', fullBox(0, isoBox('keys', 'com.apple.quicktime.location.ISO6709')))
+      ),
+      isoBox('uuid', XMP_UUID, XMP),
+      isoBox('mdat', frames)
+    ]);
+
+    const media = await validateMedia(video, { allowedFormats: ALL_FORMATS });
+    const text = media.buffer.toString('latin1');
+
+    assert.equal(media.format, 'mp4');
+    assert.equal(media.buffer.length, video.length);
+    assert.doesNotMatch(text, /51\.5007|location|xmpmeta/);
+    assert.match(text, /moov/);
+    assert.deepEqual(media.buffer.subarray(-frames.length), frames);
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/harness');
+const storage = require('../services/storage');
+
+describe('temp upload links', () => {
+  let app;
+  let filePath;
+
+  before(async () => {
+    app = await startApp();
+    filePath = await storage.createTempFile(Buffer.from('temp file'), 'txt');
+  });
+
+  after(async () => {
+    await storage.releaseTempFile(filePath);
+    await app.close();
+  });
+
+  it('serves a temp file through its signed link', async () => {
+    const response = await app.request(storage.createSignedUrl(filePath));
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'temp file');
+  });
+
+  it('refuses links with a wrong signature or past their expiry', async () => {
+    const link = storage.createSignedUrl(filePath);
+    const tampered = await app.request(link.replace(/signature=\w/, 'signature=x'));
+    assert.equal(tampered.status, 403);
+
+    const expired = await app.request(storage.createSignedUrl(filePath, -1000));
+    assert.equal(expired.status, 403);
+  });
+
+  it('never lists or serves the upload directory directly', async () => {
+    const name = filePath.split(/[\\/]/).pop();
+    assert.equal((await app.request(`/temp-uploads/${name}`)).status, 403);
+    assert.equal((await app.request('/temp-uploads/')).status, 404);
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * In-process test harness
+ *
+ * Services read some settings when they are first required, so this file
+ * must be required before anything from the app. It points data, uploads and
+ * the settings file at a throwaway directory, turns off the result cache,
+ * shortens retries and configures the Deep Image and Grok providers with test
+ * keys; the stubs in stubs.js stand in for their APIs. Logs are silenced unless TEST_LOGS is set.
+ */
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'imakol-test-'));
+const uploadDir = path.join(tempRoot, 'uploads');
+
+Object.assign(process.env, {
+  CONFIG_FILE: path.join(tempRoot, 'settings.json'),
+  DATA_DIR: path.join(tempRoot, 'data'),
+  UPLOAD_DIR: uploadDir,
+  RESULT_CACHE: 'off',
+  REQUIRE_API_KEY: 'false',
+  UPSTREAM_RETRIES: '1',
+  UPSTREAM_RETRY_BASE_MS: '10',
+  UPSTREAM_RETRY_MAX_MS: '20',
+  UPSTREAM_BREAKER_THRESHOLD: '1000',
+  ENHANCEMENT_PROVIDER: 'deep-image',
+  DEEP_IMAGE_API_KEY: 'test-deep-image-key',
+  DEEP_IMAGE_TIMEOUT_MS: '1000',
+  CAPTION_PROVIDERS: 'grok',
+  GROK_API_KEY: 'test-grok-key'
+});
+
+require('../../logger').silent = !process.env.TEST_LOGS;
+
+process.on('exit', () => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+/**
+ * Create the app and listen on a free port
+ *
+ * @returns {Promise<Object>} { url, request(path, init), close() }
+ */
+async function startApp() {
+  // Settings are read once and kept (see services/config.js); read them again
+  // now that the test has pointed the upstream URLs at its stubs
+  require('../../services/config').load();
+
+  const { createApp } = require('../../app');
+  const server = http.createServer(createApp());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    request: (requestPath, init) => fetch(`${url}${requestPath}`, init),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// JSON request options for fetch
+function json(body) {
+  return {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
+
+function listTempFiles() {
+  try {
+    return fs.readdirSync(uploadDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Temp files left in the uploads directory. Some routes release their files
+// just after responding, so this waits a little for them to go.
+async function waitForTempFiles(timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (listTempFiles().length > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return listTempFiles();
+}
+
+// Poll a background job until it finishes
+async function waitForJob(app, jobId, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { result: job } = await (await app.request(`/api/jobs/${jobId}`)).json();
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+module.exports = {
+  startApp,
+  json,
+  waitForTempFiles,
+  waitForJob
+};
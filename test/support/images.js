@@ -0,0 +1,97 @@
+const zlib = require('zlib');
+
+/**
+ * Tiny valid images for requests, built in memory so no fixtures are needed
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// A solid color RGB PNG
+function createPng(width, height, [r, g, b] = [200, 80, 60]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // RGB
+
+  // Each row starts with filter type 0 (none)
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3).map((_, index) => [r, g, b][index % 3])]);
+  const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(pixels)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Insert a chunk right before a PNG's IEND chunk
+function addPngChunk(png, type, data) {
+  return Buffer.concat([png.subarray(0, png.length - 12), chunk(type, Buffer.from(data)), png.subarray(png.length - 12)]);
+}
+
+// A GIF extension block (label 0xFE comment, 0xFF application) with its
+// data split into sub-blocks
+function gifExtension(label, data) {
+  const bytes = Buffer.from(data);
+  const blocks = [];
+  for (let offset = 0; offset < bytes.length; offset += 255) {
+    const part = bytes.subarray(offset, offset + 255);
+    blocks.push(Buffer.from([part.length]), part);
+  }
+  return Buffer.concat([Buffer.from([0x21, label]), ...blocks, Buffer.from([0])]);
+}
+
+// A 1x1 GIF with the given extension blocks before its image
+function createGif(extensions = []) {
+  return Buffer.concat([
+    Buffer.from('GIF89a', 'latin1'),
+    Buffer.from([1, 0, 1, 0, 0x80, 0, 0]), // 1x1, two-color global table
+    Buffer.from([0, 0, 0, 255, 255, 255]),
+    ...extensions,
+    Buffer.from([0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0]), // Image descriptor
+    Buffer.from([2, 2, 0x44, 0x01, 0]), // LZW code size and image data
+    Buffer.from([0x3B])
+  ]);
+}
+
+// An ISO base media box (HEIC, AVIF, MP4, MOV) around the given contents
+function isoBox(type, ...contents) {
+  const body = Buffer.concat(contents.map(content => Buffer.from(content)));
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+module.exports = {
+  createPng,
+  addPngChunk,
+  createGif,
+  gifExtension,
+  isoBox
+};
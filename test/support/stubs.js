@@ -0,0 +1,99 @@
+const http = require('http');
+const { createPng } = require('./images');
+
+/**
+ * Local stand-ins for the upstream APIs
+ *
+ * Each stub records the requests it receives in stub.requests. Its default
+ * behavior is a successful reply; tests override it by assigning
+ * stub.handler(request, res, stub), and stub.reset() restores it.
+ */
+
+// What the Deep Image stub returns as the enhanced image
+const ENHANCED_IMAGE = createPng(4, 4, [250, 200, 120]);
+
+const DEFAULT_CAPTION = 'Golden hour at the pier 🌅 #sunset';
+
+function sendJson(res, statusCode, data, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks);
+
+  if (raw.length > 0 && (req.headers['content-type'] || '').includes('application/json')) {
+    return JSON.parse(raw.toString('utf8'));
+  }
+  return raw;
+}
+
+async function startStub(defaultHandler) {
+  const stub = { url: null, requests: [], handler: defaultHandler };
+
+  const server = http.createServer(async (req, res) => {
+    const request = { method: req.method, path: req.url, headers: req.headers, body: await readBody(req) };
+    stub.requests.push(request);
+    stub.handler(request, res, stub);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.reset = () => {
+    stub.requests = [];
+    stub.handler = defaultHandler;
+  };
+  stub.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return stub;
+}
+
+// Deep Image: the process call answers with a result URL on the stub itself
+function deepImageHandler(request, res, stub) {
+  if (request.method === 'POST' && request.path === '/rest_api/process_result') {
+    return sendJson(res, 200, { status: 'complete', job: 'stub-job', result_url: `${stub.url}/results/enhanced.png` });
+  }
+  if (request.method === 'GET' && request.path === '/results/enhanced.png') {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    return res.end(ENHANCED_IMAGE);
+  }
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// Grok: OpenAI-style chat completions, streamed as SSE when asked to
+function grokHandler(request, res) {
+  if (request.method !== 'POST' || request.path !== '/v1/chat/completions') {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const content = JSON.stringify({ captions: [DEFAULT_CAPTION] });
+  if (!request.body.stream) {
+    return sendJson(res, 200, { choices: [{ message: { role: 'assistant', content } }] });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const delta of [content.slice(0, 10), content.slice(10)]) {
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+  }
+  res.end('data: [DONE]\n\n');
+}
+
+function startDeepImageStub() {
+  return startStub(deepImageHandler);
+}
+
+function startGrokStub() {
+  return startStub(grokHandler);
+}
+
+module.exports = {
+  ENHANCED_IMAGE,
+  DEFAULT_CAPTION,
+  sendJson,
+  startDeepImageStub,
+  startGrokStub
+};
@@ -0,0 +1,378 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./support/harness');
+const { createPng } = require('./support/images');
+const scheduler = require('../services/scheduler');
+const connectors = require('../providers/publishing');
+
+const IMAGE = createPng(8, 8);
+const PASSWORD = 'correct horse battery';
+
+describe('accounts and workspaces', () => {
+  const legacyPostId = crypto.randomUUID();
+  let app;
+
+  before(async () => {
+    process.env.MOCK_PUBLISH_ACCOUNT = 'test-account';
+
+    // A post saved before there were accounts, with an image saved before
+    // media had edits
+    const legacyDir = path.join(process.env.DATA_DIR, 'posts', legacyPostId);
+    const legacyFileId = crypto.randomUUID();
+    fs.mkdirSync(path.join(legacyDir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(legacyDir, 'files', legacyFileId), IMAGE);
+    fs.writeFileSync(path.join(legacyDir, 'post.json'), JSON.stringify({
+      id: legacyPostId,
+      title: 'Before accounts',
+      status: 'complete',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      media: [{
+        id: crypto.randomUUID(),
+        fileId: legacyFileId,
+        name: 'old.png',
+        mimeType: 'image/png',
+        size: IMAGE.length,
+        enhanced: false,
+        preset: null,
+        original: null
+      }],
+      captions: [],
+      watermark: { enabled: true, brandKitId: null }
+    }));
+
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  // A signed-in client: sends the session cookie and JSON bodies
+  async function signUp(username) {
+    const response = await app.request('/api/auth/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: PASSWORD })
+    });
+    const data = await response.json();
+    assert.equal(response.status, 201, data.message);
+
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const request = (requestPath, { body, headers, ...init } = {}) => app.request(requestPath, {
+      ...init,
+      headers: {
+        Cookie: cookie,
+        ...(body && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body && !(body instanceof FormData) ? JSON.stringify(body) : body
+    });
+
+    const me = await (await request('/api/auth/me')).json();
+    return { user: data.result.user, workspace: me.result.workspaces[0], request };
+  }
+
+  function postForm(post, withImage = true, mimeType = 'image/png') {
+    const formData = new FormData();
+    formData.append('post', JSON.stringify({
+      ...post,
+      media: withImage ? [{ upload: 'media_0', name: 'photo.png', mimeType }] : post.media
+    }));
+    if (withImage) formData.append('media_0', new Blob([IMAGE], { type: 'image/png' }), 'photo.png');
+    return formData;
+  }
+
+  let owner;
+  let editor;
+  let viewer;
+  let outsider;
+
+  it('gives the first account the data saved before accounts existed', async () => {
+    owner = await signUp('owner');
+    assert.match(owner.workspace.name, /owner's workspace/);
+    assert.equal(owner.workspace.role, 'owner');
+
+    const response = await owner.request(`/api/workspaces/${owner.workspace.id}/posts`);
+    const { result } = await response.json();
+    assert.deepEqual(result.posts.map(post => post.id), [legacyPostId]);
+    assert.equal(fs.existsSync(path.join(process.env.DATA_DIR, 'posts')), false);
+
+    const library = await owner.request(`/api/workspaces/${owner.workspace.id}/library`);
+    const { items } = (await library.json()).result;
+    assert.equal(library.status, 200);
+    assert.deepEqual(items.map(item => [item.name, item.edited]), [['old.png', false]]);
+  });
+
+  it('signs in with the password and rejects wrong ones', async () => {
+    const login = password => app.request('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'OWNER', password })
+    });
+
+    const wrong = await login('not the password');
+    assert.equal(wrong.status, 401);
+    assert.equal((await wrong.json()).code, 'login_failed');
+
+    const right = await login(PASSWORD);
+    assert.equal(right.status, 200);
+    assert.match(right.headers.get('set-cookie'), /imakol_session=.+; .*HttpOnly/);
+
+    assert.equal((await app.request('/api/auth/me')).status, 401);
+    assert.equal((await app.request(`/api/workspaces/${owner.workspace.id}/posts`)).status, 401);
+  });
+
+  it('hides workspaces from non-members and limits viewers to reading', async () => {
+    editor = await signUp('editor');
+    viewer = await signUp('viewer');
+    outsider = await signUp('outsider');
+    const base = `/api/workspaces/${owner.workspace.id}`;
+
+    assert.equal((await outsider.request(`${base}/posts`)).status, 404);
+
+    const added = await owner.request(`${base}/members`, { method: 'POST', body: { username: 'editor', role: 'editor' } });
+    assert.equal(added.status, 201);
+    await owner.request(`${base}/members`, { method: 'POST', body: { username: 'viewer' } });
+
+    const workspace = (await (await viewer.request(base)).json()).result;
+    assert.equal(workspace.role, 'viewer');
+    assert.deepEqual(workspace.members.map(member => member.username).sort(), ['editor', 'owner', 'viewer']);
+
+    assert.equal((await viewer.request(`${base}/posts`)).status, 200);
+    const create = await viewer.request(`${base}/posts`, { method: 'POST', body: postForm({ title: 'Nope' }) });
+    assert.equal(create.status, 403);
+    assert.equal((await create.json()).code, 'role_required');
+
+    // Only owners manage members, and a workspace keeps an owner
+    assert.equal((await editor.request(`${base}/members`, { method: 'POST', body: { username: 'outsider' } })).status, 403);
+    const demote = await owner.request(`${base}/members/${owner.user.id}`, { method: 'PATCH', body: { role: 'editor' } });
+    assert.equal(demote.status, 409);
+  });
+
+  it('only publishes approved posts when the workspace requires approval', async () => {
+    const base = `/api/workspaces/${owner.workspace.id}`;
+    await owner.request(base, { method: 'PATCH', body: { requireApproval: true } });
+
+    const created = await editor.request(`${base}/posts`, {
+      method: 'POST',
+      body: postForm({ title: 'Launch', caption: 'Hello world', tags: ['#Launch', 'summer', 'launch'] })
+    });
+    const post = (await created.json()).result;
+    assert.equal(created.status, 201);
+    assert.deepEqual(post.tags, ['launch', 'summer']);
+    assert.equal(post.createdBy.username, 'editor');
+    assert.equal(post.approval.state, 'not_submitted');
+
+    // The request's own caption and files don't count once approval is required
+    const publish = () => {
+      const formData = new FormData();
+      formData.append('post', JSON.stringify({ caption: 'Not what was approved', postId: post.id }));
+      formData.append('media', new Blob([IMAGE], { type: 'image/png' }), 'other.png');
+      formData.append('media', new Blob([IMAGE], { type: 'image/png' }), 'extra.png');
+      return editor.request(`${base}/publish/mock`, { method: 'POST', body: formData });
+    };
+    const review = (client, action) => client.request(`${base}/posts/${post.id}/approval`, { method: 'POST', body: { action } });
+
+    const refused = await publish();
+    assert.equal(refused.status, 409);
+    assert.equal((await refused.json()).code, 'approval_required');
+
+    assert.equal((await review(editor, 'submit')).status, 200);
+    const selfApproval = await review(editor, 'approve');
+    assert.equal(selfApproval.status, 403);
+    assert.equal((await review(viewer, 'approve')).status, 403);
+
+    const approved = await review(owner, 'approve');
+    const { result } = await approved.json();
+    assert.equal(approved.status, 200);
+    assert.equal(result.approval.state, 'approved');
+    assert.equal(result.approval.reviewedBy.username, 'owner');
+
+    const published = await publish();
+    const publication = (await published.json()).result;
+    assert.equal(published.status, 201);
+    assert.equal(publication.publishedBy.username, 'editor');
+    assert.equal(publication.text, 'Hello world');
+    assert.equal(publication.mediaCount, 1);
+
+    const entryForm = new FormData();
+    entryForm.append('entry', JSON.stringify({
+      caption: 'Not what was approved',
+      runAt: new Date(Date.now() + 1000).toISOString(),
+      target: 'mock',
+      postId: post.id
+    }));
+    const scheduled = await editor.request(`${base}/schedule`, { method: 'POST', body: entryForm });
+    const entry = (await scheduled.json()).result;
+    assert.equal(scheduled.status, 201);
+    assert.equal(entry.caption, 'Hello world');
+    assert.equal(entry.media.length, 1);
+
+    // A new caption needs a new review, also for what was already scheduled
+    const edited = await editor.request(`${base}/posts/${post.id}`, { method: 'PUT', body: { caption: 'Hello again' } });
+    assert.equal((await edited.json()).result.approval.state, 'not_submitted');
+    assert.equal((await publish()).status, 409);
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await scheduler.runDueEntries();
+    const [ran] = (await (await editor.request(`${base}/schedule`)).json()).result.entries;
+    assert.equal(ran.status, 'failed');
+    assert.equal(ran.lastError.code, 'approval_required');
+  });
+
+  it('skips scheduled posts cancelled or moved while another one runs', async () => {
+    const base = `/api/workspaces/${editor.workspace.id}`;
+    const schedule = async (caption, delayMs) => {
+      const formData = new FormData();
+      formData.append('entry', JSON.stringify({ caption, runAt: new Date(Date.now() + delayMs).toISOString(), target: 'mock' }));
+      formData.append('media', new Blob([IMAGE], { type: 'image/png' }), 'photo.png');
+      return (await (await editor.request(`${base}/schedule`, { method: 'POST', body: formData })).json()).result;
+    };
+    const first = await schedule('First', 1000);
+    const cancelled = await schedule('Cancelled', 1050);
+    const moved = await schedule('Moved', 1100);
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    // Hold the first publish open while the others are changed
+    const mock = connectors.getConnector('mock');
+    const publish = mock.publish;
+    const captions = [];
+    let started;
+    const publishing = new Promise(resolve => { started = resolve; });
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    mock.publish = async function (post) {
+      captions.push(post.caption);
+      if (captions.length === 1) {
+        started();
+        await released;
+      }
+      return publish.call(this, post);
+    };
+
+    try {
+      const run = scheduler.runDueEntries();
+      await publishing;
+      assert.equal((await editor.request(`${base}/schedule/${cancelled.id}`, { method: 'DELETE' })).status, 200);
+      const runAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      assert.equal((await editor.request(`${base}/schedule/${moved.id}`, { method: 'PATCH', body: { runAt } })).status, 200);
+      release();
+      await run;
+
+      const { entries } = (await (await editor.request(`${base}/schedule`)).json()).result;
+      const statusOf = id => entries.find(entry => entry.id === id).status;
+      assert.deepEqual(captions, ['First']);
+      assert.equal(statusOf(first.id), 'done');
+      assert.equal(statusOf(cancelled.id), 'cancelled');
+      assert.equal(statusOf(moved.id), 'scheduled');
+      assert.equal(entries.find(entry => entry.id === moved.id).runAt, runAt);
+    } finally {
+      mock.publish = publish;
+    }
+  });
+
+  it('searches the media library by caption, tag, date and kind', async () => {
+    const base = `/api/workspaces/${owner.workspace.id}`;
+    await editor.request(`${base}/posts`, { method: 'POST', body: postForm({ caption: 'Beach day', tags: ['beach'] }) });
+
+    const search = async query => (await (await viewer.request(`${base}/library?${new URLSearchParams(query)}`)).json()).result;
+
+    const all = await search({});
+    assert.equal(all.total, 3);
+    assert.equal(all.items[0].caption, 'Beach day');
+    assert.match(all.items[0].url, new RegExp(`^${base}/posts/[0-9a-f-]+/files/`));
+    assert.deepEqual(all.tags.map(tag => tag.name), ['beach', 'launch', 'summer']);
+
+    assert.deepEqual((await search({ q: 'beach' })).items.map(item => item.caption), ['Beach day']);
+    assert.deepEqual((await search({ tag: '#Launch' })).items.map(item => item.caption), ['Hello again']);
+    assert.equal((await search({ to: '2020-01-01' })).total, 0);
+    assert.equal((await search({ kind: 'video' })).total, 0);
+
+    const file = await viewer.request(all.items[0].url);
+    assert.equal(file.status, 200);
+    assert.equal(file.headers.get('content-type'), 'image/png');
+    assert.equal(file.headers.get('x-content-type-options'), 'nosniff');
+
+    assert.equal((await outsider.request(`${base}/library`)).status, 404);
+  });
+
+  it('stores post files by their content, not the declared type', async () => {
+    const base = `/api/workspaces/${owner.workspace.id}`;
+    const formData = new FormData();
+    formData.append('post', JSON.stringify({ media: [{ upload: 'media_0', name: 'photo.png', mimeType: 'text/html' }] }));
+    formData.append('media_0', new Blob(['<html><script>alert(1)</script></html>'], { type: 'image/png' }), 'photo.png');
+
+    const response = await editor.request(`${base}/posts`, { method: 'POST', body: formData });
+    assert.equal(response.status, 415);
+
+    const created = await editor.request(`${base}/posts`, {
+      method: 'POST',
+      body: postForm({ caption: 'Declared as HTML' }, true, 'text/html')
+    });
+    const [media] = (await created.json()).result.media;
+    assert.equal(media.mimeType, 'image/png');
+  });
+
+  it('keeps the files of concurrent saves of one post', async () => {
+    const base = `/api/workspaces/${editor.workspace.id}`;
+    const created = (await (await editor.request(`${base}/posts`, { method: 'POST', body: postForm({ caption: 'Shared' }) })).json()).result;
+    const [kept] = created.media;
+
+    // Every save keeps the first image and adds one of its own
+    const saves = Array.from({ length: 6 }, (_, index) => {
+      const formData = new FormData();
+      formData.append('post', JSON.stringify({
+        caption: `Save ${index}`,
+        media: [{ id: kept.id, fileId: kept.fileId }, { upload: 'media_0', name: `${index}.png` }]
+      }));
+      formData.append('media_0', new Blob([IMAGE], { type: 'image/png' }), `${index}.png`);
+      return editor.request(`${base}/posts/${created.id}`, { method: 'PUT', body: formData });
+    });
+    assert.deepEqual((await Promise.all(saves)).map(response => response.status), [200, 200, 200, 200, 200, 200]);
+
+    const post = (await (await editor.request(`${base}/posts/${created.id}`)).json()).result;
+    assert.equal(post.media.length, 2);
+    for (const media of post.media) {
+      assert.equal((await editor.request(`${base}/posts/${created.id}/files/${media.fileId}`)).status, 200);
+    }
+  });
+
+  it('keeps brand kits in their workspace', async () => {
+    const base = `/api/workspaces/${owner.workspace.id}`;
+    const outsiderBase = `/api/workspaces/${outsider.workspace.id}`;
+
+    const refused = await viewer.request(`${base}/brand-kits`, { method: 'POST', body: { name: 'Nope' } });
+    assert.equal(refused.status, 403);
+
+    const created = await editor.request(`${base}/brand-kits`, { method: 'POST', body: { name: 'Launch', handle: '@launch' } });
+    const kit = (await created.json()).result;
+    assert.equal(created.status, 201);
+    assert.equal(kit.isDefault, true);
+
+    const { result } = await (await viewer.request(`${base}/brand-kits`)).json();
+    assert.deepEqual(result.kits.map(listed => listed.id), [kit.id]);
+
+    assert.equal((await outsider.request(`${base}/brand-kits`)).status, 404);
+    assert.deepEqual((await (await outsider.request(`${outsiderBase}/brand-kits`)).json()).result.kits, []);
+    assert.equal((await outsider.request(`${outsiderBase}/brand-kits/${kit.id}`)).status, 404);
+  });
+
+  it('keeps the paths from before workspaces, acting on the default workspace', async () => {
+    assert.equal((await app.request('/api/posts')).status, 401);
+
+    const workspacePosts = (await (await owner.request(`/api/workspaces/${owner.workspace.id}/posts`)).json()).result.posts;
+    const legacyPosts = (await (await owner.request('/api/posts')).json()).result.posts;
+    assert.ok(legacyPosts.length > 0);
+    assert.deepEqual(legacyPosts.map(post => post.id), workspacePosts.map(post => post.id));
+    assert.equal((await (await owner.request('/api/brand-kits')).json()).result.kits.length, 1);
+
+    // The editor's own workspace comes before the one they were added to
+    const editorPosts = (await (await editor.request(`/api/workspaces/${editor.workspace.id}/posts`)).json()).result.posts;
+    const editorLegacyPosts = (await (await editor.request('/api/posts')).json()).result.posts;
+    assert.deepEqual(editorLegacyPosts.map(post => post.id), editorPosts.map(post => post.id));
+    assert.notDeepEqual(editorLegacyPosts.map(post => post.id), legacyPosts.map(post => post.id));
+    assert.equal((await viewer.request('/api/publish')).status, 200);
+  });
+});